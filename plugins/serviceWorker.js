@@ -0,0 +1,48 @@
+import { createHash } from 'node:crypto';
+import { readFileSync, readdirSync } from 'node:fs';
+import { join } from 'node:path';
+
+/**
+ * Emits sw.js with the list of every file in the build, so the service
+ * worker can precache the whole app for offline use. The version is a hash
+ * of every file's contents (the worker's own code included), so any change
+ * makes browsers install the new worker and drop the old cache.
+ */
+export function serviceWorker({ source = 'src/sw.js', publicDir = 'public' } = {}) {
+    return {
+        name: 'ia-face-service-worker',
+        apply: 'build',
+        generateBundle: {
+            order: 'post',
+            handler(options, bundle) {
+                const publicFiles = listFiles(publicDir);
+                const files = [...Object.keys(bundle), ...publicFiles].sort();
+                const worker = readFileSync(source, 'utf8');
+
+                const hash = createHash('sha256').update(worker);
+                for (const [fileName, output] of Object.entries(bundle)) {
+                    hash.update(fileName).update(output.type === 'chunk' ? output.code : output.source);
+                }
+                for (const file of publicFiles) {
+                    hash.update(file).update(readFileSync(join(publicDir, file)));
+                }
+                const version = hash.digest('hex').slice(0, 12);
+
+                this.emitFile({
+                    type: 'asset',
+                    fileName: 'sw.js',
+                    source: `const PRECACHE_VERSION = ${JSON.stringify(version)};\n` +
+                        `const PRECACHE_FILES = ${JSON.stringify(files, null, 2)};\n\n` +
+                        worker
+                });
+            }
+        }
+    };
+}
+
+// Files under dir, subfolders included, as URL paths relative to it
+function listFiles(dir, prefix = '') {
+    return readdirSync(dir, { withFileTypes: true }).flatMap(entry => entry.isDirectory()
+        ? listFiles(join(dir, entry.name), `${prefix}${entry.name}/`)
+        : [`${prefix}${entry.name}`]);
+}
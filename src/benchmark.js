@@ -0,0 +1,145 @@
+import * as THREE from 'three';
+import { ParticleRain } from './effects/ParticleRain.js';
+import { GPUParticleRain } from './effects/GPUParticleRain.js';
+
+// Particle rain benchmark: ParticleRain (CPU) vs GPUParticleRain, same scene
+// setup as SceneManager (camera at z=5, fov 75) with a depth-only occluder.
+
+const IMPLEMENTATIONS = {
+  cpu: ParticleRain,
+  gpu: GPUParticleRain
+};
+const COUNTS = [1000, 5000, 10000, 20000, 50000];
+const WARMUP_MS = 500;
+const SAMPLE_MS = 2000;
+
+const canvas = document.getElementById('benchmark-canvas');
+const implementationSelect = document.getElementById('benchmark-implementation');
+const countSelect = document.getElementById('benchmark-count');
+const occluderCheckbox = document.getElementById('benchmark-occluder');
+const liveStats = document.getElementById('live-stats');
+const runButton = document.getElementById('benchmark-run');
+const resultsTable = document.getElementById('benchmark-results');
+
+const renderer = new THREE.WebGLRenderer({ canvas });
+renderer.setPixelRatio(window.devicePixelRatio);
+renderer.setSize(window.innerWidth, window.innerHeight);
+
+const scene = new THREE.Scene();
+const camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
+camera.position.z = 5;
+
+// Stands in for the face occluder: writes depth, not color, at renderOrder 0
+const occluder = new THREE.Mesh(
+  new THREE.SphereGeometry(1.5, 32, 16),
+  new THREE.MeshBasicMaterial({ colorWrite: false })
+);
+occluder.position.z = -3;
+occluder.renderOrder = 0;
+scene.add(occluder);
+
+let rain = null;
+let running = false;
+
+function createRain(implementation, count) {
+  rain?.dispose();
+  rain = new IMPLEMENTATIONS[implementation](scene, count);
+  console.log(`🌧️ Benchmark: ${implementation.toUpperCase()} with ${count} particles`);
+}
+
+// Frame stats since the last reset: rendered frames and CPU time spent in update + render
+const stats = { frames: 0, cpuTime: 0, start: performance.now() };
+
+function resetStats() {
+  stats.frames = 0;
+  stats.cpuTime = 0;
+  stats.start = performance.now();
+}
+
+function readStats() {
+  const elapsed = performance.now() - stats.start;
+  return {
+    fps: stats.frames / (elapsed / 1000),
+    cpuMs: stats.frames > 0 ? stats.cpuTime / stats.frames : 0
+  };
+}
+
+const clock = new THREE.Clock();
+
+function animate() {
+  requestAnimationFrame(animate);
+  const dt = clock.getDelta();
+
+  const start = performance.now();
+  rain.update(dt);
+  renderer.render(scene, camera);
+  stats.cpuTime += performance.now() - start;
+  stats.frames++;
+}
+
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+async function measure(implementation, count) {
+  createRain(implementation, count);
+  await wait(WARMUP_MS);
+  resetStats();
+  await wait(SAMPLE_MS);
+  return readStats();
+}
+
+// Every count with both implementations, one row per count
+async function runComparison() {
+  running = true;
+  runButton.disabled = true;
+  implementationSelect.disabled = countSelect.disabled = true;
+  const tbody = resultsTable.querySelector('tbody');
+  tbody.innerHTML = '';
+  resultsTable.hidden = false;
+
+  for (const count of COUNTS) {
+    const row = tbody.insertRow();
+    row.insertCell().textContent = count.toLocaleString('es');
+    for (const implementation of ['cpu', 'gpu']) {
+      liveStats.textContent = `Midiendo ${implementation.toUpperCase()} con ${count.toLocaleString('es')}...`;
+      const result = await measure(implementation, count);
+      row.insertCell().textContent = result.fps.toFixed(1);
+      row.insertCell().textContent = result.cpuMs.toFixed(2);
+      console.log(`📊 ${implementation.toUpperCase()} ${count}: ${result.fps.toFixed(1)} fps, ${result.cpuMs.toFixed(2)} ms`);
+    }
+  }
+
+  running = false;
+  runButton.disabled = false;
+  implementationSelect.disabled = countSelect.disabled = false;
+  createRain(implementationSelect.value, Number(countSelect.value));
+  resetStats();
+}
+
+function selectRain() {
+  createRain(implementationSelect.value, Number(countSelect.value));
+  resetStats();
+}
+
+implementationSelect.addEventListener('change', selectRain);
+countSelect.addEventListener('change', selectRain);
+occluderCheckbox.addEventListener('change', () => {
+  occluder.visible = occluderCheckbox.checked;
+});
+runButton.addEventListener('click', runComparison);
+
+window.addEventListener('resize', () => {
+  camera.aspect = window.innerWidth / window.innerHeight;
+  camera.updateProjectionMatrix();
+  renderer.setSize(window.innerWidth, window.innerHeight);
+});
+
+// Live numbers for the current selection, over the last second
+setInterval(() => {
+  if (running) return;
+  const { fps, cpuMs } = readStats();
+  liveStats.textContent = `${fps.toFixed(1)} fps · ${cpuMs.toFixed(2)} ms CPU por frame`;
+  resetStats();
+}, 1000);
+
+selectRain();
+animate();
@@ -0,0 +1,253 @@
+import { EventEmitter } from './EventEmitter.js';
+
+/**
+ * Settings saved in a profile, grouped by section. New sections only need a
+ * default here: older saved profiles pick it up when they are loaded.
+ */
+export const DEFAULT_SETTINGS = {
+    hand: { offsetY: -0.6, scale: 1.0, depthScale: 0.5 },
+    face: { offsetX: -0.1 }
+};
+
+export const DEFAULT_PROFILE = 'Predeterminado';
+
+const STORAGE_KEY = 'ia-face.calibrationProfiles';
+const FORMAT_VERSION = 1;
+
+// URL query parameter -> [section, key]
+const QUERY_PARAMETERS = {
+    handOffsetY: ['hand', 'offsetY'],
+    handScale: ['hand', 'scale'],
+    handDepthScale: ['hand', 'depthScale'],
+    faceOffsetX: ['face', 'offsetX']
+};
+
+/**
+ * Named calibration profiles persisted in localStorage.
+ *
+ * New profiles, and settings missing from saved ones, take their values from
+ * `defaults` (the scene's calibration, else DEFAULT_SETTINGS).
+ *
+ * A profile stores settings (see DEFAULT_SETTINGS) and, optionally, the
+ * label of the camera it was made for so it can be picked automatically
+ * when that camera opens. Profiles can be exported and imported as JSON.
+ *
+ * Events:
+ * - 'change': { name, settings } when the active profile changes
+ * - 'list': when profiles are added, removed or imported
+ */
+export class CalibrationProfiles extends EventEmitter {
+    constructor({ storage = window.localStorage, storageKey = STORAGE_KEY, defaults = DEFAULT_SETTINGS } = {}) {
+        super();
+        this.storage = storage;
+        this.storageKey = storageKey;
+        this.defaults = mergeSettings(DEFAULT_SETTINGS, defaults);
+
+        // Name -> profile. Names come from users and files: no prototype, so
+        // names like "__proto__" or "toString" are ordinary profiles
+        this.profiles = Object.create(null);
+        this.active = DEFAULT_PROFILE;
+        this.load();
+
+        if (!this.profiles[DEFAULT_PROFILE]) {
+            this.profiles[DEFAULT_PROFILE] = { settings: mergeSettings(this.defaults), camera: null };
+        }
+        if (!this.profiles[this.active]) {
+            this.active = DEFAULT_PROFILE;
+        }
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(this.storage.getItem(this.storageKey));
+            if (data && typeof data.profiles === 'object' && data.profiles) {
+                this.profiles = Object.assign(Object.create(null), data.profiles);
+                this.active = data.active || DEFAULT_PROFILE;
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not read calibration profiles:', error);
+        }
+    }
+
+    save() {
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify({
+                version: FORMAT_VERSION,
+                active: this.active,
+                profiles: this.profiles
+            }));
+        } catch (error) {
+            console.warn('⚠️ Could not save calibration profiles:', error);
+        }
+    }
+
+    /**
+     * @returns {Array<string>} Profile names
+     */
+    list() {
+        return Object.keys(this.profiles);
+    }
+
+    /**
+     * @param {string} [name] - Defaults to the active profile
+     * @returns {Object} Settings with defaults filled in
+     */
+    get(name = this.active) {
+        return mergeSettings(this.defaults, this.profiles[name]?.settings);
+    }
+
+    getCamera(name = this.active) {
+        return this.profiles[name]?.camera ?? null;
+    }
+
+    select(name) {
+        if (!this.profiles[name]) {
+            console.warn(`⚠️ Unknown calibration profile "${name}"`);
+            return;
+        }
+        this.active = name;
+        this.save();
+        console.log(`💾 Calibration profile: ${name}`);
+        this.emit('change', { name, settings: this.get(name) });
+    }
+
+    /**
+     * Store settings in a profile, creating it if needed.
+     * @param {string} name
+     * @param {Object} settings
+     */
+    store(name, settings) {
+        const isNew = !this.profiles[name];
+        this.profiles[name] = {
+            camera: null,
+            ...this.profiles[name],
+            settings: mergeSettings(this.defaults, settings)
+        };
+        this.save();
+        if (isNew) this.emit('list');
+    }
+
+    remove(name) {
+        if (name === DEFAULT_PROFILE || !this.profiles[name]) return;
+        delete this.profiles[name];
+        this.emit('list');
+        if (this.active === name) {
+            this.select(DEFAULT_PROFILE);
+        } else {
+            this.save();
+        }
+    }
+
+    /**
+     * Use a profile automatically whenever a camera with this label opens.
+     * Only one profile is bound to each camera.
+     * @param {string} name
+     * @param {string|null} cameraLabel - null to unbind
+     */
+    bindCamera(name, cameraLabel) {
+        if (!this.profiles[name]) return;
+        if (cameraLabel) {
+            for (const profile of Object.values(this.profiles)) {
+                if (profile.camera === cameraLabel) profile.camera = null;
+            }
+        }
+        this.profiles[name].camera = cameraLabel || null;
+        this.save();
+    }
+
+    /**
+     * @param {string} cameraLabel
+     * @returns {string|null} Name of the profile bound to the camera
+     */
+    findByCamera(cameraLabel) {
+        if (!cameraLabel) return null;
+        return this.list().find(name => this.profiles[name].camera === cameraLabel) ?? null;
+    }
+
+    /**
+     * @param {Array<string>} [names] - Defaults to every profile
+     * @returns {string} JSON
+     */
+    export(names = this.list()) {
+        const profiles = Object.create(null);
+        for (const name of names) {
+            if (this.profiles[name]) profiles[name] = this.profiles[name];
+        }
+        return JSON.stringify({ version: FORMAT_VERSION, profiles }, null, 2);
+    }
+
+    download(names = this.list(), filename = 'calibration-profiles.json') {
+        const url = URL.createObjectURL(new Blob([this.export(names)], { type: 'application/json' }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Add the profiles of an exported file, replacing any with the same name.
+     * @param {string} json
+     * @returns {Array<string>} Imported profile names
+     */
+    import(json) {
+        const data = JSON.parse(json);
+        if (!data || typeof data.profiles !== 'object') {
+            throw new Error('Not a calibration profiles file');
+        }
+
+        const names = [];
+        for (const [name, profile] of Object.entries(data.profiles)) {
+            if (!profile || typeof profile.settings !== 'object') continue;
+            this.profiles[name] = {
+                settings: mergeSettings(this.defaults, profile.settings),
+                camera: typeof profile.camera === 'string' ? profile.camera : null
+            };
+            names.push(name);
+        }
+        this.save();
+        this.emit('list');
+        console.log(`💾 Imported calibration profiles: ${names.join(', ')}`);
+
+        if (names.includes(this.active)) {
+            this.emit('change', { name: this.active, settings: this.get() });
+        }
+        return names;
+    }
+}
+
+/**
+ * Deep-merge settings sections, keeping only known keys with numeric values.
+ * @param {Object} base
+ * @param {Object} [overrides]
+ * @returns {Object} New settings object
+ */
+export function mergeSettings(base, overrides = {}) {
+    const merged = {};
+    for (const [section, values] of Object.entries(base)) {
+        merged[section] = { ...values };
+        for (const key of Object.keys(values)) {
+            const value = overrides?.[section]?.[key];
+            if (Number.isFinite(value)) merged[section][key] = value;
+        }
+    }
+    return merged;
+}
+
+/**
+ * Read profile selection and setting overrides from a query string, e.g.
+ * ?profile=Kiosko&handOffsetY=-0.4&handScale=1.2&handDepthScale=0.5&faceOffsetX=0
+ * @param {string} search - window.location.search
+ * @returns {{profile: string|null, overrides: Object}} overrides is partial settings
+ */
+export function parseQuerySettings(search) {
+    const params = new URLSearchParams(search);
+    const overrides = {};
+    for (const [param, [section, key]] of Object.entries(QUERY_PARAMETERS)) {
+        const value = parseFloat(params.get(param));
+        if (Number.isFinite(value)) {
+            overrides[section] = { ...overrides[section], [key]: value };
+        }
+    }
+    return { profile: params.get('profile'), overrides };
+}
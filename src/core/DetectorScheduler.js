@@ -0,0 +1,126 @@
+/**
+ * Runs several detectors on the same video at independent rates within a
+ * per-frame time budget, instead of awaiting every detector on every frame.
+ *
+ * Each video frame, the detectors that are due (by their target fps) run in
+ * order of how overdue they are. Once the measured time of the frame would go
+ * over the budget, the remaining ones are skipped and get priority on the next
+ * frame, so expensive detectors end up alternating frames instead of halving
+ * the frame rate. A detector's `send` can be anything returning a promise.
+ *
+ * There is no worker mode: detection always runs on the main thread. The
+ * MediaPipe legacy solutions (@mediapipe/face_mesh, @mediapipe/hands) need
+ * the DOM and cannot run in a Web Worker. Moving it off the main thread
+ * means porting the trackers to the MediaPipe Tasks API, whose .task models
+ * are not bundled here.
+ *
+ * Usage:
+ *   const scheduler = new DetectorScheduler({ budgetMs: 25 });
+ *   scheduler.add('face', { send: (image) => faceTracker.send(image), fps: 30 });
+ *   scheduler.add('hands', { send: (image) => handTracker.send(image), fps: 20, enabled: () => handsOn });
+ *   startFrameLoop(video, () => scheduler.tick(video));
+ */
+export class DetectorScheduler {
+    constructor(config = {}) {
+        this.config = {
+            budgetMs: 25,        // Detection time per video frame, leaving room to render at 30 fps
+            dueRatio: 0.75,      // Due after this fraction of its interval, absorbs video frame jitter
+            smoothing: 0.2,      // Weight of the newest run in the average duration
+            ...config
+        };
+
+        this.detectors = new Map();
+        this.busy = false;
+    }
+
+    /**
+     * @param {string} name
+     * @param {Object} detector
+     * @param {Function} detector.send - async (image) => void
+     * @param {number} [detector.fps=30] - Target detection rate
+     * @param {Function} [detector.enabled] - () => boolean, checked every frame
+     */
+    add(name, { send, fps = 30, enabled = () => true }) {
+        this.detectors.set(name, {
+            name,
+            send,
+            fps,
+            enabled,
+            lastRun: -Infinity,
+            averageMs: 0,
+            runs: [],      // Start times within the last second, for the measured rate
+            skipped: 0     // Due but left out to stay within the budget
+        });
+    }
+
+    remove(name) {
+        this.detectors.delete(name);
+    }
+
+    setRate(name, fps) {
+        const detector = this.detectors.get(name);
+        if (detector) detector.fps = fps;
+    }
+
+    setBudget(budgetMs) {
+        this.config.budgetMs = budgetMs;
+    }
+
+    /**
+     * Run the detectors that are due on this frame.
+     * @param {HTMLVideoElement|HTMLCanvasElement|ImageBitmap} image
+     * @param {number} [now] - Milliseconds
+     */
+    async tick(image, now = performance.now()) {
+        // Frames that arrive while the previous one is still being processed are dropped
+        if (this.busy) return;
+        this.busy = true;
+
+        try {
+            const due = [...this.detectors.values()]
+                .filter(detector => detector.enabled() && detector.fps > 0)
+                .map(detector => ({ detector, overdue: (now - detector.lastRun) * detector.fps / 1000 }))
+                .filter(({ overdue }) => overdue >= this.config.dueRatio)
+                .sort((a, b) => b.overdue - a.overdue);
+
+            let spent = 0;
+            for (const { detector } of due) {
+                // The most overdue detector always runs, even if it alone exceeds the budget
+                if (spent > 0 && spent + detector.averageMs > this.config.budgetMs) {
+                    detector.skipped++;
+                    continue;
+                }
+
+                const start = performance.now();
+                await detector.send(image);
+                const duration = performance.now() - start;
+
+                detector.lastRun = now;
+                detector.averageMs = detector.averageMs
+                    ? detector.averageMs + (duration - detector.averageMs) * this.config.smoothing
+                    : duration;
+                detector.runs.push(now);
+                while (detector.runs[0] < now - 1000) detector.runs.shift();
+                spent += duration;
+            }
+        } finally {
+            this.busy = false;
+        }
+    }
+
+    /**
+     * @returns {Object} Per detector: { targetFps, fps, averageMs, skipped }
+     */
+    getStats(now = performance.now()) {
+        const stats = {};
+        for (const detector of this.detectors.values()) {
+            stats[detector.name] = {
+                targetFps: detector.fps,
+                fps: detector.enabled() ? detector.runs.filter(time => time >= now - 1000).length : 0,
+                averageMs: detector.averageMs,
+                skipped: detector.skipped
+            };
+        }
+        return stats;
+    }
+}
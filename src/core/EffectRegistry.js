@@ -0,0 +1,195 @@
+import { EventEmitter } from './EventEmitter.js';
+
+const STORAGE_KEY = 'ia-face.effects';
+
+/**
+ * Runtime list of scene effects (see effects/Effect.js).
+ *
+ * Effects run in list order and can be enabled, disabled and reordered
+ * while the app runs; both are saved in localStorage and win over the
+ * scene description's defaults (see configure). An effect that throws
+ * from a hook is disabled for the rest of the session instead of stopping
+ * the render loop; one that throws from init is left out.
+ *
+ * Events:
+ * - 'list': when effects are added, removed or reordered
+ * - 'change': { id, enabled } when an effect is enabled or disabled
+ */
+export class EffectRegistry extends EventEmitter {
+    /**
+     * @param {Object} context - Passed to every effect's init: { scene, camera, sceneManager }
+     * @param {Object} [options]
+     */
+    constructor(context, { storage = window.localStorage, storageKey = STORAGE_KEY } = {}) {
+        super();
+        this.context = context;
+        this.storage = storage;
+        this.storageKey = storageKey;
+
+        this.effects = [];
+        // order: effect IDs; enabled: id -> boolean, only for effects toggled from the panel
+        this.saved = { order: [], enabled: {} };
+        this.load();
+    }
+
+    load() {
+        try {
+            const data = JSON.parse(this.storage.getItem(this.storageKey));
+            if (data) {
+                this.saved.order = Array.isArray(data.order) ? data.order : [];
+                this.saved.enabled = typeof data.enabled === 'object' && data.enabled ? data.enabled : {};
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not read effect settings:', error);
+        }
+    }
+
+    save() {
+        this.saved.order = this.effects.map(effect => effect.id);
+        try {
+            this.storage.setItem(this.storageKey, JSON.stringify(this.saved));
+        } catch (error) {
+            console.warn('⚠️ Could not save effect settings:', error);
+        }
+    }
+
+    /**
+     * Create, initialize and add an effect. Its position and enabled state
+     * come from the saved settings, else from its static order.
+     * @param {typeof import('../effects/Effect.js').Effect} EffectClass
+     * @returns {Effect|null} Null if its init throws
+     */
+    register(EffectClass) {
+        const id = EffectClass.id;
+        if (!id) throw new Error(`${EffectClass.name} has no static id`);
+        if (this.get(id)) {
+            console.warn(`⚠️ Effect "${id}" is already registered`);
+            return this.get(id);
+        }
+
+        const effect = new EffectClass();
+        try {
+            effect.init(this.context);
+        } catch (error) {
+            console.error(`❌ Effect "${id}" failed in init, leaving it out:`, error);
+            return null;
+        }
+        const saved = this.saved.enabled[id];
+        if (saved !== undefined && saved !== effect.enabled) effect.setEnabled(saved);
+
+        this.effects.push(effect);
+        this.effects.sort((a, b) => this.rank(a) - this.rank(b));
+        this.emit('list');
+        return effect;
+    }
+
+    // Saved position first, then effects that were never saved by their static order
+    rank(effect) {
+        const index = this.saved.order.indexOf(effect.id);
+        return index >= 0 ? index : this.saved.order.length + effect.constructor.order;
+    }
+
+    unregister(id) {
+        const effect = this.get(id);
+        if (!effect) return;
+        this.effects.splice(this.effects.indexOf(effect), 1);
+        effect.dispose();
+        this.emit('list');
+    }
+
+    get(id) {
+        return this.effects.find(effect => effect.id === id) ?? null;
+    }
+
+    /**
+     * @returns {Array<Effect>} Effects in the order they run
+     */
+    list() {
+        return [...this.effects];
+    }
+
+    setEnabled(id, enabled) {
+        const effect = this.get(id);
+        if (!effect) return;
+        this.saved.enabled[id] = enabled;
+        this.save();
+        if (effect.enabled === enabled) return;
+        effect.setEnabled(enabled);
+        console.log(`✨ Effect ${id}: ${enabled ? 'ON' : 'OFF'}`);
+        this.emit('change', { id, enabled });
+    }
+
+    /**
+     * @param {string} id
+     * @param {number} index - New position, clamped to the list
+     */
+    move(id, index) {
+        const effect = this.get(id);
+        if (!effect) return;
+        const target = Math.max(0, Math.min(index, this.effects.length - 1));
+        this.effects.splice(this.effects.indexOf(effect), 1);
+        this.effects.splice(target, 0, effect);
+        this.save();
+        this.emit('list');
+    }
+
+    /**
+     * Apply an effect's settings from the scene description. `enabled` is
+     * only a default: an effect toggled from the panel keeps the saved choice.
+     * @param {string} id
+     * @param {Object} settings - { enabled, ...parameters for Effect.configure }
+     */
+    configure(id, { enabled, ...params } = {}) {
+        const effect = this.get(id);
+        if (!effect) {
+            console.warn(`⚠️ Scene configures unknown effect "${id}"`);
+            return;
+        }
+        if (Object.keys(params).length > 0) this.run(effect, 'configure', params);
+        if (enabled !== undefined && !(id in this.saved.enabled) && effect.enabled !== enabled) {
+            effect.setEnabled(enabled);
+            this.emit('change', { id, enabled });
+        }
+    }
+
+    update(dt) {
+        this.call('update', dt);
+    }
+
+    onFace(faceId, landmarks, face) {
+        this.call('onFace', faceId, landmarks, face);
+    }
+
+    onFaceRemoved(faceId) {
+        // Disabled effects still free what they hold for the face
+        for (const effect of this.effects) {
+            this.run(effect, 'onFaceRemoved', faceId);
+        }
+    }
+
+    onHands(results) {
+        this.call('onHands', results);
+    }
+
+    // Run a hook on every enabled effect
+    call(hook, ...args) {
+        for (const effect of this.effects) {
+            if (effect.enabled) this.run(effect, hook, ...args);
+        }
+    }
+
+    run(effect, hook, ...args) {
+        try {
+            effect[hook](...args);
+        } catch (error) {
+            console.error(`❌ Effect "${effect.id}" failed in ${hook}, disabling it:`, error);
+            effect.setEnabled(false);
+            this.emit('change', { id: effect.id, enabled: false });
+        }
+    }
+
+    dispose() {
+        this.effects.forEach(effect => effect.dispose());
+        this.effects = [];
+    }
+}
@@ -0,0 +1,39 @@
+/**
+ * Minimal event emitter for tracker-derived events (expressions, gestures...).
+ */
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map();
+    }
+
+    /**
+     * @param {string} eventName
+     * @param {Function} callback
+     * @returns {Function} Unsubscribe function
+     */
+    on(eventName, callback) {
+        if (!this.listeners.has(eventName)) {
+            this.listeners.set(eventName, new Set());
+        }
+        this.listeners.get(eventName).add(callback);
+        return () => this.off(eventName, callback);
+    }
+
+    off(eventName, callback) {
+        const callbacks = this.listeners.get(eventName);
+        if (callbacks) callbacks.delete(callback);
+    }
+
+    emit(eventName, payload) {
+        const callbacks = this.listeners.get(eventName);
+        if (!callbacks) return;
+
+        for (const callback of callbacks) {
+            try {
+                callback(payload);
+            } catch (error) {
+                console.error(`❌ Error in "${eventName}" listener:`, error);
+            }
+        }
+    }
+}
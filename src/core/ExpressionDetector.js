@@ -0,0 +1,189 @@
+import { EventEmitter } from './EventEmitter.js';
+
+// FaceMesh landmark indices. Left/right are from the subject's point of view.
+const EYES = {
+    right: { outer: 33, inner: 133, top: [160, 158], bottom: [144, 153] },
+    left: { outer: 263, inner: 362, top: [387, 385], bottom: [373, 380] }
+};
+const MOUTH = { upperLip: 13, lowerLip: 14, rightCorner: 61, leftCorner: 291 };
+const BROWS = { right: { brow: 105, eyeTop: 159 }, left: { brow: 334, eyeTop: 386 } };
+
+/**
+ * Raw ratios for a neutral face (from the canonical face model) and for the
+ * fully expressed state. All distances are divided by the outer eye-corner
+ * distance, so they do not depend on how far the face is from the camera.
+ */
+const DEFAULT_RANGES = {
+    eyeAspectRatio: { neutral: 0.23, extreme: 0.08 },   // Open -> closed
+    lipGap: { neutral: 0.05, extreme: 0.5 },            // Closed -> jaw fully open
+    mouthWidth: { neutral: 0.55, extreme: 0.72 },       // Relaxed -> wide smile
+    browHeight: { neutral: 0.27, extreme: 0.36 }        // Relaxed -> raised
+};
+
+/**
+ * Expressions that fire events. Each crosses "on" going up and "off" going
+ * down (hysteresis), so a score hovering near the threshold does not spam.
+ */
+const DEFAULT_THRESHOLDS = {
+    blink: { on: 0.6, off: 0.4 },
+    winkLeft: { on: 0.5, off: 0.3 },
+    winkRight: { on: 0.5, off: 0.3 },
+    mouthOpen: { on: 0.4, off: 0.25 },
+    smile: { on: 0.5, off: 0.3 },
+    browRaise: { on: 0.5, off: 0.3 }
+};
+
+export const EXPRESSIONS = Object.keys(DEFAULT_THRESHOLDS);
+
+/**
+ * Computes normalized expression scores (0..1) from FaceMesh landmarks and
+ * emits events when they cross their thresholds.
+ *
+ * Events (payload: { faceId, score, scores }):
+ * - 'blink', 'winkLeft', 'winkRight', 'mouthOpen', 'smile', 'browRaise' when
+ *   the expression starts, and the same name + 'End' (e.g. 'mouthOpenEnd')
+ *   when it stops
+ * - 'update' every frame with all scores
+ *
+ * Usage:
+ *   const expressions = new ExpressionDetector();
+ *   expressions.on('mouthOpen', () => particleRain.burst());
+ *   expressions.update(landmarks, faceId);
+ */
+export class ExpressionDetector extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        // Landmark x is normalized by image width and y by height
+        this.aspect = options.aspect ?? 1280 / 720;
+        this.ranges = structuredClone(DEFAULT_RANGES);
+        this.thresholds = { ...structuredClone(DEFAULT_THRESHOLDS), ...options.thresholds };
+
+        // Per face: { scores, active: Set, ranges (after neutral calibration) }
+        this.faces = new Map();
+    }
+
+    /**
+     * @param {Array} landmarks - FaceMesh landmarks for one face
+     * @param {number} [faceId]
+     * @returns {Object} Scores for this face
+     */
+    update(landmarks, faceId = 0) {
+        if (!landmarks || landmarks.length < 468) return null;
+
+        let face = this.faces.get(faceId);
+        if (!face) {
+            face = { scores: null, active: new Set(), ranges: this.ranges };
+            this.faces.set(faceId, face);
+        }
+
+        const ratios = this.measure(landmarks);
+        const r = face.ranges;
+
+        const blinkLeft = normalize(ratios.eyeAspectRatioLeft, r.eyeAspectRatio);
+        const blinkRight = normalize(ratios.eyeAspectRatioRight, r.eyeAspectRatio);
+
+        const scores = {
+            eyeAspectRatioLeft: ratios.eyeAspectRatioLeft,
+            eyeAspectRatioRight: ratios.eyeAspectRatioRight,
+            blinkLeft,
+            blinkRight,
+            blink: Math.min(blinkLeft, blinkRight),
+            winkLeft: clamp01(blinkLeft - blinkRight),
+            winkRight: clamp01(blinkRight - blinkLeft),
+            jawOpen: normalize(ratios.lipGap, r.lipGap),
+            smile: normalize(ratios.mouthWidth, r.mouthWidth),
+            browRaise: normalize(ratios.browHeight, r.browHeight)
+        };
+        scores.mouthOpen = scores.jawOpen;
+        face.scores = scores;
+
+        for (const [name, { on, off }] of Object.entries(this.thresholds)) {
+            const score = scores[name];
+            if (!face.active.has(name) && score >= on) {
+                face.active.add(name);
+                this.emit(name, { faceId, score, scores });
+            } else if (face.active.has(name) && score <= off) {
+                face.active.delete(name);
+                this.emit(`${name}End`, { faceId, score, scores });
+            }
+        }
+
+        this.emit('update', { faceId, scores });
+        return scores;
+    }
+
+    // Raw, scale-independent ratios
+    measure(landmarks) {
+        const point = (index) => {
+            const landmark = landmarks[index];
+            return [landmark.x * this.aspect, landmark.y, landmark.z * this.aspect];
+        };
+        const distance = (a, b) => {
+            const pa = point(a);
+            const pb = point(b);
+            return Math.hypot(pa[0] - pb[0], pa[1] - pb[1], pa[2] - pb[2]);
+        };
+
+        const faceScale = Math.max(distance(EYES.right.outer, EYES.left.outer), 1e-6);
+
+        const eyeAspectRatio = ({ outer, inner, top, bottom }) =>
+            (distance(top[0], bottom[0]) + distance(top[1], bottom[1])) / (2 * Math.max(distance(outer, inner), 1e-6));
+
+        return {
+            eyeAspectRatioLeft: eyeAspectRatio(EYES.left),
+            eyeAspectRatioRight: eyeAspectRatio(EYES.right),
+            lipGap: distance(MOUTH.upperLip, MOUTH.lowerLip) / faceScale,
+            mouthWidth: distance(MOUTH.rightCorner, MOUTH.leftCorner) / faceScale,
+            browHeight: (distance(BROWS.left.brow, BROWS.left.eyeTop) +
+                distance(BROWS.right.brow, BROWS.right.eyeTop)) / (2 * faceScale)
+        };
+    }
+
+    /**
+     * Use the face's current expression as its neutral pose. Call while the
+     * user looks at the camera with a relaxed face.
+     */
+    calibrateNeutral(landmarks, faceId = 0) {
+        if (!landmarks || landmarks.length < 468) return;
+
+        const ratios = this.measure(landmarks);
+        const shifted = (range, neutral) => ({
+            neutral,
+            extreme: neutral + (range.extreme - range.neutral)
+        });
+
+        const face = this.faces.get(faceId) || { scores: null, active: new Set() };
+        face.ranges = {
+            eyeAspectRatio: shifted(this.ranges.eyeAspectRatio,
+                (ratios.eyeAspectRatioLeft + ratios.eyeAspectRatioRight) / 2),
+            lipGap: shifted(this.ranges.lipGap, ratios.lipGap),
+            mouthWidth: shifted(this.ranges.mouthWidth, ratios.mouthWidth),
+            browHeight: shifted(this.ranges.browHeight, ratios.browHeight)
+        };
+        this.faces.set(faceId, face);
+        console.log(`😐 Neutral expression calibrated for face ${faceId}`);
+    }
+
+    getScores(faceId = 0) {
+        return this.faces.get(faceId)?.scores ?? null;
+    }
+
+    removeFace(faceId) {
+        const face = this.faces.get(faceId);
+        if (!face) return;
+
+        // Close any expression still in progress
+        for (const name of face.active) {
+            this.emit(`${name}End`, { faceId, score: 0, scores: face.scores });
+        }
+        this.faces.delete(faceId);
+    }
+}
+
+function normalize(value, { neutral, extreme }) {
+    return clamp01((value - neutral) / (extreme - neutral));
+}
+
+function clamp01(value) {
+    return Math.min(Math.max(value, 0), 1);
+}
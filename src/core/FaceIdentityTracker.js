@@ -0,0 +1,100 @@
+/**
+ * Assigns persistent IDs to FaceMesh detections.
+ *
+ * MediaPipe returns faces in no particular order, so each frame's faces are
+ * matched to the previous frame's tracks by nose position, normalized by the
+ * face size (distance between the outer eye corners). A track survives a few
+ * missed frames before it is reported as gone, so a single dropped detection
+ * does not tear down that face's effects.
+ */
+export class FaceIdentityTracker {
+    constructor(options = {}) {
+        this.maxMatchDistance = options.maxMatchDistance ?? 1.5; // In face widths
+        this.maxMissedFrames = options.maxMissedFrames ?? 10;
+
+        this.tracks = [];
+        this.nextId = 0;
+
+        this.onFaceEnter = null;
+        this.onFaceLeave = null;
+    }
+
+    /**
+     * @param {Array} multiFaceLandmarks - results.multiFaceLandmarks (may be undefined)
+     * @returns {Array<{id: number, landmarks: Array}>} Faces seen this frame
+     */
+    update(multiFaceLandmarks = []) {
+        const detections = multiFaceLandmarks.map((landmarks) => ({
+            landmarks,
+            ...describeFace(landmarks)
+        }));
+
+        // Greedy assignment on the closest track/detection pairs first
+        const pairs = [];
+        this.tracks.forEach((track, t) => {
+            detections.forEach((detection, d) => {
+                const size = Math.max((track.size + detection.size) / 2, 1e-6);
+                const distance = Math.hypot(track.x - detection.x, track.y - detection.y) / size;
+                if (distance <= this.maxMatchDistance) {
+                    pairs.push({ t, d, distance });
+                }
+            });
+        });
+        pairs.sort((a, b) => a.distance - b.distance);
+
+        const matchedTracks = new Set();
+        const matchedDetections = new Set();
+        const faces = [];
+
+        for (const { t, d } of pairs) {
+            if (matchedTracks.has(t) || matchedDetections.has(d)) continue;
+            matchedTracks.add(t);
+            matchedDetections.add(d);
+
+            const track = this.tracks[t];
+            Object.assign(track, describeFace(detections[d].landmarks), { missed: 0 });
+            faces.push({ id: track.id, landmarks: detections[d].landmarks });
+        }
+
+        // Age out unmatched tracks
+        this.tracks = this.tracks.filter((track, t) => {
+            if (matchedTracks.has(t)) return true;
+            track.missed++;
+            if (track.missed > this.maxMissedFrames) {
+                if (this.onFaceLeave) this.onFaceLeave(track.id);
+                return false;
+            }
+            return true;
+        });
+
+        // New faces
+        detections.forEach((detection, d) => {
+            if (matchedDetections.has(d)) return;
+            const track = { id: this.nextId++, x: detection.x, y: detection.y, size: detection.size, missed: 0 };
+            this.tracks.push(track);
+            if (this.onFaceEnter) this.onFaceEnter(track.id);
+            faces.push({ id: track.id, landmarks: detection.landmarks });
+        });
+
+        faces.sort((a, b) => a.id - b.id);
+        return faces;
+    }
+
+    reset() {
+        for (const track of this.tracks) {
+            if (this.onFaceLeave) this.onFaceLeave(track.id);
+        }
+        this.tracks = [];
+    }
+}
+
+function describeFace(landmarks) {
+    const nose = landmarks[1];
+    const leftEye = landmarks[263];
+    const rightEye = landmarks[33];
+    return {
+        x: nose.x,
+        y: nose.y,
+        size: Math.hypot(leftEye.x - rightEye.x, leftEye.y - rightEye.y)
+    };
+}
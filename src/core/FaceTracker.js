@@ -1,39 +1,89 @@
 import { FaceMesh } from '@mediapipe/face_mesh';
+import { FaceIdentityTracker } from './FaceIdentityTracker.js';
+import { LandmarkFilter } from '../filters/LandmarkFilter.js';
+import { mediapipeLocateFile, withTimeout, ASSET_LOAD_TIMEOUT } from './assets.js';
 
 
 export class FaceTracker {
-    constructor(videoElement) {
+    constructor(videoElement, options = {}) {
         this.videoElement = videoElement;
         this.faceMesh = null;
+        this.maxNumFaces = options.maxNumFaces ?? 4;
+
+        // Keeps a stable ID per face across frames
+        this.identities = new FaceIdentityTracker();
+
+        // Landmark smoothing, one stream per face ID (can be shared/tuned from outside)
+        this.filter = options.filter ?? new LandmarkFilter();
+
+        // Optional SessionRecorder, receives the raw results
+        this.recorder = null;
 
         this.onResultsCallback = null;
     }
 
-    init(onResultsCallback) {
+    /**
+     * @param {Function} onResultsCallback - Receives the FaceMesh results, plus
+     *   `results.faces`: [{ id, landmarks }] with IDs that persist across frames
+     *   and filtered landmarks (`results.multiFaceLandmarks` stays raw)
+     * @param {Object} [faceCallbacks]
+     * @param {Function} [faceCallbacks.onFaceEnter] - Called with the ID of a new face
+     * @param {Function} [faceCallbacks.onFaceLeave] - Called with the ID of a face that left
+     * @returns {Promise<void>} Resolves once the model is loaded, rejects on failure or timeout
+     */
+    init(onResultsCallback, { onFaceEnter = null, onFaceLeave = null } = {}) {
         console.log('FaceTracker: Initializing...');
         this.onResultsCallback = onResultsCallback;
+        this.identities.onFaceEnter = onFaceEnter;
+        this.identities.onFaceLeave = (faceId) => {
+            this.filter.reset(`face-${faceId}`);
+            if (onFaceLeave) onFaceLeave(faceId);
+        };
 
+        const locateFile = mediapipeLocateFile('face_mesh');
         this.faceMesh = new FaceMesh({
             locateFile: (file) => {
                 console.log(`FaceTracker: Loading file ${file}`);
-                return `https://cdn.jsdelivr.net/npm/@mediapipe/face_mesh/${file}`;
+                return locateFile(file);
             }
         });
 
         this.faceMesh.setOptions({
-            maxNumFaces: 1,
+            maxNumFaces: this.maxNumFaces,
             refineLandmarks: true,
             minDetectionConfidence: 0.5,
             minTrackingConfidence: 0.5
         });
 
-        this.faceMesh.onResults((results) => {
-            // console.log('FaceTracker: Got results'); // Uncomment if needed, but might be spammy
-            if (this.onResultsCallback) {
-                this.onResultsCallback(results);
-            }
-        });
-        console.log('FaceTracker: Initialized');
+        this.faceMesh.onResults((results) => this.handleResults(results));
+
+        return withTimeout(this.faceMesh.initialize(), ASSET_LOAD_TIMEOUT, 'FaceMesh model')
+            .then(() => console.log('FaceTracker: Initialized'))
+            .catch((error) => {
+                // Stop send() from retrying the download every frame
+                this.faceMesh = null;
+                throw error;
+            });
+    }
+
+    /**
+     * Runs FaceMesh results through identity tracking and filtering. Also the
+     * entry point for replayed sessions, which bypass MediaPipe entirely.
+     */
+    handleResults(results) {
+        // console.log('FaceTracker: Got results'); // Uncomment if needed, but might be spammy
+        if (this.recorder) {
+            this.recorder.recordFace(results);
+        }
+
+        const timestamp = performance.now();
+        results.faces = this.identities.update(results.multiFaceLandmarks).map(face => ({
+            id: face.id,
+            landmarks: this.filter.filter(`face-${face.id}`, face.landmarks, timestamp)
+        }));
+        if (this.onResultsCallback) {
+            this.onResultsCallback(results);
+        }
     }
 
     async send(image) {
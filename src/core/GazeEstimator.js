@@ -0,0 +1,286 @@
+import * as THREE from 'three';
+import { EventEmitter } from './EventEmitter.js';
+
+// FaceMesh landmark indices (requires refineLandmarks for the iris centers).
+// Left/right are from the subject's point of view.
+const EYES = [
+    { iris: 468, outer: 33, inner: 133 },   // Right eye
+    { iris: 473, outer: 263, inner: 362 }   // Left eye
+];
+
+/**
+ * Estimates where the user is looking on screen from iris position plus head
+ * pose, and hit-tests the gaze against registered scene objects.
+ *
+ * The iris offset inside each eye (relative to the eye corners, in the head's
+ * frame) gives the eye-in-head angles; the head rotation turns that into a
+ * world direction. The ray is intersected with a virtual screen plane at
+ * `viewingDistance` cm from the eyes, which gives a pointer in normalized
+ * device coordinates. Scene objects are then picked from the camera through
+ * that pointer, like a mouse.
+ *
+ * Events:
+ * - 'gazeEnter' / 'gazeLeave' ({ object }) when the gaze moves onto/off a target
+ * - 'dwell' ({ object, progress }) every frame while looking at a target
+ * - 'select' ({ object }) after looking at a target for `dwellTime` ms
+ */
+export class GazeEstimator extends EventEmitter {
+    constructor(scene, camera, options = {}) {
+        super();
+        this.scene = scene;
+        this.camera = camera;
+
+        this.config = {
+            eyeYawGain: 2.8,        // Radians per eye width of horizontal iris offset
+            eyePitchGain: 4.0,      // Radians per eye width of vertical iris offset
+            viewingDistance: 50,    // Eyes-to-screen distance in cm
+            dwellTime: 1000,        // ms of steady gaze to select
+            smoothing: 0.3,         // Pointer lerp factor per update
+            ...options
+        };
+
+        this.enabled = true;
+        this.targets = [];
+        this.currentTarget = null;
+        this.dwellStart = 0;
+        this.selected = false;
+        this.lastUpdateTime = null;
+
+        // Pointer offset measured by calibrateCenter()
+        this.centerOffset = new THREE.Vector2();
+        this.rawPointer = new THREE.Vector2();
+        this.pointer = new THREE.Vector2();
+        this.hasPointer = false;
+
+        // Accumulated ms of gaze per target, for attention heatmaps
+        this.attention = new Map();
+
+        this.raycaster = new THREE.Raycaster();
+        this.origin = new THREE.Vector3();
+        this.direction = new THREE.Vector3();
+
+        this.init();
+    }
+
+    init() {
+        // Gaze pointer: ring plus a disc that fills up while dwelling
+        this.pointerObject = new THREE.Group();
+        this.pointerObject.visible = false;
+
+        const ringMaterial = new THREE.MeshBasicMaterial({
+            color: 0xffffff,
+            transparent: true,
+            opacity: 0.8,
+            depthTest: false,
+            depthWrite: false
+        });
+        this.pointerRing = new THREE.Mesh(new THREE.RingGeometry(0.12, 0.16, 32), ringMaterial);
+        this.pointerRing.renderOrder = 10;
+
+        this.pointerFill = new THREE.Mesh(new THREE.CircleGeometry(0.12, 32), ringMaterial.clone());
+        this.pointerFill.material.opacity = 0.5;
+        this.pointerFill.renderOrder = 10;
+        this.pointerFill.scale.setScalar(0.001);
+
+        this.pointerObject.add(this.pointerRing, this.pointerFill);
+        this.scene.add(this.pointerObject);
+    }
+
+    addTarget(object) {
+        if (object && !this.targets.includes(object)) {
+            this.targets.push(object);
+        }
+    }
+
+    removeTarget(object) {
+        this.targets = this.targets.filter(target => target !== object);
+        if (this.currentTarget === object) this.setCurrentTarget(null, performance.now());
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.reset();
+    }
+
+    // Drop the current target and hide the pointer (e.g. when the face is lost)
+    reset() {
+        if (this.currentTarget) this.setCurrentTarget(null, performance.now());
+        this.pointerObject.visible = false;
+        this.hasPointer = false;
+        this.lastUpdateTime = null;
+    }
+
+    /**
+     * @param {Array} landmarks - FaceMesh landmarks (478 with refineLandmarks)
+     * @param {HeadPoseSolver} headPose - Solved pose for the same face
+     * @param {number} [xOffset] - Face calibration offset, as used by the head pose
+     * @returns {{origin, direction, pointer, target}|null}
+     */
+    update(landmarks, headPose, xOffset = 0) {
+        if (!this.enabled || !landmarks || landmarks.length < 478 || !headPose.root.visible) return null;
+
+        const now = performance.now();
+        const dt = this.lastUpdateTime === null ? 0 : now - this.lastUpdateTime;
+        this.lastUpdateTime = now;
+
+        const fov = this.camera.fov * (Math.PI / 180);
+        const cameraDistance = 5;
+        const heightAtZero = 2 * Math.tan(fov / 2) * cameraDistance;
+        const widthAtZero = heightAtZero * this.camera.aspect;
+        const toWorld = (index) => {
+            const landmark = landmarks[index];
+            return new THREE.Vector3(
+                -(landmark.x - 0.5) * widthAtZero + xOffset,
+                -(landmark.y - 0.5) * heightAtZero,
+                -landmark.z * widthAtZero
+            );
+        };
+
+        // Head axes in world space
+        const headRight = new THREE.Vector3(1, 0, 0).applyQuaternion(headPose.quaternion);
+        const headUp = new THREE.Vector3(0, 1, 0).applyQuaternion(headPose.quaternion);
+
+        // Average iris offset of both eyes, in eye widths
+        let horizontal = 0;
+        let vertical = 0;
+        this.origin.set(0, 0, 0);
+        for (const eye of EYES) {
+            const outer = toWorld(eye.outer);
+            const inner = toWorld(eye.inner);
+            const iris = toWorld(eye.iris);
+            const center = outer.clone().add(inner).multiplyScalar(0.5);
+            const width = Math.max(outer.distanceTo(inner), 1e-6);
+            const offset = iris.clone().sub(center);
+
+            horizontal += offset.dot(headRight) / width / EYES.length;
+            vertical += offset.dot(headUp) / width / EYES.length;
+            this.origin.addScaledVector(center, 1 / EYES.length);
+        }
+
+        // Eye-in-head direction, then into world space with the head rotation
+        this.direction.set(
+            Math.tan(horizontal * this.config.eyeYawGain),
+            Math.tan(vertical * this.config.eyePitchGain),
+            1
+        ).normalize().applyQuaternion(headPose.quaternion);
+
+        // Intersect with a virtual screen plane in front of the eyes
+        if (this.direction.z <= 1e-3) return null;
+        const distance = this.config.viewingDistance * headPose.scale;
+        const hit = this.origin.clone().addScaledVector(this.direction, distance / this.direction.z);
+        hit.z = 0;
+        hit.project(this.camera);
+        this.rawPointer.set(hit.x, hit.y);
+
+        const target = this.rawPointer.clone().sub(this.centerOffset);
+        if (this.hasPointer) {
+            this.pointer.lerp(target, this.config.smoothing);
+        } else {
+            this.pointer.copy(target);
+            this.hasPointer = true;
+        }
+
+        // Pick scene objects through the pointer, like a mouse
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        const intersections = this.targets.length > 0
+            ? this.raycaster.intersectObjects(this.targets, true)
+            : [];
+        const hitTarget = intersections.length > 0 ? this.findTarget(intersections[0].object) : null;
+
+        this.updateDwell(hitTarget, now, dt);
+        this.updatePointerObject(intersections[0]?.point);
+
+        return {
+            origin: this.origin,
+            direction: this.direction,
+            pointer: this.pointer,
+            target: hitTarget
+        };
+    }
+
+    // Map an intersected mesh back to the registered target that contains it
+    findTarget(object) {
+        for (let node = object; node; node = node.parent) {
+            if (this.targets.includes(node)) return node;
+        }
+        return null;
+    }
+
+    updateDwell(target, now, dt) {
+        if (target !== this.currentTarget) {
+            this.setCurrentTarget(target, now);
+            return;
+        }
+        if (!target) return;
+
+        this.attention.set(target, (this.attention.get(target) || 0) + dt);
+
+        const progress = Math.min((now - this.dwellStart) / this.config.dwellTime, 1);
+        this.emit('dwell', { object: target, progress });
+
+        if (progress >= 1 && !this.selected) {
+            this.selected = true;
+            this.emit('select', { object: target });
+        }
+    }
+
+    setCurrentTarget(target, now) {
+        if (this.currentTarget) {
+            this.emit('gazeLeave', { object: this.currentTarget });
+        }
+        this.currentTarget = target;
+        this.dwellStart = now;
+        this.selected = false;
+        if (target) {
+            this.emit('gazeEnter', { object: target });
+        }
+    }
+
+    updatePointerObject(hitPoint) {
+        if (hitPoint) {
+            this.pointerObject.position.copy(hitPoint);
+        } else {
+            // Unproject the pointer onto the z = 0 plane
+            const point = new THREE.Vector3(this.pointer.x, this.pointer.y, 0.5).unproject(this.camera);
+            const ray = point.sub(this.camera.position).normalize();
+            const t = -this.camera.position.z / ray.z;
+            this.pointerObject.position.copy(this.camera.position).addScaledVector(ray, t);
+        }
+
+        const progress = this.currentTarget
+            ? Math.min((performance.now() - this.dwellStart) / this.config.dwellTime, 1)
+            : 0;
+        this.pointerFill.scale.setScalar(Math.max(progress, 0.001));
+        this.pointerRing.material.color.set(this.selected ? 0x4caf50 : 0xffffff);
+        this.pointerFill.material.color.set(this.selected ? 0x4caf50 : 0xffffff);
+        this.pointerObject.visible = true;
+    }
+
+    // The user looks at the center of the screen: treat the current pointer as (0, 0)
+    calibrateCenter() {
+        this.centerOffset.copy(this.rawPointer);
+        this.hasPointer = false;
+        console.log('👁️ Gaze center calibrated');
+    }
+
+    /**
+     * @returns {Array<{object: THREE.Object3D, ms: number}>} Total gaze time per target
+     */
+    getAttention() {
+        return [...this.attention.entries()]
+            .map(([object, ms]) => ({ object, ms }))
+            .sort((a, b) => b.ms - a.ms);
+    }
+
+    resetAttention() {
+        this.attention.clear();
+    }
+
+    dispose() {
+        this.scene.remove(this.pointerObject);
+        this.pointerRing.geometry.dispose();
+        this.pointerRing.material.dispose();
+        this.pointerFill.geometry.dispose();
+        this.pointerFill.material.dispose();
+    }
+}
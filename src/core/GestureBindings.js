@@ -0,0 +1,76 @@
+/**
+ * Maps gesture events from a GestureRecognizer to named actions (for
+ * example SceneManager.actions), so the experience can be driven touch-free.
+ *
+ * Usage:
+ *   const bindings = new GestureBindings(gestures, sceneManager.actions);
+ *   bindings.bind('swipeLeft', 'moveLeft');
+ */
+export class GestureBindings {
+    /**
+     * @param {GestureRecognizer} recognizer
+     * @param {Object<string, Function>} actions - Action name -> callback ({ hand, gesture })
+     * @param {Object<string, string>} [bindings] - Initial gesture -> action name map
+     */
+    constructor(recognizer, actions, bindings = {}) {
+        this.recognizer = recognizer;
+        this.actions = actions;
+        this.enabled = true;
+
+        // Gesture -> { action, unsubscribe }
+        this.bindings = new Map();
+        for (const [gesture, action] of Object.entries(bindings)) {
+            this.bind(gesture, action);
+        }
+    }
+
+    /**
+     * @param {string} gesture - Event name emitted by the recognizer (e.g. 'swipeLeft', 'fist')
+     * @param {string|null} action - Name in `actions`, or null to unbind
+     */
+    bind(gesture, action) {
+        this.unbind(gesture);
+        if (!action) return;
+
+        if (!this.actions[action]) {
+            console.warn(`⚠️ Unknown action "${action}"`);
+            return;
+        }
+
+        const unsubscribe = this.recognizer.on(gesture, (event) => {
+            if (!this.enabled) return;
+            console.log(`🤚 ${gesture} (${event.hand}) → ${action}`);
+            this.actions[action](event);
+        });
+        this.bindings.set(gesture, { action, unsubscribe });
+    }
+
+    unbind(gesture) {
+        const binding = this.bindings.get(gesture);
+        if (binding) {
+            binding.unsubscribe();
+            this.bindings.delete(gesture);
+        }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    /**
+     * @returns {Object<string, string>} Gesture -> action name
+     */
+    getBindings() {
+        const bindings = {};
+        for (const [gesture, { action }] of this.bindings) {
+            bindings[gesture] = action;
+        }
+        return bindings;
+    }
+
+    dispose() {
+        for (const gesture of [...this.bindings.keys()]) {
+            this.unbind(gesture);
+        }
+    }
+}
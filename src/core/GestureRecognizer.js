@@ -0,0 +1,247 @@
+import { EventEmitter } from './EventEmitter.js';
+import { HAND_LANDMARKS as L, getHandSide } from './handLandmarks.js';
+
+export const STATIC_GESTURES = ['pinch', 'fist', 'openPalm', 'point', 'thumbsUp', 'victory'];
+export const DYNAMIC_GESTURES = ['swipeLeft', 'swipeRight', 'swipeUp', 'swipeDown', 'wave'];
+
+const FINGERS = [
+    { pip: L.indexPip, tip: L.indexTip },
+    { pip: L.middlePip, tip: L.middleTip },
+    { pip: L.ringPip, tip: L.ringTip },
+    { pip: L.pinkyPip, tip: L.pinkyTip }
+];
+
+const PALM = [L.wrist, L.indexMcp, L.middleMcp, L.ringMcp, L.pinkyMcp];
+
+const DEFAULT_CONFIG = {
+    holdFrames: 4,            // Frames a pose must be seen before it starts (and missed before it ends)
+    pinchDistance: 0.3,       // Thumb-index tip distance, in palm lengths
+    extendedRatio: 1.15,      // Tip-to-wrist / pip-to-wrist above which a finger counts as extended
+    swipeWindowMs: 300,       // A swipe must cover swipeDistance within this time
+    swipeDistance: 0.25,      // In image widths / heights
+    waveWindowMs: 1500,
+    waveAmplitude: 0.03,      // Minimum horizontal travel between direction changes
+    waveReversals: 3,         // Direction changes within waveWindowMs to count as a wave
+    cooldownMs: 700,          // After a dynamic gesture, per hand
+    lostAfterMs: 300          // A hand not seen for this long is reset
+};
+
+/**
+ * Recognizes hand gestures from HandTracker results and emits them as events.
+ *
+ * Static poses ('pinch', 'fist', 'openPalm', 'point', 'thumbsUp', 'victory')
+ * are debounced per hand: a pose must hold for `holdFrames` frames to start,
+ * and emits the same name + 'End' (e.g. 'fistEnd') when it stops.
+ *
+ * Dynamic gestures ('swipeLeft', 'swipeRight', 'swipeUp', 'swipeDown',
+ * 'wave') fire once, then the hand is on cooldown for `cooldownMs`.
+ * Directions are as the user sees them on the mirrored video.
+ *
+ * Event payload: { hand: 'left' | 'right', gesture, landmarks }.
+ * 'gesture' is also emitted for every started gesture, with the same payload.
+ *
+ * Usage:
+ *   const gestures = new GestureRecognizer();
+ *   gestures.on('swipeLeft', ({ hand }) => sceneManager.moveCubeLeft());
+ *   gestures.update(results);
+ */
+export class GestureRecognizer extends EventEmitter {
+    constructor(options = {}) {
+        super();
+        // Landmark x is normalized by image width and y by height
+        this.aspect = options.aspect ?? 1280 / 720;
+        this.config = { ...DEFAULT_CONFIG, ...options.config };
+
+        // Per hand side: { pose, candidate, candidateFrames, history, cooldownUntil, lastSeen }
+        this.hands = new Map();
+    }
+
+    /**
+     * @param {Object} results - HandTracker results (multiHandLandmarks, multiHandedness)
+     * @param {number} [timestamp] - Milliseconds
+     */
+    update(results, timestamp = performance.now()) {
+        const seen = new Set();
+
+        (results.multiHandLandmarks || []).forEach((landmarks, i) => {
+            if (landmarks.length < 21) return;
+            const side = getHandSide(results.multiHandedness?.[i]);
+            // Both hands can be reported with the same label; keep the first
+            if (seen.has(side)) return;
+            seen.add(side);
+
+            let hand = this.hands.get(side);
+            if (!hand || timestamp - hand.lastSeen > this.config.lostAfterMs) {
+                if (hand) this.endPose(side, hand, landmarks);
+                hand = { pose: null, candidate: null, candidateFrames: 0, history: [], cooldownUntil: 0, lastSeen: timestamp };
+                this.hands.set(side, hand);
+            }
+            hand.lastSeen = timestamp;
+
+            this.updatePose(side, hand, landmarks);
+            this.updateMotion(side, hand, landmarks, timestamp);
+        });
+
+        // Hands that disappeared end their pose
+        for (const [side, hand] of this.hands) {
+            if (!seen.has(side) && timestamp - hand.lastSeen > this.config.lostAfterMs) {
+                this.endPose(side, hand, null);
+                this.hands.delete(side);
+            }
+        }
+    }
+
+    updatePose(side, hand, landmarks) {
+        const pose = this.classifyPose(landmarks);
+
+        if (pose === hand.candidate) {
+            hand.candidateFrames++;
+        } else {
+            hand.candidate = pose;
+            hand.candidateFrames = 1;
+        }
+
+        if (hand.candidate !== hand.pose && hand.candidateFrames >= this.config.holdFrames) {
+            this.endPose(side, hand, landmarks);
+            hand.pose = hand.candidate;
+            if (hand.pose) this.fire(hand.pose, side, landmarks);
+        }
+    }
+
+    endPose(side, hand, landmarks) {
+        if (!hand.pose) return;
+        this.emit(`${hand.pose}End`, { hand: side, gesture: hand.pose, landmarks });
+        hand.pose = null;
+    }
+
+    fire(gesture, side, landmarks) {
+        const payload = { hand: side, gesture, landmarks };
+        this.emit(gesture, payload);
+        this.emit('gesture', payload);
+    }
+
+    /**
+     * @param {Array} landmarks - 21 hand landmarks
+     * @returns {string|null} One of STATIC_GESTURES, or null
+     */
+    classifyPose(landmarks) {
+        const point = (index) => {
+            const landmark = landmarks[index];
+            return [landmark.x * this.aspect, landmark.y, landmark.z * this.aspect];
+        };
+        const distance = (a, b) => {
+            const pa = point(a);
+            const pb = point(b);
+            return Math.hypot(pa[0] - pb[0], pa[1] - pb[1], pa[2] - pb[2]);
+        };
+
+        const palmLength = Math.max(distance(L.wrist, L.middleMcp), 1e-6);
+        const extended = FINGERS.map(({ pip, tip }) =>
+            distance(L.wrist, tip) > distance(L.wrist, pip) * this.config.extendedRatio
+        );
+        const [index, middle, ring, pinky] = extended;
+        const extendedCount = extended.filter(Boolean).length;
+        // Thumb is out when its tip points away from the palm and is clear of the index base
+        const thumb = distance(L.thumbTip, L.pinkyMcp) > distance(L.thumbIp, L.pinkyMcp) &&
+            distance(L.thumbTip, L.indexMcp) > palmLength * 0.6;
+
+        // Pinch: tips together with the index reaching out (in a fist the thumb rests on a curled index)
+        const indexReaching = distance(L.wrist, L.indexTip) > distance(L.wrist, L.indexMcp) * 1.3;
+        if (indexReaching && distance(L.thumbTip, L.indexTip) / palmLength < this.config.pinchDistance) return 'pinch';
+        if (extendedCount === 0) {
+            // Thumb pointing up (image y grows downward)
+            const thumbUp = landmarks[L.thumbTip].y < landmarks[L.thumbMcp].y - 0.5 * palmLength;
+            if (thumb && thumbUp) return 'thumbsUp';
+            return 'fist';
+        }
+        if (index && !middle && !ring && !pinky) return 'point';
+        if (index && middle && !ring && !pinky) return 'victory';
+        if (extendedCount === 4 && thumb) return 'openPalm';
+        return null;
+    }
+
+    updateMotion(side, hand, landmarks, timestamp) {
+        // Palm center, x mirrored so directions match what the user sees
+        let x = 0;
+        let y = 0;
+        for (const index of PALM) {
+            x += (1 - landmarks[index].x) / PALM.length;
+            y += landmarks[index].y / PALM.length;
+        }
+        hand.history.push({ x, y, t: timestamp, open: hand.candidate === 'openPalm' });
+
+        const oldest = timestamp - Math.max(this.config.swipeWindowMs, this.config.waveWindowMs);
+        while (hand.history.length > 0 && hand.history[0].t < oldest) hand.history.shift();
+
+        if (timestamp < hand.cooldownUntil) return;
+
+        const gesture = this.detectSwipe(hand.history, timestamp) || this.detectWave(hand.history, timestamp);
+        if (gesture) {
+            this.fire(gesture, side, landmarks);
+            hand.cooldownUntil = timestamp + this.config.cooldownMs;
+            hand.history = [];
+        }
+    }
+
+    detectSwipe(history, timestamp) {
+        const recent = history.filter(sample => sample.t >= timestamp - this.config.swipeWindowMs);
+        if (recent.length < 3) return null;
+
+        const first = recent[0];
+        const last = recent[recent.length - 1];
+        const dx = last.x - first.x;
+        const dy = last.y - first.y;
+
+        if (Math.abs(dx) >= this.config.swipeDistance && Math.abs(dx) > 2 * Math.abs(dy)) {
+            return dx > 0 ? 'swipeRight' : 'swipeLeft';
+        }
+        if (Math.abs(dy) >= this.config.swipeDistance && Math.abs(dy) > 2 * Math.abs(dx)) {
+            return dy > 0 ? 'swipeDown' : 'swipeUp';
+        }
+        return null;
+    }
+
+    // Open palm moving side to side: count direction changes of enough amplitude
+    detectWave(history, timestamp) {
+        const recent = history.filter(sample => sample.t >= timestamp - this.config.waveWindowMs);
+        if (recent.length < 6 || !recent.every(sample => sample.open)) return null;
+
+        let reversals = 0;
+        let direction = 0;
+        let extreme = recent[0].x; // Furthest point of the current stroke
+        for (const { x } of recent) {
+            const delta = x - extreme;
+            if (direction === 0) {
+                if (Math.abs(delta) >= this.config.waveAmplitude) {
+                    direction = Math.sign(delta);
+                    extreme = x;
+                }
+            } else if (Math.sign(delta) === direction) {
+                extreme = x;
+            } else if (Math.abs(delta) >= this.config.waveAmplitude) {
+                reversals++;
+                direction = -direction;
+                extreme = x;
+            }
+        }
+        return reversals >= this.config.waveReversals ? 'wave' : null;
+    }
+
+    /**
+     * @returns {Object} Current debounced pose per hand, e.g. { left: 'fist', right: null }
+     */
+    getPoses() {
+        const poses = {};
+        for (const [side, hand] of this.hands) {
+            poses[side] = hand.pose;
+        }
+        return poses;
+    }
+
+    reset() {
+        for (const [side, hand] of this.hands) {
+            this.endPose(side, hand, null);
+        }
+        this.hands.clear();
+    }
+}
@@ -0,0 +1,229 @@
+import * as THREE from 'three';
+import { EventEmitter } from './EventEmitter.js';
+import { HAND_LANDMARKS as L, getHandSide, handLandmarkToWorld } from './handLandmarks.js';
+
+/**
+ * Pinch-to-grab manipulation of scene objects.
+ *
+ * A hand grabs a target when it pinches (thumb and index tips together)
+ * within `grabDistance` of the target's bounding box, drags it while the
+ * pinch holds, and lets go when the fingers open. When both hands hold the
+ * same target, their pinch points act like a two-finger touch gesture: the
+ * distance between them scales the target, the line between them rotates it
+ * and their midpoint moves it.
+ *
+ * Uses the same calibrated mapping as the drawn hands (handLandmarkToWorld).
+ *
+ * Events (payload: { object, hand }):
+ * - 'grab' / 'release' for each hand
+ * - 'move' every frame a target is held
+ */
+export class GrabController extends EventEmitter {
+    constructor(camera, options = {}) {
+        super();
+        this.camera = camera;
+
+        this.config = {
+            grabDistance: 0.3,   // World units between pinch point and bounding box
+            pinchOn: 0.35,       // Thumb-index distance, in palm lengths, to start a pinch
+            pinchOff: 0.55,      // ...and to release it (hysteresis)
+            minScale: 0.1,
+            maxScale: 5,
+            ...options
+        };
+
+        this.enabled = true;
+        this.targets = [];
+
+        // Per hand side: { pinching, point: Vector3, object, offset: Vector3 }
+        this.hands = new Map();
+        // Two-hand manipulation started when both hands hold the same object
+        this.twoHand = null;
+
+        this.box = new THREE.Box3();
+        this.thumb = new THREE.Vector3();
+        this.index = new THREE.Vector3();
+        this.wrist = new THREE.Vector3();
+        this.middleMcp = new THREE.Vector3();
+    }
+
+    addTarget(object) {
+        if (object && !this.targets.includes(object)) {
+            this.targets.push(object);
+        }
+    }
+
+    removeTarget(object) {
+        this.targets = this.targets.filter(target => target !== object);
+        for (const [side, hand] of this.hands) {
+            if (hand.object === object) this.release(side, hand);
+        }
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) this.releaseAll();
+    }
+
+    /**
+     * @param {Object} results - HandTracker results (multiHandLandmarks, multiHandedness)
+     * @param {Object} calibration - { offsetY, scale, depthScale } from SceneManager
+     */
+    update(results, calibration) {
+        if (!this.enabled) return;
+
+        const seen = new Set();
+        (results.multiHandLandmarks || []).forEach((landmarks, i) => {
+            if (landmarks.length < 21) return;
+            const side = getHandSide(results.multiHandedness?.[i]);
+            if (seen.has(side)) return;
+            seen.add(side);
+
+            let hand = this.hands.get(side);
+            if (!hand) {
+                hand = { pinching: false, point: new THREE.Vector3(), object: null, offset: new THREE.Vector3() };
+                this.hands.set(side, hand);
+            }
+            this.updateHand(side, hand, landmarks, calibration);
+        });
+
+        // Lost hands let go
+        for (const [side, hand] of this.hands) {
+            if (!seen.has(side)) {
+                this.release(side, hand);
+                this.hands.delete(side);
+            }
+        }
+
+        this.applyGrabs();
+    }
+
+    updateHand(side, hand, landmarks, calibration) {
+        handLandmarkToWorld(landmarks[L.thumbTip], this.camera, calibration, this.thumb);
+        handLandmarkToWorld(landmarks[L.indexTip], this.camera, calibration, this.index);
+        handLandmarkToWorld(landmarks[L.wrist], this.camera, calibration, this.wrist);
+        handLandmarkToWorld(landmarks[L.middleMcp], this.camera, calibration, this.middleMcp);
+
+        const palmLength = Math.max(this.wrist.distanceTo(this.middleMcp), 1e-6);
+        const pinch = this.thumb.distanceTo(this.index) / palmLength;
+        hand.point.addVectors(this.thumb, this.index).multiplyScalar(0.5);
+
+        if (!hand.pinching && pinch < this.config.pinchOn) {
+            hand.pinching = true;
+            const object = this.findTarget(hand.point);
+            if (object) this.grab(side, hand, object);
+        } else if (hand.pinching && pinch > this.config.pinchOff) {
+            hand.pinching = false;
+            this.release(side, hand);
+        }
+    }
+
+    // Closest target whose bounding box is within reach of the pinch point
+    findTarget(point) {
+        let closest = null;
+        let closestDistance = this.config.grabDistance;
+        for (const target of this.targets) {
+            if (!target.visible) continue;
+            const distance = this.box.setFromObject(target).distanceToPoint(point);
+            if (distance <= closestDistance) {
+                closest = target;
+                closestDistance = distance;
+            }
+        }
+        return closest;
+    }
+
+    grab(side, hand, object) {
+        hand.object = object;
+        hand.offset.subVectors(object.position, hand.point);
+        this.twoHand = null; // Re-evaluated in applyGrabs
+        this.emit('grab', { object, hand: side });
+    }
+
+    release(side, hand) {
+        if (!hand.object) return;
+        const object = hand.object;
+        hand.object = null;
+        this.twoHand = null;
+
+        // The other hand keeps holding: restart its one-hand drag from here
+        for (const other of this.hands.values()) {
+            if (other.object === object) other.offset.subVectors(object.position, other.point);
+        }
+        this.emit('release', { object, hand: side });
+    }
+
+    releaseAll() {
+        for (const [side, hand] of this.hands) {
+            this.release(side, hand);
+        }
+        this.hands.clear();
+    }
+
+    applyGrabs() {
+        const holding = [...this.hands.values()].filter(hand => hand.object);
+        if (holding.length === 0) return;
+
+        const [first, second] = holding;
+        if (second && first.object === second.object) {
+            this.applyTwoHand(first, second);
+        } else {
+            for (const hand of holding) {
+                hand.object.position.addVectors(hand.point, hand.offset);
+            }
+        }
+
+        for (const [side, hand] of this.hands) {
+            if (hand.object) this.emit('move', { object: hand.object, hand: side });
+        }
+    }
+
+    applyTwoHand(first, second) {
+        const object = first.object;
+        const span = new THREE.Vector3().subVectors(second.point, first.point);
+        const midpoint = new THREE.Vector3().addVectors(first.point, second.point).multiplyScalar(0.5);
+
+        if (!this.twoHand || this.twoHand.object !== object) {
+            this.twoHand = {
+                object,
+                span: span.clone(),
+                midpoint: midpoint.clone(),
+                position: object.position.clone(),
+                quaternion: object.quaternion.clone(),
+                scale: object.scale.clone()
+            };
+            return;
+        }
+
+        const start = this.twoHand;
+        const startLength = Math.max(start.span.length(), 1e-6);
+
+        // Scale with the distance between the hands (relative to the start scale)
+        const factor = THREE.MathUtils.clamp(
+            span.length() / startLength,
+            this.config.minScale / start.scale.x,
+            this.config.maxScale / start.scale.x
+        );
+        object.scale.copy(start.scale).multiplyScalar(factor);
+
+        // Rotate with the line between the hands
+        const rotation = new THREE.Quaternion().setFromUnitVectors(
+            start.span.clone().normalize(),
+            span.clone().normalize()
+        );
+        object.quaternion.copy(rotation).multiply(start.quaternion);
+
+        // Move with their midpoint
+        object.position.copy(start.position).add(midpoint.sub(start.midpoint));
+    }
+
+    /**
+     * @returns {boolean} Whether any hand is holding `object`
+     */
+    isHolding(object) {
+        for (const hand of this.hands.values()) {
+            if (hand.object === object) return true;
+        }
+        return false;
+    }
+}
@@ -0,0 +1,325 @@
+import { EventEmitter } from './EventEmitter.js';
+import { HAND_LANDMARKS as L } from './handLandmarks.js';
+
+// On-screen targets, as fractions of the half width / half height of the view at z = 0
+const TARGETS = [
+    { x: 0, y: 0 },
+    { x: -0.6, y: 0.5 },
+    { x: 0.6, y: 0.5 },
+    { x: 0.6, y: -0.5 },
+    { x: -0.6, y: -0.5 }
+];
+
+const NOSE_TIP = 1; // FaceMesh landmark
+
+const DEFAULT_CONFIG = {
+    holdMs: 1000,           // Fingertip must stay still this long to take a sample
+    stableRadius: 0.015,    // Normalized image units
+    moveAway: 0.05,         // Distance from the previous sample before the next hold starts
+    noseRadius: 0.06,       // Fingertip within this distance of the nose counts as touching it
+    pointingRatio: 0.5,     // Index 2D length / flat length below which it points at the camera
+    maxError: 0.5,          // RMS error (world units) at which quality drops to 0
+    minQuality: 0.5,        // Below this the calibration counts as failed
+    limits: {               // Same ranges as the panel sliders
+        offsetY: [-2, 2],
+        scale: [0.5, 2],
+        depthScale: [0, 2]
+    }
+};
+
+/**
+ * Guided hand-to-screen calibration.
+ *
+ * Steps:
+ * - 'target': touch each on-screen target with the index fingertip and hold still
+ * - 'nose': touch your nose, matched against the face mapping
+ * - 'depth': point the index finger straight at the camera; its
+ *   foreshortening against the flat finger length fixes the depth scale
+ *
+ * Then offsetY and scale are fitted with least squares over all touches
+ * (depthScale separately) and a quality score is computed from the residual.
+ *
+ * Events:
+ * - 'step': { step, index, total, target } when a step starts (target is a world position or null)
+ * - 'progress': { step, progress } while holding (0..1)
+ * - 'complete': { calibration, quality, rms, depthError, success }
+ * - 'cancel'
+ */
+export class HandCalibrator extends EventEmitter {
+    constructor(camera, options = {}) {
+        super();
+        this.camera = camera;
+        // Landmark x is normalized by image width and y by height
+        this.aspect = options.aspect ?? 1280 / 720;
+        this.config = { ...DEFAULT_CONFIG, ...options.config };
+
+        this.active = false;
+        this.steps = [];
+        this.stepIndex = 0;
+        this.samples = [];
+        this.hold = [];
+        this.lastSample = null;
+    }
+
+    /**
+     * @param {Object} current - Current { offsetY, scale, depthScale }, kept for anything that cannot be fitted
+     * @param {number} [faceOffsetX] - faceCalibration.offsetX, so the nose is where the face content is drawn
+     */
+    start(current, faceOffsetX = 0) {
+        const { width, height } = this.getViewSize();
+        this.current = { ...current };
+        this.faceOffsetX = faceOffsetX;
+        this.steps = [
+            ...TARGETS.map(({ x, y }) => ({
+                type: 'target',
+                target: { x: x * width / 2, y: y * height / 2, z: 0 }
+            })),
+            { type: 'nose', target: null },
+            { type: 'depth', target: null }
+        ];
+        this.stepIndex = 0;
+        this.samples = [];
+        this.fingerLengths = [];
+        this.lastSample = null;
+        this.active = true;
+        this.beginStep();
+    }
+
+    cancel() {
+        if (!this.active) return;
+        this.active = false;
+        this.emit('cancel');
+    }
+
+    beginStep() {
+        this.hold = [];
+        const step = this.steps[this.stepIndex];
+        this.emit('step', { step: step.type, index: this.stepIndex, total: this.steps.length, target: step.target });
+    }
+
+    /**
+     * Feed every hand frame while active.
+     * @param {Object} results - HandTracker results (multiHandLandmarks)
+     * @param {Array} [faceLandmarks] - Landmarks of one tracked face, needed for the nose step
+     * @param {number} [timestamp] - Milliseconds
+     */
+    update(results, faceLandmarks, timestamp = performance.now()) {
+        if (!this.active) return;
+
+        const landmarks = results.multiHandLandmarks?.[0];
+        if (!landmarks || landmarks.length < 21) {
+            this.hold = [];
+            return;
+        }
+
+        const step = this.steps[this.stepIndex];
+        const tip = landmarks[L.indexTip];
+
+        // Wait for the hand to leave the previous spot so one hold is not counted twice
+        if (this.lastSample) {
+            if (this.imageDistance(tip, this.lastSample) < this.config.moveAway) return;
+            this.lastSample = null;
+        }
+
+        if (!this.isReady(step, landmarks, faceLandmarks)) {
+            this.hold = [];
+            this.emit('progress', { step: step.type, progress: 0 });
+            return;
+        }
+
+        // Restart the hold when the fingertip moves
+        if (this.hold.length > 0 && this.imageDistance(tip, this.hold[0].landmarks[L.indexTip]) > this.config.stableRadius) {
+            this.hold = [];
+        }
+        this.hold.push({ landmarks, faceLandmarks, t: timestamp });
+
+        const progress = Math.min((timestamp - this.hold[0].t) / this.config.holdMs, 1);
+        this.emit('progress', { step: step.type, progress });
+        if (progress < 1) return;
+
+        this.takeSample(step);
+        this.lastSample = { x: tip.x, y: tip.y };
+
+        this.stepIndex++;
+        if (this.stepIndex < this.steps.length) {
+            this.beginStep();
+        } else {
+            this.finish();
+        }
+    }
+
+    isReady(step, landmarks, faceLandmarks) {
+        if (step.type === 'nose') {
+            const nose = faceLandmarks?.[NOSE_TIP];
+            return !!nose && this.imageDistance(landmarks[L.indexTip], nose) < this.config.noseRadius;
+        }
+        if (step.type === 'depth') {
+            const flatLength = this.getFingerLength();
+            return flatLength > 0 &&
+                this.imageDistance(landmarks[L.indexTip], landmarks[L.indexMcp]) < flatLength * this.config.pointingRatio;
+        }
+        return true;
+    }
+
+    takeSample(step) {
+        const average = (index, frames) => {
+            const sum = { x: 0, y: 0, z: 0 };
+            for (const frame of frames) {
+                sum.x += frame[index].x / frames.length;
+                sum.y += frame[index].y / frames.length;
+                sum.z += frame[index].z / frames.length;
+            }
+            return sum;
+        };
+        const hands = this.hold.map(frame => frame.landmarks);
+        const tip = average(L.indexTip, hands);
+        const mcp = average(L.indexMcp, hands);
+
+        if (step.type === 'target') {
+            this.samples.push({ type: 'xy', landmark: tip, target: step.target });
+            // Flat finger length, used as the known length in the depth step
+            this.fingerLengths.push(this.imageDistance(tip, mcp));
+        } else if (step.type === 'nose') {
+            const nose = average(NOSE_TIP, this.hold.map(frame => frame.faceLandmarks));
+            this.samples.push({ type: 'xy', landmark: tip, target: this.faceToWorld(nose) });
+        } else if (step.type === 'depth') {
+            this.samples.push({
+                type: 'depth',
+                depth: Math.abs(tip.z - mcp.z),
+                length: this.imageDistance(tip, mcp),
+                flatLength: this.getFingerLength()
+            });
+        }
+    }
+
+    finish() {
+        this.active = false;
+        const result = fitHandCalibration(this.samples, this.getViewSize(), this.current, this.config);
+        console.log(`🧭 Hand calibration: quality ${(result.quality * 100).toFixed(0)}%, RMS ${result.rms.toFixed(3)}`, result.calibration);
+        this.emit('complete', result);
+    }
+
+    getFingerLength() {
+        if (this.fingerLengths.length === 0) return 0;
+        return this.fingerLengths.reduce((sum, length) => sum + length, 0) / this.fingerLengths.length;
+    }
+
+    // Distance in image width units, with y rescaled from height units
+    imageDistance(a, b) {
+        return Math.hypot(a.x - b.x, (a.y - b.y) / this.aspect);
+    }
+
+    // Same mapping as the face occluder
+    faceToWorld(landmark) {
+        const { width, height } = this.getViewSize();
+        return { x: -(landmark.x - 0.5) * width + this.faceOffsetX, y: -(landmark.y - 0.5) * height, z: 0 };
+    }
+
+    getViewSize() {
+        const fov = this.camera.fov * (Math.PI / 180);
+        const cameraDistance = 5; // Camera is at z=5
+        const height = 2 * Math.tan(fov / 2) * cameraDistance;
+        return { width: height * this.camera.aspect, height };
+    }
+}
+
+/**
+ * Least-squares fit of the hand calibration to calibration samples.
+ *
+ * The hand mapping is linear in its parameters:
+ *   worldX = -(x - 0.5) * width * scale
+ *   worldY = -(y - 0.5) * height * scale + offsetY
+ *   worldZ = z * width * depthScale
+ * so offsetY and scale come from one linear system over all 'xy' samples,
+ * and depthScale from the 'depth' samples.
+ *
+ * @param {Array<Object>} samples - From HandCalibrator
+ * @param {{width: number, height: number}} view - Visible size at z = 0
+ * @param {Object} current - { offsetY, scale, depthScale } used when a parameter cannot be fitted
+ * @param {Object} config - maxError, minQuality and limits
+ * @returns {{calibration: Object, quality: number, rms: number, depthError: number|null, success: boolean}}
+ */
+export function fitHandCalibration(samples, view, current, config = DEFAULT_CONFIG) {
+    const clamp = (value, [min, max]) => Math.min(Math.max(value, min), max);
+    const calibration = { ...current };
+
+    // Unknowns: [scale, offsetY]
+    const rows = [];
+    const values = [];
+    for (const { landmark, target } of samples.filter(sample => sample.type === 'xy')) {
+        rows.push([-(landmark.x - 0.5) * view.width, 0]);
+        values.push(target.x);
+        rows.push([-(landmark.y - 0.5) * view.height, 1]);
+        values.push(target.y);
+    }
+
+    const solution = rows.length >= 4 ? solveLeastSquares(rows, values) : null;
+    if (solution) {
+        calibration.scale = clamp(solution[0], config.limits.scale);
+        calibration.offsetY = clamp(solution[1], config.limits.offsetY);
+    }
+
+    // Residual of the clamped result, per touched point
+    let squaredError = 0;
+    rows.forEach((row, i) => {
+        const predicted = row[0] * calibration.scale + row[1] * calibration.offsetY;
+        squaredError += (predicted - values[i]) ** 2;
+    });
+    const pointCount = rows.length / 2;
+    const rms = pointCount > 0 ? Math.sqrt(squaredError / pointCount) : Infinity;
+
+    // Depth: foreshortened finger depth should match its missing 2D length,
+    // in the same proportion as x (scale) maps to world
+    let depthError = null;
+    const depthRows = [];
+    const depthValues = [];
+    for (const { depth, length, flatLength } of samples.filter(sample => sample.type === 'depth')) {
+        depthRows.push([depth]);
+        depthValues.push(Math.sqrt(Math.max(flatLength ** 2 - length ** 2, 0)));
+    }
+    const depthSolution = depthRows.length > 0 ? solveLeastSquares(depthRows, depthValues) : null;
+    if (depthSolution && depthSolution[0] > 0) {
+        calibration.depthScale = clamp(depthSolution[0] * calibration.scale, config.limits.depthScale);
+        const depthRms = Math.sqrt(depthRows.reduce(
+            (sum, [depth], i) => sum + (depth * depthSolution[0] - depthValues[i]) ** 2, 0
+        ) / depthRows.length);
+        depthError = depthRms / Math.max(Math.max(...depthValues), 1e-6);
+    }
+
+    const quality = solution ? Math.min(Math.max(1 - rms / config.maxError, 0), 1) : 0;
+    return {
+        calibration,
+        quality,
+        rms,
+        depthError,
+        success: quality >= config.minQuality
+    };
+}
+
+// Normal equations (AᵀA x = Aᵀb) solved with Gaussian elimination; null if singular
+function solveLeastSquares(rows, values) {
+    const n = rows[0].length;
+    const matrix = Array.from({ length: n }, () => new Array(n + 1).fill(0));
+    rows.forEach((row, k) => {
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j < n; j++) matrix[i][j] += row[i] * row[j];
+            matrix[i][n] += row[i] * values[k];
+        }
+    });
+
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(matrix[row][col]) > Math.abs(matrix[pivot][col])) pivot = row;
+        }
+        if (Math.abs(matrix[pivot][col]) < 1e-9) return null;
+        [matrix[col], matrix[pivot]] = [matrix[pivot], matrix[col]];
+
+        for (let row = 0; row < n; row++) {
+            if (row === col) continue;
+            const factor = matrix[row][col] / matrix[col][col];
+            for (let j = col; j <= n; j++) matrix[row][j] -= factor * matrix[col][j];
+        }
+    }
+    return matrix.map((row, i) => row[n] / row[i]);
+}
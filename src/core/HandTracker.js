@@ -1,18 +1,27 @@
 import { Hands } from '@mediapipe/hands';
+import { LandmarkFilter } from '../filters/LandmarkFilter.js';
+import { mediapipeLocateFile, withTimeout, ASSET_LOAD_TIMEOUT } from './assets.js';
 
 export class HandTracker {
-    constructor() {
+    constructor(options = {}) {
         this.hands = null;
         this.onResultsCallback = null;
+
+        // Landmark smoothing, one stream per hand (can be shared/tuned from outside)
+        this.filter = options.filter ?? new LandmarkFilter();
+
+        // Optional SessionRecorder, receives the raw results
+        this.recorder = null;
     }
 
+    /**
+     * @returns {Promise<void>} Resolves once the model is loaded, rejects on failure or timeout
+     */
     init(onResultsCallback) {
         this.onResultsCallback = onResultsCallback;
 
         this.hands = new Hands({
-            locateFile: (file) => {
-                return `https://cdn.jsdelivr.net/npm/@mediapipe/hands/${file}`;
-            }
+            locateFile: mediapipeLocateFile('hands')
         });
 
         this.hands.setOptions({
@@ -22,10 +31,40 @@ export class HandTracker {
             minTrackingConfidence: 0.5
         });
 
-        this.hands.onResults((results) => {
-            if (this.onResultsCallback) {
-                this.onResultsCallback(results);
-            }
+        this.hands.onResults((results) => this.handleResults(results));
+
+        return withTimeout(this.hands.initialize(), ASSET_LOAD_TIMEOUT, 'Hands model')
+            .catch((error) => {
+                // Stop send() from retrying the download every frame
+                this.hands = null;
+                throw error;
+            });
+    }
+
+    // Also the entry point for replayed sessions, which bypass MediaPipe entirely
+    handleResults(results) {
+        if (this.recorder) {
+            this.recorder.recordHands(results);
+        }
+
+        this.filterResults(results);
+        if (this.onResultsCallback) {
+            this.onResultsCallback(results);
+        }
+    }
+
+    // Replace multiHandLandmarks with filtered copies, keyed by handedness
+    filterResults(results) {
+        if (!results.multiHandLandmarks) return;
+
+        const timestamp = performance.now();
+        const usedKeys = new Set();
+        results.multiHandLandmarks = results.multiHandLandmarks.map((landmarks, i) => {
+            let key = `hand-${results.multiHandedness?.[i]?.label ?? i}`;
+            // Both hands can be reported with the same label
+            if (usedKeys.has(key)) key += `-${i}`;
+            usedKeys.add(key);
+            return this.filter.filter(key, landmarks, timestamp);
         });
     }
 
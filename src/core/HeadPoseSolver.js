@@ -0,0 +1,228 @@
+import * as THREE from 'three';
+import { CANONICAL_FACE_VERTICES, PROCRUSTES_LANDMARK_BASIS } from './canonicalFaceModel.js';
+
+/**
+ * Named attachment points, in canonical face model space (centimeters).
+ * Left/right are from the subject's point of view.
+ */
+export const FACE_ANCHORS = {
+    noseTip: [0.0, -1.1269, 7.4756],   // Landmark 1
+    forehead: [0.0, 6.5450, 5.0270],   // Landmark 151
+    leftEar: [8.0, 0.3, -4.5],         // Behind landmark 454
+    rightEar: [-8.0, 0.3, -4.5],       // Behind landmark 234
+    chin: [0.0, -9.4033, 4.2641]       // Landmark 152
+};
+
+/**
+ * Fits the canonical face model to FaceMesh landmarks every frame and
+ * exposes the resulting 6-DoF pose (position, rotation, uniform scale).
+ *
+ * The pose is applied to `root`, a group holding one Object3D per entry in
+ * FACE_ANCHORS. Anything parented to an anchor follows the head; one local
+ * unit equals one centimeter of face.
+ */
+export class HeadPoseSolver {
+    constructor(scene) {
+        this.scene = scene;
+
+        this.position = new THREE.Vector3();
+        this.quaternion = new THREE.Quaternion();
+        this.scale = 1;
+
+        this.root = new THREE.Group();
+        this.root.visible = false;
+        this.anchors = {};
+
+        // Canonical points for the fit, mirrored on X to match the video
+        this.modelPoints = PROCRUSTES_LANDMARK_BASIS.map(({ index }) => toMirroredModelSpace(
+            CANONICAL_FACE_VERTICES[index * 3],
+            CANONICAL_FACE_VERTICES[index * 3 + 1],
+            CANONICAL_FACE_VERTICES[index * 3 + 2]
+        ));
+        this.weights = PROCRUSTES_LANDMARK_BASIS.map(({ weight }) => weight);
+        this.worldPoints = this.modelPoints.map(() => new THREE.Vector3());
+
+        this.init();
+    }
+
+    init() {
+        for (const [name, [x, y, z]] of Object.entries(FACE_ANCHORS)) {
+            const anchor = new THREE.Object3D();
+            anchor.name = name;
+            anchor.position.copy(toMirroredModelSpace(x, y, z));
+            this.root.add(anchor);
+            this.anchors[name] = anchor;
+        }
+
+        this.scene.add(this.root);
+    }
+
+    update(landmarks, camera, xOffset = 0) {
+        if (!landmarks || landmarks.length < CANONICAL_FACE_VERTICES.length / 3) return null;
+
+        // Same landmark-to-world mapping as the occluder (camera at z = 5, looking at z = 0)
+        const fov = camera.fov * (Math.PI / 180);
+        const cameraDistance = 5;
+        const heightAtZero = 2 * Math.tan(fov / 2) * cameraDistance;
+        const widthAtZero = heightAtZero * camera.aspect;
+
+        PROCRUSTES_LANDMARK_BASIS.forEach(({ index }, i) => {
+            const landmark = landmarks[index];
+            // Invert X to match mirrored video; MediaPipe Z is normalized by image width
+            this.worldPoints[i].set(
+                -(landmark.x - 0.5) * widthAtZero + xOffset,
+                -(landmark.y - 0.5) * heightAtZero,
+                -landmark.z * widthAtZero
+            );
+        });
+
+        solveSimilarity(this.modelPoints, this.worldPoints, this.weights, this);
+
+        this.root.position.copy(this.position);
+        this.root.quaternion.copy(this.quaternion);
+        this.root.scale.setScalar(this.scale);
+        this.root.visible = true;
+
+        return {
+            position: this.position,
+            quaternion: this.quaternion,
+            rotation: new THREE.Euler().setFromQuaternion(this.quaternion),
+            scale: this.scale
+        };
+    }
+
+    getAnchor(name) {
+        const anchor = this.anchors[name];
+        if (!anchor) {
+            throw new Error(`Unknown face anchor "${name}". Available: ${Object.keys(this.anchors).join(', ')}`);
+        }
+        return anchor;
+    }
+
+    attach(object, anchorName = 'noseTip') {
+        this.getAnchor(anchorName).add(object);
+        return object;
+    }
+
+    setVisible(visible) {
+        this.root.visible = visible;
+    }
+
+    dispose() {
+        this.scene.remove(this.root);
+    }
+}
+
+function toMirroredModelSpace(x, y, z) {
+    // The video is mirrored, so the canonical model must be too for the
+    // fitted transform to stay a proper rotation
+    return new THREE.Vector3(-x, y, z);
+}
+
+/**
+ * Weighted similarity transform (rotation, translation, uniform scale)
+ * mapping `source` onto `target`, using Horn's closed-form quaternion method.
+ */
+function solveSimilarity(source, target, weights, out) {
+    const sourceCenter = new THREE.Vector3();
+    const targetCenter = new THREE.Vector3();
+    let totalWeight = 0;
+
+    for (let i = 0; i < source.length; i++) {
+        sourceCenter.addScaledVector(source[i], weights[i]);
+        targetCenter.addScaledVector(target[i], weights[i]);
+        totalWeight += weights[i];
+    }
+    sourceCenter.divideScalar(totalWeight);
+    targetCenter.divideScalar(totalWeight);
+
+    // Weighted cross-covariance S = sum(w * s * t^T) and spreads for the scale
+    const S = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+    const s = new THREE.Vector3();
+    const t = new THREE.Vector3();
+    let sourceSpread = 0;
+    let targetSpread = 0;
+
+    for (let i = 0; i < source.length; i++) {
+        s.subVectors(source[i], sourceCenter);
+        t.subVectors(target[i], targetCenter);
+        const w = weights[i];
+        const sa = [s.x, s.y, s.z];
+        const ta = [t.x, t.y, t.z];
+        for (let r = 0; r < 3; r++) {
+            for (let c = 0; c < 3; c++) {
+                S[r][c] += w * sa[r] * ta[c];
+            }
+        }
+        sourceSpread += w * s.lengthSq();
+        targetSpread += w * t.lengthSq();
+    }
+
+    const [[xx, xy, xz], [yx, yy, yz], [zx, zy, zz]] = S;
+    const N = [
+        [xx + yy + zz, yz - zy, zx - xz, xy - yx],
+        [yz - zy, xx - yy - zz, xy + yx, zx + xz],
+        [zx - xz, xy + yx, -xx + yy - zz, yz + zy],
+        [xy - yx, zx + xz, yz + zy, -xx - yy + zz]
+    ];
+
+    const [qw, qx, qy, qz] = largestEigenvector(N);
+    out.quaternion.set(qx, qy, qz, qw).normalize();
+    out.scale = sourceSpread > 0 ? Math.sqrt(targetSpread / sourceSpread) : 1;
+
+    // t = targetCenter - scale * R * sourceCenter
+    out.position.copy(sourceCenter)
+        .applyQuaternion(out.quaternion)
+        .multiplyScalar(-out.scale)
+        .add(targetCenter);
+}
+
+// Jacobi eigenvalue iteration for a symmetric 4x4 matrix
+function largestEigenvector(matrix) {
+    const a = matrix.map(row => row.slice());
+    const v = [[1, 0, 0, 0], [0, 1, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]];
+
+    for (let sweep = 0; sweep < 32; sweep++) {
+        let offDiagonal = 0;
+        for (let p = 0; p < 3; p++) {
+            for (let q = p + 1; q < 4; q++) offDiagonal += a[p][q] * a[p][q];
+        }
+        if (offDiagonal < 1e-18) break;
+
+        for (let p = 0; p < 3; p++) {
+            for (let q = p + 1; q < 4; q++) {
+                if (Math.abs(a[p][q]) < 1e-12) continue;
+
+                const theta = (a[q][q] - a[p][p]) / (2 * a[p][q]);
+                const tan = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const cos = 1 / Math.sqrt(tan * tan + 1);
+                const sin = tan * cos;
+
+                for (let k = 0; k < 4; k++) {
+                    const akp = a[k][p];
+                    const akq = a[k][q];
+                    a[k][p] = cos * akp - sin * akq;
+                    a[k][q] = sin * akp + cos * akq;
+                }
+                for (let k = 0; k < 4; k++) {
+                    const apk = a[p][k];
+                    const aqk = a[q][k];
+                    a[p][k] = cos * apk - sin * aqk;
+                    a[q][k] = sin * apk + cos * aqk;
+                }
+                for (let k = 0; k < 4; k++) {
+                    const vkp = v[k][p];
+                    const vkq = v[k][q];
+                    v[k][p] = cos * vkp - sin * vkq;
+                    v[k][q] = sin * vkp + cos * vkq;
+                }
+            }
+        }
+    }
+
+    let best = 0;
+    for (let i = 1; i < 4; i++) {
+        if (a[i][i] > a[best][best]) best = i;
+    }
+    return [v[0][best], v[1][best], v[2][best], v[3][best]];
+}
@@ -0,0 +1,320 @@
+import * as THREE from 'three';
+import { EventEmitter } from './EventEmitter.js';
+
+export const LOOP_MODES = ['repeat', 'once', 'pingpong'];
+
+// Trigger commands that are not clip names, see ModelAnimator.trigger
+const COMMANDS = ['play', 'pause', 'toggle', 'stop', 'next'];
+
+const LOOPS = {
+    repeat: THREE.LoopRepeat,
+    once: THREE.LoopOnce,
+    pingpong: THREE.LoopPingPong
+};
+
+/**
+ * Animation clips of one scene model, played on every instance of it (face
+ * anchored models get a copy per face). loadSceneModel keeps the clips of
+ * the GLB in `object.animations`.
+ *
+ * Settings (the model's "animation" in the scene description):
+ * - clip: clip played first (default: the first one)
+ * - autoplay: start playing as soon as the model is loaded
+ * - loop: 'repeat', 'once' (stays on the last frame) or 'pingpong'
+ * - speed: playback rate, 1 = as authored
+ * - fade: seconds of crossfade when switching clips, 0 to cut
+ * - on: { event: clip name or command } (see trigger)
+ *
+ * Events:
+ * - 'play': { clip } when a clip starts
+ * - 'finished': { clip } when a 'once' clip reaches its end
+ * - 'state': after any change (clip, pause, loop, speed)
+ */
+export class ModelAnimator extends EventEmitter {
+    /**
+     * @param {string} id - Model ID
+     * @param {Array<THREE.AnimationClip>} clips
+     * @param {Object} [settings]
+     */
+    constructor(id, clips, { clip = null, autoplay = true, loop = 'repeat', speed = 1, fade = 0.3, on = {} } = {}) {
+        super();
+        this.id = id;
+        this.clips = clips;
+        this.loop = loop;
+        this.speed = speed;
+        this.fade = fade;
+        this.triggers = on;
+
+        // One mixer per instance: root -> { mixer, action }
+        this.instances = new Map();
+        this.current = null;
+        this.paused = false;
+        // A clip is on (playing or paused), so new instances start it too
+        this.active = false;
+
+        const first = clip ?? clips[0]?.name;
+        if (clip && !this.getClip(clip)) {
+            console.warn(`⚠️ Model "${id}" has no clip "${clip}" (${this.clipNames.join(', ')})`);
+        }
+        for (const [event, target] of Object.entries(on)) {
+            if (!COMMANDS.includes(target) && !this.getClip(target)) {
+                console.warn(`⚠️ Model "${id}": "${event}" plays unknown clip "${target}"`);
+            }
+        }
+        if (autoplay && this.getClip(first)) this.play(first, { fade: 0 });
+        else this.current = this.getClip(first) ? first : null;
+    }
+
+    get clipNames() {
+        return this.clips.map(clip => clip.name);
+    }
+
+    get playing() {
+        return !this.paused && [...this.instances.values()].some(({ action, finished }) => action && !finished);
+    }
+
+    getClip(name) {
+        return this.clips.find(clip => clip.name === name) ?? null;
+    }
+
+    /**
+     * Animate another copy of the model, in step with the others.
+     * @param {THREE.Object3D} root
+     */
+    addInstance(root) {
+        if (this.instances.has(root)) return;
+        const mixer = new THREE.AnimationMixer(root);
+        mixer.timeScale = this.paused ? 0 : this.speed;
+        const instance = { mixer, action: null, finished: false };
+        this.instances.set(root, instance);
+
+        mixer.addEventListener('finished', (event) => {
+            instance.finished = true;
+            // Once per clip, not per instance
+            if (root === this.instances.keys().next().value) {
+                this.emit('finished', { clip: event.action.getClip().name });
+            }
+        });
+
+        const playing = [...this.instances.values()].find(other => other.action);
+        if (this.active) {
+            instance.action = this.startAction(mixer, this.current);
+            if (playing) instance.action.time = playing.action.time;
+        }
+    }
+
+    removeInstance(root) {
+        const instance = this.instances.get(root);
+        if (!instance) return;
+        instance.mixer.stopAllAction();
+        instance.mixer.uncacheRoot(root);
+        this.instances.delete(root);
+    }
+
+    /**
+     * Play a clip, crossfading from the current one.
+     * @param {string} [name] - Defaults to the current clip
+     * @param {Object} [options] - { fade } seconds, defaults to the model's
+     */
+    play(name = this.current, { fade = this.fade } = {}) {
+        if (!this.getClip(name)) {
+            console.warn(`⚠️ Model "${this.id}" has no clip "${name}"`);
+            return;
+        }
+        // Same clip while paused: just go on
+        if (name === this.current && this.paused) {
+            this.resume();
+            return;
+        }
+
+        for (const instance of this.instances.values()) {
+            const previous = instance.action;
+            const action = this.startAction(instance.mixer, name);
+            if (previous && previous !== action) {
+                if (fade > 0) action.crossFadeFrom(previous, fade, false);
+                else previous.stop();
+            }
+            instance.action = action;
+            instance.finished = false;
+        }
+        this.current = name;
+        this.setPaused(false);
+        this.active = true;
+        console.log(`🎞️ ${this.id}: ${name}`);
+        this.emit('play', { clip: name });
+        this.emit('state');
+    }
+
+    startAction(mixer, name) {
+        const action = mixer.clipAction(this.getClip(name));
+        action.reset();
+        action.setLoop(LOOPS[this.loop], Infinity);
+        action.clampWhenFinished = this.loop === 'once';
+        return action.play();
+    }
+
+    // Pausing stops the mixers' clocks, so crossfades freeze too
+    setPaused(paused) {
+        this.paused = paused;
+        this.instances.forEach(({ mixer }) => {
+            mixer.timeScale = paused ? 0 : this.speed;
+        });
+    }
+
+    pause() {
+        this.setPaused(true);
+        this.emit('state');
+    }
+
+    resume() {
+        if (!this.current) return;
+        // A finished 'once' clip starts over
+        if (![...this.instances.values()].some(({ action, finished }) => action && !finished)) {
+            this.setPaused(false);
+            this.play(this.current, { fade: 0 });
+            return;
+        }
+        this.setPaused(false);
+        this.emit('state');
+    }
+
+    toggle() {
+        if (this.playing) this.pause();
+        else this.resume();
+    }
+
+    stop() {
+        this.instances.forEach(instance => {
+            instance.mixer.stopAllAction();
+            instance.action = null;
+            instance.finished = false;
+        });
+        this.setPaused(false);
+        this.active = false;
+        this.emit('state');
+    }
+
+    // Crossfade to the clip after the current one
+    next() {
+        if (this.clips.length === 0) return;
+        const index = this.clipNames.indexOf(this.current);
+        this.play(this.clips[(index + 1) % this.clips.length].name);
+    }
+
+    /**
+     * @param {'repeat'|'once'|'pingpong'} mode - Applies to the current clip too
+     */
+    setLoop(mode) {
+        if (!LOOPS[mode]) return;
+        this.loop = mode;
+        this.instances.forEach(({ action }) => {
+            if (!action) return;
+            action.setLoop(LOOPS[mode], Infinity);
+            action.clampWhenFinished = mode === 'once';
+        });
+        this.emit('state');
+    }
+
+    /**
+     * @param {number} speed - Playback rate, 1 = as authored
+     */
+    setSpeed(speed) {
+        this.speed = speed;
+        this.setPaused(this.paused);
+        this.emit('state');
+    }
+
+    /**
+     * Run what the model's "on" settings map an event to: a clip name, or
+     * one of play, pause, toggle, stop, next.
+     * @param {string} event - e.g. mouthOpen, thumbsUp, targetFound
+     * @returns {boolean} Whether the model reacts to the event
+     */
+    trigger(event) {
+        const target = this.triggers[event];
+        if (!target) return false;
+        if (COMMANDS.includes(target)) this[target]();
+        else this.play(target);
+        return true;
+    }
+
+    update(dt) {
+        this.instances.forEach(({ mixer }) => mixer.update(dt));
+    }
+
+    dispose() {
+        [...this.instances.keys()].forEach(root => this.removeInstance(root));
+    }
+}
+
+/**
+ * The animated models of a page. Every model loaded with clips gets a
+ * ModelAnimator, keyed by model ID.
+ *
+ * Events:
+ * - 'list': when an animated model is added or removed
+ */
+export class ModelAnimations extends EventEmitter {
+    constructor() {
+        super();
+        this.animators = new Map();
+    }
+
+    /**
+     * Animate a loaded scene model (or another copy of one). Models without
+     * clips are ignored.
+     * @param {Object} model - Entry of the scene description's models
+     * @param {THREE.Object3D} object - Loaded by loadSceneModel, or a copy of it
+     * @returns {ModelAnimator|null}
+     */
+    add(model, object) {
+        if (object.animations.length === 0) return null;
+
+        let animator = this.animators.get(model.id);
+        if (!animator) {
+            animator = new ModelAnimator(model.id, object.animations, model.animation);
+            this.animators.set(model.id, animator);
+            console.log(`🎞️ ${model.id}: ${animator.clipNames.length} clip(s) (${animator.clipNames.join(', ')})`);
+            this.emit('list');
+        }
+        animator.addInstance(object);
+        return animator;
+    }
+
+    /**
+     * Stop animating a model and all its copies, e.g. before replacing it.
+     * @param {string} id - Model ID
+     */
+    remove(id) {
+        const animator = this.animators.get(id);
+        if (!animator) return;
+        animator.dispose();
+        this.animators.delete(id);
+        this.emit('list');
+    }
+
+    get(id) {
+        return this.animators.get(id) ?? null;
+    }
+
+    list() {
+        return [...this.animators.values()];
+    }
+
+    /**
+     * @param {string} event
+     * @param {Function} [filter] - (animator) => boolean, e.g. models on one image target
+     */
+    trigger(event, filter = () => true) {
+        return this.list().filter(filter).map(animator => animator.trigger(event)).some(Boolean);
+    }
+
+    update(dt) {
+        this.animators.forEach(animator => animator.update(dt));
+    }
+
+    dispose() {
+        this.animators.forEach(animator => animator.dispose());
+        this.animators.clear();
+    }
+}
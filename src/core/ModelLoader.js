@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/examples/jsm/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/examples/jsm/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/examples/jsm/libs/meshopt_decoder.module.js';
+import { EventEmitter } from './EventEmitter.js';
+import { getDecoderUrl } from './assets.js';
+
+// Decoder files are requested from here and mapped to the bundled ones
+const DECODER_PATH = 'decoders/';
+
+// Resource path of dropped models: their relative references are mapped to the dropped files
+const DROPPED_PATH = 'dropped/';
+
+// Files a dropped model may come with (the .gltf, its buffers and textures)
+export const MODEL_FILE_ACCEPT = '.glb,.gltf,.bin,.png,.jpg,.jpeg,.webp,.ktx2';
+
+/**
+ * GLB/GLTF loading shared by every page, with Draco and Meshopt compressed
+ * geometry and KTX2 textures. Decoders are bundled with the app (see
+ * assets.js), nothing is fetched from a CDN.
+ *
+ * KTX2 textures need the page's renderer: call setRenderer before loading.
+ *
+ * Events:
+ * - 'error': { name, error } for every model that fails to load, so pages
+ *   can show it instead of just logging it
+ */
+export class ModelLoader extends EventEmitter {
+    constructor() {
+        super();
+        const decoders = new THREE.LoadingManager();
+        decoders.setURLModifier(url => url.startsWith(DECODER_PATH) ? getDecoderUrl(url.slice(DECODER_PATH.length)) : url);
+
+        this.draco = new DRACOLoader(decoders).setDecoderPath(DECODER_PATH).setDecoderConfig({ type: 'wasm' });
+        this.ktx2 = new KTX2Loader(decoders).setTranscoderPath(DECODER_PATH);
+        this.renderer = null;
+    }
+
+    /**
+     * @param {THREE.WebGLRenderer} renderer - Picks the KTX2 transcode format
+     */
+    setRenderer(renderer) {
+        if (renderer === this.renderer) return;
+        this.renderer = renderer;
+        this.ktx2.detectSupport(renderer);
+    }
+
+    createLoader(manager) {
+        const loader = new GLTFLoader(manager);
+        loader.setDRACOLoader(this.draco);
+        loader.setMeshoptDecoder(MeshoptDecoder);
+        if (this.renderer) loader.setKTX2Loader(this.ktx2);
+        return loader;
+    }
+
+    /**
+     * @param {string} url
+     * @returns {Promise<THREE.Object3D>} The GLB's scene, with its clips in `animations`
+     */
+    async load(url) {
+        try {
+            return toModel(await this.createLoader().loadAsync(url));
+        } catch (error) {
+            this.emit('error', { name: url, error });
+            throw error;
+        }
+    }
+
+    /**
+     * Load a model from local files, e.g. dropped on the page: a .glb, or a
+     * .gltf with the buffers and textures it references (by file name).
+     * @param {Iterable<File>} files
+     * @returns {Promise<{ object: THREE.Object3D, name: string, missing: Array<string> }>}
+     *   missing: referenced files that were not among the given ones
+     */
+    async loadFiles(files) {
+        files = [...files];
+        const main = files.find(file => /\.(glb|gltf)$/i.test(file.name));
+        if (!main) {
+            const error = new Error(`no .glb or .gltf file among ${files.map(file => file.name).join(', ') || 'the dropped files'}`);
+            this.emit('error', { name: files[0]?.name ?? '', error });
+            throw error;
+        }
+
+        const urls = new Map(files.map(file => [file.name, URL.createObjectURL(file)]));
+        const missing = new Set();
+        // Dropped files come without their folders: match references by file name
+        const manager = new THREE.LoadingManager();
+        manager.setURLModifier(url => {
+            if (!url.startsWith(DROPPED_PATH)) return url;
+            const name = decodeURIComponent(url.slice(url.lastIndexOf('/') + 1));
+            if (!urls.has(name)) missing.add(name);
+            return urls.get(name) ?? url;
+        });
+
+        try {
+            const loader = this.createLoader(manager).setResourcePath(DROPPED_PATH);
+            const object = toModel(await loader.loadAsync(urls.get(main.name)));
+            if (missing.size > 0) console.warn(`⚠️ ${main.name} references files that were not dropped:`, [...missing]);
+            console.log(`✅ ${main.name} imported`);
+            return { object, name: main.name, missing: [...missing] };
+        } catch (error) {
+            const reported = missing.size > 0 ? new Error(`missing ${[...missing].join(', ')}`, { cause: error }) : error;
+            this.emit('error', { name: main.name, error: reported });
+            throw reported;
+        } finally {
+            urls.forEach(url => URL.revokeObjectURL(url));
+        }
+    }
+}
+
+function toModel(gltf) {
+    gltf.scene.animations = gltf.animations;
+    return gltf.scene;
+}
+
+/**
+ * Center an object on its bounding box and scale it so its largest side is
+ * `size`. The object's own transform is overwritten.
+ * @param {THREE.Object3D} object
+ * @param {number} size
+ */
+export function fitToSize(object, size) {
+    object.position.set(0, 0, 0);
+    object.quaternion.identity();
+    object.scale.setScalar(1);
+    object.updateMatrixWorld(true);
+
+    const box = new THREE.Box3().setFromObject(object);
+    const largest = Math.max(...box.getSize(new THREE.Vector3()).toArray());
+    if (box.isEmpty() || largest === 0) return object;
+
+    const scale = size / largest;
+    object.scale.setScalar(scale);
+    object.position.copy(box.getCenter(new THREE.Vector3()).multiplyScalar(-scale));
+    return object;
+}
+
+/**
+ * Free the GPU memory of a model that is no longer shown (geometries,
+ * materials and their textures). Copies made with SkeletonUtils.clone share
+ * them: dispose once, after removing every copy.
+ * @param {THREE.Object3D} object
+ */
+export function disposeModel(object) {
+    object.traverse((child) => {
+        if (!child.isMesh && !child.isPoints && !child.isLine) return;
+        child.geometry.dispose();
+        for (const material of [child.material].flat()) {
+            Object.values(material).forEach(value => value?.isTexture && value.dispose());
+            material.dispose();
+        }
+    });
+}
+
+/**
+ * Listen for model files dropped anywhere on the page. While files are
+ * dragged over it, the page's body gets the `dragging-model` class.
+ * @param {Function} callback - (files) => void
+ */
+export function onModelDrop(callback) {
+    let depth = 0;
+    const hasFiles = event => event.dataTransfer?.types.includes('Files');
+    const setDragging = dragging => document.body.classList.toggle('dragging-model', dragging);
+
+    window.addEventListener('dragenter', (event) => {
+        if (!hasFiles(event)) return;
+        depth++;
+        setDragging(true);
+    });
+    window.addEventListener('dragleave', (event) => {
+        if (!hasFiles(event)) return;
+        depth = Math.max(0, depth - 1);
+        if (depth === 0) setDragging(false);
+    });
+    window.addEventListener('dragover', (event) => {
+        if (hasFiles(event)) event.preventDefault();
+    });
+    window.addEventListener('drop', (event) => {
+        if (!hasFiles(event)) return;
+        event.preventDefault();
+        depth = 0;
+        setDragging(false);
+        callback([...event.dataTransfer.files]);
+    });
+}
+
+export const modelLoader = new ModelLoader();
@@ -0,0 +1,437 @@
+import * as THREE from 'three';
+import { DEFAULT_SETTINGS, mergeSettings } from './CalibrationProfiles.js';
+import { FACE_ANCHORS } from './HeadPoseSolver.js';
+import { HAND_LANDMARKS } from './handLandmarks.js';
+import { getModelUrl } from './assets.js';
+import { LOOP_MODES } from './ModelAnimator.js';
+import { modelLoader, fitToSize } from './ModelLoader.js';
+import defaultScene from '../scenes/default.scene.json';
+
+/**
+ * Declarative scene content shared by the face/hands page and the image
+ * tracking page: models and where they are anchored, lights, effect
+ * parameters and the default calibration.
+ *
+ * {
+ *   "version": 1,
+ *   "name": "Demo",
+ *   "calibration": { "hand": { "offsetY", "scale", "depthScale" }, "face": { "offsetX" } },
+ *   "lights": [{ "type": "ambient" | "directional" | "hemisphere" | "point",
+ *                "color", "groundColor" (hemisphere), "intensity", "position": [x, y, z],
+ *                "page": "face" | "image" (omit for both) }],
+ *   "models": [{ "id", "src": file in src/models3d or URL relative to the scene file,
+ *                "position": [x, y, z], "rotation": [x, y, z] (degrees), "scale": s | [x, y, z],
+ *                "anchor": { "type": "world" }
+ *                        | { "type": "face", "point": "noseTip" | "forehead" | ... }
+ *                        | { "type": "hand", "hand": "left" | "right", "landmark": "indexTip" | ... }
+ *                        | { "type": "image", "target": 0 },
+ *                "interactive": true (world models: gestures, grab and gaze),
+ *                "animation": { "clip", "autoplay", "loop": "repeat" | "once" | "pingpong",
+ *                               "speed", "fade", "on": { "<event>": "<clip>" | "pause" | ... } }
+ *                             (GLB clips, see ModelAnimator),
+ *                "fallback": { "size", "color" } (box shown, scaled, if the model fails to load),
+ *                "opencv": { "position", "rotation", "scale", "fallback" } (image models:
+ *                          replaces those keys on the OpenCV page, see getOpenCVModel) }],
+ *   "effects": { "<effect id>": { "enabled": true, ...parameters } }
+ * }
+ *
+ * Transforms are in the anchor's space: world units for world and hand
+ * anchors, centimeters of face for face anchors (see HeadPoseSolver) and
+ * target widths for image anchors. World, face and hand models are shown on
+ * the main page, image models on the image tracking page.
+ *
+ * The built-in scene is src/scenes/default.scene.json; ?scene=<name> loads
+ * public/<name>.scene.json (or any URL ending in .json) instead.
+ */
+
+export const SCENE_VERSION = 1;
+
+const LIGHT_TYPES = ['ambient', 'directional', 'hemisphere', 'point'];
+const PAGES = ['face', 'image'];
+const HANDS = ['left', 'right'];
+
+// Anchor type -> page it is shown on
+export const ANCHOR_PAGES = { world: 'face', face: 'face', hand: 'face', image: 'image' };
+
+// Anchor type -> largest side of imported models, in the anchor's units
+export const ANCHOR_SIZES = { world: 1.5, face: 8, hand: 0.3, image: 0.8 };
+
+const BASE_URL = new URL(import.meta.env.BASE_URL, window.location.href).href;
+
+export const DEFAULT_SCENE = validateScene(defaultScene, BASE_URL);
+
+/**
+ * Load the scene named in the URL (?scene=), or the built-in one. A scene
+ * that cannot be fetched or is invalid is reported and replaced by the
+ * built-in scene, so the page always starts.
+ * @param {string} [search] - window.location.search
+ * @returns {Promise<Object>} Validated scene
+ */
+export async function loadScene(search = window.location.search) {
+    const name = new URLSearchParams(search).get('scene');
+    if (!name) return DEFAULT_SCENE;
+
+    const url = /\.json$|\//.test(name)
+        ? new URL(name, window.location.href).href
+        : new URL(`${name}.scene.json`, BASE_URL).href;
+
+    try {
+        const response = await fetch(url);
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        const scene = validateScene(await response.json(), url);
+        console.log(`🎬 Scene "${scene.name}" loaded from ${url}`);
+        return scene;
+    } catch (error) {
+        console.error(`❌ Could not load scene ${url}, using the built-in one:`, error);
+        return DEFAULT_SCENE;
+    }
+}
+
+/**
+ * Check a scene description and fill in defaults.
+ * @param {Object} data - Parsed JSON
+ * @param {string} baseUrl - URL of the scene file, for relative model URLs
+ * @returns {Object} Normalized scene, with `baseUrl`
+ * @throws {Error} Listing every problem found
+ */
+export function validateScene(data, baseUrl) {
+    const errors = [];
+    if (!isObject(data)) {
+        throw new Error('Invalid scene: not a JSON object');
+    }
+    if (data.version !== SCENE_VERSION) {
+        errors.push(`version: expected ${SCENE_VERSION}`);
+    }
+
+    const scene = {
+        version: SCENE_VERSION,
+        name: typeof data.name === 'string' ? data.name : 'Sin nombre',
+        baseUrl,
+        calibration: validateCalibration(data.calibration, errors),
+        lights: validateList(data.lights, 'lights', errors).map((light, i) => validateLight(light, `lights[${i}]`, errors)),
+        models: validateList(data.models, 'models', errors).map((model, i) => validateModel(model, `models[${i}]`, errors)),
+        effects: validateEffects(data.effects, errors)
+    };
+
+    const ids = new Set();
+    scene.models.forEach((model, i) => {
+        if (ids.has(model.id)) errors.push(`models[${i}].id: "${model.id}" is used twice`);
+        ids.add(model.id);
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid scene:\n- ${errors.join('\n- ')}`);
+    }
+    return scene;
+}
+
+function validateCalibration(calibration = {}, errors) {
+    if (!isObject(calibration)) {
+        errors.push('calibration: expected an object');
+        return mergeSettings(DEFAULT_SETTINGS);
+    }
+    for (const [section, values] of Object.entries(calibration)) {
+        if (!(section in DEFAULT_SETTINGS)) {
+            errors.push(`calibration.${section}: unknown section (${Object.keys(DEFAULT_SETTINGS).join(', ')})`);
+            continue;
+        }
+        for (const [key, value] of Object.entries(values ?? {})) {
+            if (!(key in DEFAULT_SETTINGS[section])) {
+                errors.push(`calibration.${section}.${key}: unknown setting`);
+            } else if (!Number.isFinite(value)) {
+                errors.push(`calibration.${section}.${key}: expected a number`);
+            }
+        }
+    }
+    return mergeSettings(DEFAULT_SETTINGS, calibration);
+}
+
+function validateLight(light, path, errors) {
+    return {
+        type: oneOf(light.type, LIGHT_TYPES, `${path}.type`, errors),
+        color: color(light.color, `${path}.color`, errors, '#ffffff'),
+        groundColor: color(light.groundColor, `${path}.groundColor`, errors, '#444444'),
+        intensity: number(light.intensity, `${path}.intensity`, errors, 1),
+        position: vector(light.position, `${path}.position`, errors, [0, 0, 1]),
+        page: light.page === undefined ? null : oneOf(light.page, PAGES, `${path}.page`, errors)
+    };
+}
+
+function validateModel(model, path, errors) {
+    if (typeof model.id !== 'string' || !model.id) errors.push(`${path}.id: expected a name`);
+    if (typeof model.src !== 'string' || !model.src) errors.push(`${path}.src: expected a file name or URL`);
+
+    const fallback = isObject(model.fallback) ? model.fallback : {};
+    return {
+        id: model.id,
+        src: model.src,
+        position: vector(model.position, `${path}.position`, errors, [0, 0, 0]),
+        rotation: vector(model.rotation, `${path}.rotation`, errors, [0, 0, 0]),
+        scale: scale(model.scale, `${path}.scale`, errors),
+        anchor: validateAnchor(model.anchor ?? { type: 'world' }, `${path}.anchor`, errors),
+        interactive: model.interactive === true,
+        animation: validateAnimation(model.animation, `${path}.animation`, errors),
+        fallback: {
+            size: number(fallback.size, `${path}.fallback.size`, errors, 0.5),
+            color: color(fallback.color, `${path}.fallback.color`, errors, '#ff0000')
+        },
+        opencv: validateOpenCVOverride(model.opencv, `${path}.opencv`, errors)
+    };
+}
+
+// Only the keys given are kept: the rest come from the model
+function validateOpenCVOverride(override, path, errors) {
+    if (override === undefined) return null;
+    if (!isObject(override)) {
+        errors.push(`${path}: expected an object`);
+        return null;
+    }
+    const result = {};
+    if (override.position !== undefined) result.position = vector(override.position, `${path}.position`, errors, [0, 0, 0]);
+    if (override.rotation !== undefined) result.rotation = vector(override.rotation, `${path}.rotation`, errors, [0, 0, 0]);
+    if (override.scale !== undefined) result.scale = scale(override.scale, `${path}.scale`, errors);
+    if (override.fallback !== undefined && !isObject(override.fallback)) {
+        errors.push(`${path}.fallback: expected an object`);
+    } else if (override.fallback !== undefined) {
+        const { fallback } = override;
+        result.fallback = {};
+        if (fallback.size !== undefined) result.fallback.size = number(fallback.size, `${path}.fallback.size`, errors, 0.5);
+        if (fallback.color !== undefined) result.fallback.color = color(fallback.color, `${path}.fallback.color`, errors, '#ff0000');
+    }
+    return result;
+}
+
+/**
+ * Check and normalize an anchor (see the format above). Also used for
+ * content placed like models, e.g. particle emitters.
+ * @param {Object} anchor
+ * @param {string} path - Prefix for error messages
+ * @param {Array<string>} errors - Problems found are pushed here
+ * @returns {Object} Anchor with defaults filled in
+ */
+export function validateAnchor(anchor, path, errors) {
+    if (!isObject(anchor)) {
+        errors.push(`${path}: expected an object`);
+        return { type: 'world' };
+    }
+    const type = oneOf(anchor.type, Object.keys(ANCHOR_PAGES), `${path}.type`, errors);
+    switch (type) {
+        case 'face':
+            return { type, point: oneOf(anchor.point ?? 'noseTip', Object.keys(FACE_ANCHORS), `${path}.point`, errors) };
+        case 'hand':
+            return {
+                type,
+                hand: oneOf(anchor.hand ?? 'right', HANDS, `${path}.hand`, errors),
+                landmark: oneOf(anchor.landmark ?? 'indexTip', Object.keys(HAND_LANDMARKS), `${path}.landmark`, errors)
+            };
+        case 'image': {
+            const target = anchor.target ?? 0;
+            if (!Number.isInteger(target) || target < 0) errors.push(`${path}.target: expected a target index`);
+            return { type, target };
+        }
+        default:
+            return { type: 'world' };
+    }
+}
+
+function validateAnimation(animation = {}, path, errors) {
+    if (!isObject(animation)) {
+        errors.push(`${path}: expected an object`);
+        return {};
+    }
+    const result = {
+        autoplay: animation.autoplay ?? true,
+        loop: animation.loop === undefined ? 'repeat' : oneOf(animation.loop, LOOP_MODES, `${path}.loop`, errors),
+        speed: number(animation.speed, `${path}.speed`, errors, 1),
+        fade: number(animation.fade, `${path}.fade`, errors, 0.3),
+        on: {}
+    };
+    if (typeof result.autoplay !== 'boolean') errors.push(`${path}.autoplay: expected true or false`);
+    if (animation.clip !== undefined) {
+        if (typeof animation.clip === 'string') result.clip = animation.clip;
+        else errors.push(`${path}.clip: expected a clip name`);
+    }
+    // Clip names are only known once the model is loaded (see ModelAnimator)
+    if (animation.on !== undefined && !isObject(animation.on)) {
+        errors.push(`${path}.on: expected { "<event>": "<clip or command>" }`);
+    } else {
+        for (const [event, target] of Object.entries(animation.on ?? {})) {
+            if (typeof target === 'string') result.on[event] = target;
+            else errors.push(`${path}.on.${event}: expected a clip name or command`);
+        }
+    }
+    return result;
+}
+
+function validateEffects(effects = {}, errors) {
+    if (!isObject(effects)) {
+        errors.push('effects: expected an object keyed by effect id');
+        return {};
+    }
+    const result = {};
+    for (const [id, settings] of Object.entries(effects)) {
+        if (!isObject(settings)) {
+            errors.push(`effects.${id}: expected an object`);
+            continue;
+        }
+        if (settings.enabled !== undefined && typeof settings.enabled !== 'boolean') {
+            errors.push(`effects.${id}.enabled: expected true or false`);
+        }
+        // Parameters are checked by the effect itself (see Effect.configure)
+        result[id] = { ...settings };
+    }
+    return result;
+}
+
+function validateList(list = [], path, errors) {
+    if (!Array.isArray(list)) {
+        errors.push(`${path}: expected a list`);
+        return [];
+    }
+    return list.filter((item, i) => {
+        if (isObject(item)) return true;
+        errors.push(`${path}[${i}]: expected an object`);
+        return false;
+    });
+}
+
+function vector(value, path, errors, fallback) {
+    if (value === undefined) return [...fallback];
+    if (Array.isArray(value) && value.length === 3 && value.every(Number.isFinite)) return [...value];
+    errors.push(`${path}: expected [x, y, z]`);
+    return [...fallback];
+}
+
+// A single number scales all axes
+function scale(value, path, errors) {
+    return typeof value === 'number'
+        ? vector([value, value, value], path, errors, [1, 1, 1])
+        : vector(value, path, errors, [1, 1, 1]);
+}
+
+function number(value, path, errors, fallback) {
+    if (value === undefined) return fallback;
+    if (Number.isFinite(value)) return value;
+    errors.push(`${path}: expected a number`);
+    return fallback;
+}
+
+function color(value, path, errors, fallback) {
+    if (value === undefined) return fallback;
+    if (typeof value === 'string' && /^#[0-9a-f]{6}$/i.test(value)) return value;
+    errors.push(`${path}: expected a color like "#ff8800"`);
+    return fallback;
+}
+
+function oneOf(value, options, path, errors) {
+    if (options.includes(value)) return value;
+    errors.push(`${path}: expected one of ${options.join(', ')}`);
+    return options[0];
+}
+
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * @param {Array<Object>} lights - scene.lights
+ * @param {'face'|'image'} page
+ * @returns {Array<THREE.Light>}
+ */
+export function createSceneLights(lights, page) {
+    return lights
+        .filter(light => !light.page || light.page === page)
+        .map(({ type, color, groundColor, intensity, position }) => {
+            let light;
+            switch (type) {
+                case 'ambient':
+                    return new THREE.AmbientLight(color, intensity);
+                case 'hemisphere':
+                    return new THREE.HemisphereLight(color, groundColor, intensity);
+                case 'point':
+                    light = new THREE.PointLight(color, intensity);
+                    break;
+                default:
+                    light = new THREE.DirectionalLight(color, intensity);
+            }
+            light.position.fromArray(position);
+            return light;
+        });
+}
+
+/**
+ * Models of the scene shown on a page (by their anchor type).
+ * @param {Object} scene
+ * @param {'face'|'image'} page
+ */
+export function getSceneModels(scene, page) {
+    return scene.models.filter(model => ANCHOR_PAGES[model.anchor.type] === page);
+}
+
+/**
+ * An image model as placed on the OpenCV tracking page. That page overlays
+ * content in 2D with no depth, so a model can give it its own transform
+ * (its "opencv" keys) instead of the one used with MindAR.
+ * @param {Object} model - Entry of scene.models
+ * @returns {Object} The model, with its OpenCV keys applied
+ */
+export function getOpenCVModel(model) {
+    if (!model.opencv) return model;
+    const { fallback, ...transform } = model.opencv;
+    return { ...model, ...transform, fallback: { ...model.fallback, ...fallback } };
+}
+
+/**
+ * Load a scene model with its transform applied. Never rejects: a model that
+ * fails to load is replaced by its fallback box, and the error is emitted by
+ * modelLoader for the page to show. The GLB's animation clips are kept in
+ * `object.animations` (see ModelAnimations).
+ * @param {Object} model - Entry of scene.models
+ * @param {string} baseUrl - scene.baseUrl
+ * @returns {Promise<THREE.Object3D>} Named after the model id
+ */
+export async function loadSceneModel(model, baseUrl) {
+    try {
+        const object = await modelLoader.load(getModelUrl(model.src, baseUrl));
+        console.log(`✅ ${model.src} loaded (${model.id})`);
+        return applyModelTransform(object, model);
+    } catch (error) {
+        console.error(`❌ Error loading ${model.src} (${model.id}), using a box instead:`, error);
+        const { size, color } = model.fallback;
+        const box = new THREE.Mesh(
+            new THREE.BoxGeometry(size, size, size),
+            new THREE.MeshStandardMaterial({ color })
+        );
+        return applyModelTransform(box, model);
+    }
+}
+
+/**
+ * Make an imported model (see ModelLoader.loadFiles) take the place of a
+ * scene model: centered on its anchor and scaled to ANCHOR_SIZES, where the
+ * object it replaces is.
+ * @param {THREE.Object3D} object - The imported model
+ * @param {Object} model - Entry of scene.models it is shown as
+ * @param {THREE.Object3D} [replaced] - Current object of that model
+ * @returns {THREE.Group} Wraps the fitted model, with its clips in `animations`
+ */
+export function fitImportedModel(object, model, replaced = null) {
+    const group = new THREE.Group();
+    group.name = model.id;
+    group.add(fitToSize(object, ANCHOR_SIZES[model.anchor.type]));
+    group.animations = object.animations;
+
+    // Where the replaced object is now (it may have been moved), but at the anchor's size
+    const { position, quaternion } = replaced ?? applyModelTransform(new THREE.Object3D(), model);
+    group.position.copy(position);
+    group.quaternion.copy(quaternion);
+    return group;
+}
+
+function applyModelTransform(object, model) {
+    object.name = model.id;
+    object.position.fromArray(model.position);
+    object.rotation.set(...model.rotation.map(THREE.MathUtils.degToRad));
+    object.scale.fromArray(model.scale);
+    return object;
+}
@@ -1,27 +1,39 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import { ParticleRain } from '../effects/ParticleRain.js';
-import { FaceOccluder } from '../effects/FaceOccluder.js';
-import objectTestUrl from '../models3d/objectTest.glb?url';
+import { clone as cloneModel } from 'three/examples/jsm/utils/SkeletonUtils.js';
+import { EFFECTS } from '../effects/index.js';
+import { CalibrationTarget } from '../effects/CalibrationTarget.js';
+import { AirDrawing } from '../effects/AirDrawing.js';
+import { HeadPoseSolver } from './HeadPoseSolver.js';
+import { GazeEstimator } from './GazeEstimator.js';
+import { GrabController } from './GrabController.js';
+import { EffectRegistry } from './EffectRegistry.js';
+import { ModelAnimations } from './ModelAnimator.js';
+import { LandmarkInterpolator } from '../filters/LandmarkInterpolator.js';
+import { HAND_LANDMARKS, getHandSide, handLandmarkToWorld } from './handLandmarks.js';
+import { DEFAULT_SCENE, createSceneLights, getSceneModels, loadSceneModel, fitImportedModel } from './SceneDescription.js';
+import { modelLoader, disposeModel } from './ModelLoader.js';
 
 export class SceneManager {
-    constructor(canvas) {
+    /**
+     * @param {HTMLCanvasElement} canvas
+     * @param {Object} [description] - Validated scene description (see SceneDescription.js)
+     */
+    constructor(canvas, description = DEFAULT_SCENE) {
         this.canvas = canvas;
+        this.description = description;
         this.scene = new THREE.Scene();
         this.camera = new THREE.PerspectiveCamera(75, window.innerWidth / window.innerHeight, 0.1, 1000);
         this.renderer = new THREE.WebGLRenderer({ canvas: this.canvas, alpha: true }); // Alpha true for AR overlay
 
-        // Calibration parameters for hand tracking
-        this.handCalibration = {
-            offsetY: -0.6,
-            scale: 1.0,
-            depthScale: 0.5
-        };
+        // Calibration parameters for hand tracking: { offsetY, scale, depthScale }
+        this.handCalibration = { ...description.calibration.hand };
 
-        // Calibration parameters for face mask
-        this.faceCalibration = {
-            offsetX: -0.1  // Horizontal offset for face mask
-        };
+        // Calibration parameters for face mask: { offsetX } (horizontal offset)
+        this.faceCalibration = { ...description.calibration.face };
+
+        // Width / height of the input frames (landmark x and z are normalized
+        // by the frame width), set by the page when its input changes
+        this.videoAspect = 1280 / 720;
 
         this.init();
     }
@@ -31,60 +43,81 @@ export class SceneManager {
         this.renderer.setPixelRatio(window.devicePixelRatio);
 
         // Lighting
-        const light = new THREE.DirectionalLight(0xffffff, 1);
-        light.position.set(0, 0, 1);
-        this.scene.add(light);
-        this.scene.add(new THREE.AmbientLight(0xffffff, 0.5));
-
-        // Initialize particle rain system
-        this.particleRain = new ParticleRain(this.scene);
-
-        // Initialize face occluder for depth-based occlusion
-        this.faceOccluder = new FaceOccluder(this.scene);
-
-        // Load controllable 3D model (positioned on right side, middle)
-        const loader = new GLTFLoader();
-        loader.load(
-            objectTestUrl,
-            (gltf) => {
-                this.controllableCube = gltf.scene;
-                this.controllableCube.position.set(2, 0, 0); // Right side, middle height
-                this.controllableCube.scale.set(0.5, 0.5, 0.5); // 50% smaller
-                this.controllableCube.renderOrder = 1; // Render after occluder
-
-                // Enable depth testing for all meshes in the model
-                this.controllableCube.traverse((child) => {
-                    if (child.isMesh) {
-                        child.material.depthTest = true;
-                        child.material.depthWrite = true;
-                    }
-                });
-
-                this.scene.add(this.controllableCube);
-                console.log('✅ objectTest.glb loaded successfully');
-            },
-            (progress) => {
-                console.log(`Loading model: ${(progress.loaded / progress.total * 100).toFixed(2)}%`);
-            },
-            (error) => {
-                console.error('❌ Error loading objectTest.glb:', error);
-                // Fallback to cube if model fails to load
-                const cubeGeometry = new THREE.BoxGeometry(0.5, 0.5, 0.5);
-                const cubeMaterial = new THREE.MeshStandardMaterial({
-                    color: 0xff0000,
-                    depthTest: true,
-                    depthWrite: true
-                });
-                this.controllableCube = new THREE.Mesh(cubeGeometry, cubeMaterial);
-                this.controllableCube.position.set(2, 0, 0);
-                this.controllableCube.renderOrder = 1;
-                this.scene.add(this.controllableCube);
-            }
-        );
+        createSceneLights(this.description.lights, 'face').forEach(light => this.scene.add(light));
+
+        // Tracked faces by persistent ID. Each face gets its own head pose
+        // solver (with attachable anchors), created in addFace. Set up before
+        // the effects, which subscribe to faces and attach to hands
+        this.faces = new Map();
+        this.faceAddedCallbacks = [];
+        this.faceRemovedCallbacks = [];
+
+        // Models following a hand landmark, see attachToHand
+        this.handAnchors = [];
+
+        // Effects (particle rain, occluders, face paint, hands...): every
+        // Effect exported from src/effects, toggled and reordered at runtime
+        this.effects = new EffectRegistry({ scene: this.scene, camera: this.camera, sceneManager: this });
+        EFFECTS.forEach(EffectClass => this.effects.register(EffectClass));
+        for (const [id, settings] of Object.entries(this.description.effects)) {
+            this.effects.configure(id, settings);
+        }
+        this.clock = new THREE.Clock();
 
-        // Movement configuration
+        // Fingertip drawing (off until enabled from the panel)
+        this.airDrawing = new AirDrawing(this.scene);
+
+        // Target shown by the guided hand calibration
+        this.calibrationTarget = new CalibrationTarget(this.scene);
+
+        // Pinch-to-grab: move with one hand, rotate/scale with two
+        this.grab = new GrabController(this.camera);
+
+        // Detections are stored as they arrive and applied every rendered
+        // frame, blended in between (see animate)
+        this.interpolator = new LandmarkInterpolator();
+        this.handResults = null;
+        this.handResultsChanged = false;
+
+        // Iris-based gaze pointer with dwell-to-select (follows the oldest face)
+        this.gaze = new GazeEstimator(this.scene, this.camera);
+        this.gaze.setEnabled(false);
+
+        // Movement configuration for the controllable model (the first
+        // interactive model of the scene), home is where it was loaded
+        this.controllableCube = null;
         this.cubeMovement = {
-            step: 0.2  // Movement step size
+            step: 0.2,          // Movement step size
+            scaleStep: 1.2,     // Factor per scaleUp / scaleDown
+            home: { position: new THREE.Vector3(), scale: null }
+        };
+
+        // Models of the scene description by ID ({ model, object, copies }),
+        // with their animation clips
+        this.models = new Map();
+        this.animations = new ModelAnimations();
+        modelLoader.setRenderer(this.renderer);
+        for (const model of getSceneModels(this.description, 'face')) {
+            loadSceneModel(model, this.description.baseUrl).then(object => this.addSceneModel(object, model));
+        }
+
+        // Named actions, bindable to gestures (see GestureBindings) or buttons
+        this.actions = {
+            moveUp: () => this.moveCubeUp(),
+            moveDown: () => this.moveCubeDown(),
+            moveLeft: () => this.moveCubeLeft(),
+            moveRight: () => this.moveCubeRight(),
+            scaleUp: () => this.scaleCube(this.cubeMovement.scaleStep),
+            scaleDown: () => this.scaleCube(1 / this.cubeMovement.scaleStep),
+            resetCube: () => this.resetCube(),
+            burst: () => {
+                this.effects.get('particleRain')?.rain.burst();
+                this.effects.get('particleEmitters')?.burst();
+            },
+            toggleAnimation: () => this.animations.list().forEach(animator => animator.toggle()),
+            nextAnimation: () => this.animations.list().forEach(animator => animator.next()),
+            undoDrawing: () => this.airDrawing.undo(),
+            clearDrawing: () => this.airDrawing.clear()
         };
 
         // Position camera
@@ -94,75 +127,256 @@ export class SceneManager {
         window.addEventListener('resize', () => this.onWindowResize());
     }
 
-    updateFace(landmarks) {
-        if (!landmarks || landmarks.length === 0) return;
+    /**
+     * Place a loaded scene model at its anchor.
+     * @param {THREE.Object3D} object
+     * @param {Object} model - Entry of the scene description's models
+     */
+    addSceneModel(object, model) {
+        object.renderOrder = 1; // Render after occluders
+        const { anchor } = model;
+        const entry = { model, object, copies: new Map() };
+        this.models.set(model.id, entry);
+
+        if (anchor.type === 'face') {
+            // A copy on every face (skinned meshes included), removed with it
+            const attach = (faceId, face) => this.attachFaceCopy(entry, faceId, face);
+            this.faces.forEach((face, faceId) => attach(faceId, face));
+            this.onFaceAdded(attach);
+            this.onFaceRemoved((faceId) => {
+                this.animations.get(model.id)?.removeInstance(entry.copies.get(faceId));
+                entry.copies.delete(faceId);
+            });
+            return;
+        }
+
+        this.animations.add(model, object);
 
-        // Update face occluder for particle occlusion
-        if (this.faceOccluder) {
-            this.faceOccluder.updateFace(landmarks, this.camera, this.faceCalibration.offsetX);
+        if (anchor.type === 'hand') {
+            this.attachToHand(object, anchor.landmark, anchor.hand);
+            return;
         }
 
-        // Landmarks
-        const nose = landmarks[1];
-        const leftEye = landmarks[33];
-        const rightEye = landmarks[263];
-        const chin = landmarks[152];
+        this.scene.add(object);
+        if (!model.interactive) return;
 
-        // Position
-        // Map normalized coordinates to world coordinates
-        // We assume the camera is at z=5 and looking at z=0.
-        // We need to calibrate the scale.
-        // For a simple effect, we can just map the center.
+        this.gaze.addTarget(object);
+        this.grab.addTarget(object);
+        if (!this.controllableCube) {
+            this.controllableCube = object;
+            this.cubeMovement.home.position.copy(object.position);
+            this.cubeMovement.home.scale = object.scale.clone();
+        }
+    }
 
-        const videoAspect = window.innerWidth / window.innerHeight; // Assuming video covers screen
-        const fov = this.camera.fov * (Math.PI / 180);
-        const heightAtZero = 2 * Math.tan(fov / 2) * 5; // Distance 5
-        const widthAtZero = heightAtZero * this.camera.aspect;
+    attachFaceCopy(entry, faceId, face) {
+        const copy = cloneModel(entry.object);
+        entry.copies.set(faceId, copy);
+        face.headPose.attach(copy, entry.model.anchor.point);
+        this.animations.add(entry.model, copy);
+    }
 
-        // COMMENTED OUT - faceObject updates (sphere is commented out)
-        /*
-        // Invert X to match mirrored video
-        const x = -(nose.x - 0.5) * widthAtZero;
-        const y = -(nose.y - 0.5) * heightAtZero;
+    /**
+     * Show an imported model (see ModelLoader.loadFiles) instead of a scene
+     * model: same anchor, gestures and triggers, centered and scaled to the
+     * anchor (see fitImportedModel). The replaced model is disposed.
+     * @param {string} id - Model ID
+     * @param {THREE.Object3D} imported
+     * @returns {THREE.Object3D|null} The model as placed in the scene
+     */
+    replaceModel(id, imported) {
+        const entry = this.models.get(id);
+        if (!entry) {
+            console.warn(`⚠️ No scene model "${id}" to replace`);
+            return null;
+        }
+        const { model, object: replaced } = entry;
+        const object = fitImportedModel(imported, model, replaced);
+        object.renderOrder = 1;
+        entry.object = object;
+        this.animations.remove(model.id);
+
+        if (model.anchor.type === 'face') {
+            entry.copies.forEach((copy, faceId) => {
+                copy.removeFromParent();
+                this.attachFaceCopy(entry, faceId, this.faces.get(faceId));
+            });
+        } else {
+            // The scene, or the group following its hand
+            replaced.parent.add(object);
+            replaced.removeFromParent();
+            this.animations.add(model, object);
+        }
+
+        if (model.interactive && model.anchor.type === 'world') {
+            this.gaze.removeTarget(replaced);
+            this.grab.removeTarget(replaced);
+            this.gaze.addTarget(object);
+            this.grab.addTarget(object);
+            if (this.controllableCube === replaced) {
+                this.controllableCube = object;
+                this.cubeMovement.home.scale = object.scale.clone();
+            }
+        }
+
+        disposeModel(replaced);
+        console.log(`📦 ${id} replaced by an imported model`);
+        return object;
+    }
+
+    /**
+     * Add an imported model to the scene as a new interactive world model.
+     * @param {THREE.Object3D} imported
+     * @param {string} id - Model ID, made unique if taken
+     * @returns {THREE.Object3D} The model as placed in the scene
+     */
+    addImportedModel(imported, id) {
+        let uniqueId = id;
+        for (let n = 2; this.models.has(uniqueId); n++) uniqueId = `${id}-${n}`;
+
+        const model = {
+            id: uniqueId,
+            src: id,
+            position: [0, 0, 0],
+            rotation: [0, 0, 0],
+            scale: [1, 1, 1],
+            anchor: { type: 'world' },
+            interactive: true
+        };
+        const object = fitImportedModel(imported, model);
+        this.addSceneModel(object, model);
+        console.log(`📦 ${uniqueId} added`);
+        return object;
+    }
+
+    addFace(faceId) {
+        if (this.faces.has(faceId)) return this.faces.get(faceId);
+
+        const face = {
+            id: faceId,
+            // Head pose solver with attachable face anchors (nose tip, forehead, ears, chin)
+            headPose: new HeadPoseSolver(this.scene),
+            pose: null
+        };
+        this.faces.set(faceId, face);
+        console.log(`🙂 Face ${faceId} entered`);
+
+        this.faceAddedCallbacks.forEach(callback => callback(faceId, face));
+        return face;
+    }
 
-        this.faceObject.position.set(x, y, 0);
+    removeFace(faceId) {
+        const face = this.faces.get(faceId);
+        if (!face) return;
 
-        // Rotation
-        // Create vectors for eyes and face up/down
-        // Invert X for mirrored video
-        const p1 = new THREE.Vector3(-(leftEye.x - 0.5) * widthAtZero, -(leftEye.y - 0.5) * heightAtZero, 0);
-        const p2 = new THREE.Vector3(-(rightEye.x - 0.5) * widthAtZero, -(rightEye.y - 0.5) * heightAtZero, 0);
+        this.faceRemovedCallbacks.forEach(callback => callback(faceId, face));
 
-        // Vector from left eye to right eye (local X axis)
-        const xAxis = new THREE.Vector3().subVectors(p2, p1).normalize();
+        this.interpolator.remove(`face-${faceId}`);
+        this.effects.onFaceRemoved(faceId);
+        face.headPose.dispose();
+        this.faces.delete(faceId);
+        console.log(`👋 Face ${faceId} left`);
+
+        if (this.faces.size === 0) {
+            this.gaze.reset();
+        }
+    }
 
-        // Vector from chin to nose (local Y axis approx)
-        // Note: Z depth is missing, so rotation is 2D-ish unless we use Z from landmarks.
-        // MediaPipe Z is normalized by image width.
-        // Let's use the Z for better rotation.
+    /**
+     * Register a callback for faces entering the scene. Use it to give every
+     * face its own anchored content, e.g. face.headPose.attach(hat, 'forehead').
+     * @param {Function} callback - (faceId, face) => void
+     */
+    onFaceAdded(callback) {
+        this.faceAddedCallbacks.push(callback);
+    }
 
-        const zScale = widthAtZero; // Approximate scale for Z
-        p1.z = -leftEye.z * zScale; // MediaPipe Z is negative into screen? No, it's relative.
-        p2.z = -rightEye.z * zScale;
+    /**
+     * Register a callback for faces leaving. Content attached to the face's
+     * anchors is removed from the scene with it.
+     * @param {Function} callback - (faceId, face) => void
+     */
+    onFaceRemoved(callback) {
+        this.faceRemovedCallbacks.push(callback);
+    }
 
-        // Re-calculate xAxis with Z
-        xAxis.subVectors(p2, p1).normalize();
+    updateFace(landmarks, faceId = 0) {
+        if (!landmarks || landmarks.length === 0) return;
 
-        // Temporary Y axis (Up)
-        const yAxis = new THREE.Vector3(0, 1, 0);
+        if (!this.faces.has(faceId)) this.addFace(faceId);
+        this.interpolator.push(`face-${faceId}`, landmarks, performance.now());
+    }
 
-        // Z axis (Forward) = X cross Y
-        const zAxis = new THREE.Vector3().crossVectors(xAxis, yAxis).normalize();
+    applyFace(face, landmarks) {
+        const faceId = face.id;
 
-        // Correct Y axis = Z cross X
-        yAxis.crossVectors(zAxis, xAxis).normalize();
+        // Occluder, face paint, rain colliders...
+        this.effects.onFace(faceId, landmarks, face);
 
-        // Create rotation matrix
-        const matrix = new THREE.Matrix4();
-        matrix.makeBasis(xAxis, yAxis, zAxis);
+        // Fit the canonical face model to get the full head pose
+        // (position, rotation, scale) that drives the face anchors
+        face.pose = face.headPose.update(landmarks, this.camera, this.faceCalibration.offsetX);
 
-        this.faceObject.setRotationFromMatrix(matrix);
-        */
+        // Gaze follows the oldest tracked face
+        if (faceId === this.faces.keys().next().value) {
+            this.gaze.update(landmarks, face.headPose, this.faceCalibration.offsetX);
+        }
+    }
+
+    /**
+     * Parent an object to a named face anchor so it follows the head.
+     * Anchor space is the canonical face model: 1 unit = 1 cm of face.
+     * @param {THREE.Object3D} object
+     * @param {string} anchorName - noseTip, forehead, leftEar, rightEar or chin
+     * @param {number} [faceId] - Defaults to the oldest tracked face
+     */
+    attachToFace(object, anchorName = 'noseTip', faceId = this.faces.keys().next().value) {
+        const face = this.faces.get(faceId);
+        if (!face) {
+            console.warn(`⚠️ No tracked face with ID ${faceId}`);
+            return null;
+        }
+        return face.headPose.attach(object, anchorName);
+    }
+
+    /**
+     * Make an object follow a hand landmark (hidden while that hand is not
+     * tracked). The object's own transform is kept as an offset in world units.
+     * @param {THREE.Object3D} object
+     * @param {string} landmarkName - Key of HAND_LANDMARKS, e.g. indexTip
+     * @param {'left'|'right'} hand - The user's real hand (see getHandSide)
+     */
+    attachToHand(object, landmarkName = 'indexTip', hand = 'right') {
+        const group = new THREE.Group();
+        group.visible = false;
+        group.add(object);
+        this.scene.add(group);
+        this.handAnchors.push({ group, landmark: HAND_LANDMARKS[landmarkName], hand });
+        return object;
+    }
+
+    /**
+     * Stop an object attached with attachToHand from following the hand.
+     * @param {THREE.Object3D} object
+     */
+    detachFromHand(object) {
+        const index = this.handAnchors.findIndex(anchor => anchor.group === object.parent);
+        if (index < 0) return;
+        this.scene.remove(this.handAnchors[index].group);
+        this.handAnchors.splice(index, 1);
+        object.removeFromParent();
+    }
+
+    updateHandAnchors(results) {
+        for (const anchor of this.handAnchors) {
+            const index = (results.multiHandLandmarks || [])
+                .findIndex((_, i) => getHandSide(results.multiHandedness?.[i]) === anchor.hand);
+            const landmarks = results.multiHandLandmarks?.[index];
+            anchor.group.visible = !!landmarks;
+            if (landmarks) {
+                handLandmarkToWorld(landmarks[anchor.landmark], this.camera, this.handCalibration, anchor.group.position);
+            }
+        }
     }
 
     onWindowResize() {
@@ -174,69 +388,92 @@ export class SceneManager {
     animate() {
         requestAnimationFrame(() => this.animate());
 
-        // Update particle rain
-        if (this.particleRain) {
-            this.particleRain.update();
+        // Face and hands at render rate, blended between detections
+        const now = performance.now();
+        for (const face of this.faces.values()) {
+            const key = `face-${face.id}`;
+            if (this.interpolator.needsUpdate(key, now)) {
+                this.applyFace(face, this.interpolator.sample(key, now));
+            }
         }
+        this.applyHands(now);
+
+        const dt = this.clock.getDelta();
+        this.effects.update(dt);
+        this.animations.update(dt);
 
         this.renderer.render(this.scene, this.camera);
     }
     updateHands(results) {
-        if (!this.handObjects) {
-            this.handObjects = [];
-            const geometry = new THREE.SphereGeometry(0.15, 16, 16); // Slightly smaller spheres
-            const material = new THREE.MeshStandardMaterial({
-                color: 0x00ff00,
-                depthTest: true,  // Ensure depth testing is enabled
-                depthWrite: true  // Write to depth buffer
-            });
+        const timestamp = performance.now();
+        this.handResults = results;
+        this.handResultsChanged = true;
+        (results.multiHandLandmarks || []).forEach((landmarks, i) => {
+            this.interpolator.push(this.getHandKey(results, i), landmarks, timestamp);
+        });
+    }
 
-            // Create pool of objects for 2 hands * 21 landmarks
-            for (let i = 0; i < 42; i++) {
-                const mesh = new THREE.Mesh(geometry, material);
-                mesh.visible = false;
-                mesh.renderOrder = 1; // Render after face occluder (which has renderOrder = 0)
-                this.scene.add(mesh);
-                this.handObjects.push(mesh);
-            }
-        }
+    // Same keys as HandTracker's filter: by handedness, both hands can share a label
+    getHandKey(results, index) {
+        const label = results.multiHandedness?.[index]?.label ?? index;
+        const sameLabelBefore = (results.multiHandedness || [])
+            .slice(0, index)
+            .some(handedness => handedness?.label === label);
+        return sameLabelBefore ? `hand-${label}-${index}` : `hand-${label}`;
+    }
 
-        // Hide all first
-        this.handObjects.forEach(obj => obj.visible = false);
+    applyHands(time) {
+        if (!this.handResults) return;
 
-        if (results.multiHandLandmarks) {
-            const fov = this.camera.fov * (Math.PI / 180);
-            const cameraDistance = 5; // Camera is at z=5
+        const hands = this.handResults.multiHandLandmarks || [];
+        const keys = hands.map((_, i) => this.getHandKey(this.handResults, i));
+        if (!this.handResultsChanged && !keys.some(key => this.interpolator.needsUpdate(key, time))) return;
+        this.handResultsChanged = false;
 
-            // Calculate visible area at z=0 plane
-            const heightAtZero = 2 * Math.tan(fov / 2) * cameraDistance;
-            const widthAtZero = heightAtZero * this.camera.aspect;
+        const results = {
+            ...this.handResults,
+            multiHandLandmarks: this.handResults.multiHandLandmarks &&
+                hands.map((landmarks, i) => this.interpolator.sample(keys[i], time) ?? landmarks)
+        };
 
-            let objIndex = 0;
-            for (const landmarks of results.multiHandLandmarks) {
-                for (const landmark of landmarks) {
-                    if (objIndex >= this.handObjects.length) break;
+        this.effects.onHands(results);
+        this.updateHandAnchors(results);
+        this.grab.update(results, this.handCalibration);
+        this.airDrawing.update(results, this.camera, this.handCalibration);
+    }
 
-                    const mesh = this.handObjects[objIndex];
+    /**
+     * @param {string} mode - 'interpolate', 'extrapolate' or 'off' (see LandmarkInterpolator)
+     */
+    setInterpolationMode(mode) {
+        this.interpolator.setConfig({ mode });
+    }
 
-                    // MediaPipe coordinates:
-                    // x, y: normalized [0, 1] relative to image
-                    // z: depth relative to wrist (negative = closer to camera)
+    // Rain bounces off / piles up on the tracked face, shoulders and hands
+    setParticleCollisions(enabled) {
+        this.effects.get('particleRain')?.setCollisions(enabled);
+    }
 
-                    // Invert X to match mirrored video
-                    const x = -(landmark.x - 0.5) * widthAtZero * this.handCalibration.scale;
-                    const y = -(landmark.y - 0.5) * heightAtZero * this.handCalibration.scale + this.handCalibration.offsetY;
+    setHandOccluderOptions({ enabled, depthOnly } = {}) {
+        const effect = this.effects.get('handOccluder');
+        if (!effect) return;
+        if (enabled !== undefined) this.effects.setEnabled('handOccluder', enabled);
+        if (depthOnly !== undefined) effect.occluder.setDepthOnly(depthOnly);
+    }
 
-                    // Z depth: MediaPipe's z is relative depth, scale it appropriately
-                    // Negative z in MediaPipe means closer to camera
-                    const z = landmark.z * widthAtZero * this.handCalibration.depthScale;
+    setGrabEnabled(enabled) {
+        this.grab.setEnabled(enabled);
+    }
 
-                    mesh.position.set(x, y, z);
-                    mesh.visible = true;
-                    objIndex++;
-                }
-            }
-        }
+    /**
+     * @param {string} style - 'skeleton', 'glove' or 'hidden'
+     */
+    setHandStyle(style) {
+        this.effects.get('handVisualizer')?.visualizer.setStyle(style);
+    }
+
+    setHandLabels(showLabels) {
+        this.effects.get('handVisualizer')?.visualizer.setShowLabels(showLabels);
     }
 
     // Cube movement methods
@@ -264,6 +501,32 @@ export class SceneManager {
         }
     }
 
+    scaleCube(factor) {
+        if (this.controllableCube) {
+            this.controllableCube.scale.multiplyScalar(factor);
+        }
+    }
+
+    // Back to the position and scale it was loaded with
+    resetCube() {
+        if (this.controllableCube) {
+            this.controllableCube.position.copy(this.cubeMovement.home.position);
+            this.controllableCube.quaternion.identity(); // Undo two-hand rotation
+            if (this.cubeMovement.home.scale) {
+                this.controllableCube.scale.copy(this.cubeMovement.home.scale);
+            }
+        }
+    }
+
+    /**
+     * Register an extra named action (e.g. from main.js) so it can be bound to gestures.
+     * @param {string} name
+     * @param {Function} callback
+     */
+    registerAction(name, callback) {
+        this.actions[name] = callback;
+    }
+
     // Method to update calibration values
     setHandCalibration(offsetY, scale, depthScale) {
         this.handCalibration.offsetY = offsetY;
@@ -271,6 +534,47 @@ export class SceneManager {
         this.handCalibration.depthScale = depthScale;
     }
 
+    // Method to update face occluder mode / visibility on all faces
+    setFaceOccluderOptions(options) {
+        this.effects.get('faceOccluder')?.setOptions(options);
+    }
+
+    /**
+     * Load a face paint texture (PNG in canonical FaceMesh UV layout) and
+     * apply it to every face. Pass null to remove the mask.
+     * @param {string|null} url
+     * @returns {Promise<THREE.Texture|null>}
+     */
+    setFaceMaskTexture(url) {
+        const applyTexture = (texture) => {
+            this.effects.get('faceMask')?.setTexture(texture);
+            return texture;
+        };
+
+        if (!url) return Promise.resolve(applyTexture(null));
+
+        return new Promise((resolve, reject) => {
+            new THREE.TextureLoader().load(
+                url,
+                (texture) => {
+                    texture.colorSpace = THREE.SRGBColorSpace;
+                    console.log('✅ Face mask texture loaded');
+                    resolve(applyTexture(texture));
+                },
+                undefined,
+                (error) => {
+                    console.error('❌ Error loading face mask texture:', error);
+                    reject(error);
+                }
+            );
+        });
+    }
+
+    // Method to update face mask blending / opacity on all faces
+    setFaceMaskOptions(options) {
+        this.effects.get('faceMask')?.setOptions(options);
+    }
+
     // Method to update face mask calibration
     setFaceCalibration(offsetX) {
         this.faceCalibration.offsetX = offsetX;
@@ -0,0 +1,148 @@
+import { SESSION_FORMAT_VERSION } from './SessionRecorder.js';
+
+/**
+ * Parses an NDJSON session written by SessionRecorder.
+ * @param {string} text
+ * @returns {Array<{type: string, t: number, results: Object}>} Frames sorted by time
+ */
+export function parseSession(text) {
+    const frames = [];
+
+    text.split('\n').forEach((line, lineNumber) => {
+        if (!line.trim()) return;
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (error) {
+            throw new Error(`Invalid session file: line ${lineNumber + 1} is not JSON`);
+        }
+
+        if (entry.type === 'header') {
+            if (entry.version > SESSION_FORMAT_VERSION) {
+                console.warn(`⚠️ Session format v${entry.version} is newer than supported v${SESSION_FORMAT_VERSION}`);
+            }
+        } else if (entry.type === 'face') {
+            frames.push({
+                type: 'face',
+                t: entry.t,
+                results: { multiFaceLandmarks: entry.multiFaceLandmarks.map(unpackLandmarks) }
+            });
+        } else if (entry.type === 'hands') {
+            frames.push({
+                type: 'hands',
+                t: entry.t,
+                results: {
+                    multiHandLandmarks: entry.multiHandLandmarks.map(unpackLandmarks),
+                    multiHandedness: entry.multiHandedness
+                }
+            });
+        }
+    });
+
+    return frames.sort((a, b) => a.t - b.t);
+}
+
+function unpackLandmarks(landmarks) {
+    return landmarks.map(([x, y, z]) => ({ x, y, z }));
+}
+
+/**
+ * Replays a recorded session at its original timing, without camera or
+ * MediaPipe. Frames are handed to `onFace` / `onHands`, normally
+ * faceTracker.handleResults and handTracker.handleResults, so the rest of
+ * the pipeline (identities, filtering, SceneManager) runs as it does live.
+ */
+export class SessionPlayer {
+    constructor({ onFace = null, onHands = null, onEnd = null } = {}) {
+        this.onFace = onFace;
+        this.onHands = onHands;
+        this.onEnd = onEnd;
+
+        this.frames = [];
+        this.isPlaying = false;
+        this.loop = false;
+        this.frameIndex = 0;
+        this.startTime = 0;
+        this.animationFrameId = null;
+    }
+
+    load(text) {
+        this.stop();
+        this.frames = parseSession(text);
+        console.log(`📼 Session loaded (${this.frames.length} frames, ${this.getDuration()} ms)`);
+        return this.frames.length;
+    }
+
+    async loadFile(file) {
+        return this.load(await file.text());
+    }
+
+    async loadUrl(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load session from ${url}: ${response.status}`);
+        }
+        return this.load(await response.text());
+    }
+
+    getDuration() {
+        return this.frames.length > 0 ? this.frames[this.frames.length - 1].t : 0;
+    }
+
+    play({ loop = false } = {}) {
+        if (this.frames.length === 0) {
+            console.warn('⚠️ No session loaded');
+            return;
+        }
+
+        this.stop();
+        this.loop = loop;
+        this.isPlaying = true;
+        this.frameIndex = 0;
+        this.startTime = performance.now();
+        this.tick();
+    }
+
+    tick() {
+        if (!this.isPlaying) return;
+
+        const elapsed = performance.now() - this.startTime;
+        while (this.frameIndex < this.frames.length && this.frames[this.frameIndex].t <= elapsed) {
+            this.emitFrame(this.frames[this.frameIndex]);
+            this.frameIndex++;
+        }
+
+        if (this.frameIndex >= this.frames.length) {
+            if (this.loop) {
+                this.frameIndex = 0;
+                this.startTime = performance.now();
+            } else {
+                this.isPlaying = false;
+                console.log('📼 Session replay finished');
+                if (this.onEnd) this.onEnd();
+                return;
+            }
+        }
+
+        this.animationFrameId = requestAnimationFrame(() => this.tick());
+    }
+
+    emitFrame(frame) {
+        // Fresh copies: the pipeline annotates and replaces fields on results
+        const results = structuredClone(frame.results);
+        if (frame.type === 'face' && this.onFace) {
+            this.onFace(results);
+        } else if (frame.type === 'hands' && this.onHands) {
+            this.onHands(results);
+        }
+    }
+
+    stop() {
+        this.isPlaying = false;
+        if (this.animationFrameId !== null) {
+            cancelAnimationFrame(this.animationFrameId);
+            this.animationFrameId = null;
+        }
+    }
+}
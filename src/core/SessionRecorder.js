@@ -0,0 +1,79 @@
+export const SESSION_FORMAT_VERSION = 1;
+
+/**
+ * Records raw FaceTracker / HandTracker results as NDJSON.
+ *
+ * One JSON object per line:
+ *   { "type": "header", "version": 1, "startedAt": "<ISO date>" }
+ *   { "type": "face", "t": <ms since start>, "multiFaceLandmarks": [[[x, y, z], ...]] }
+ *   { "type": "hands", "t": <ms>, "multiHandLandmarks": [[[x, y, z], ...]],
+ *     "multiHandedness": [{ "index": 0, "score": 0.98, "label": "Left" }] }
+ *
+ * Landmarks are stored as [x, y, z] arrays rounded to 5 decimals.
+ * SessionPlayer replays the file without camera or MediaPipe.
+ *
+ * Usage:
+ *   faceTracker.recorder = handTracker.recorder = recorder;
+ *   recorder.start(); ... recorder.stop(); recorder.download();
+ */
+export class SessionRecorder {
+    constructor() {
+        this.lines = [];
+        this.isRecording = false;
+        this.startTime = 0;
+    }
+
+    start() {
+        this.lines = [JSON.stringify({
+            type: 'header',
+            version: SESSION_FORMAT_VERSION,
+            startedAt: new Date().toISOString()
+        })];
+        this.startTime = performance.now();
+        this.isRecording = true;
+        console.log('⏺️ Recording tracking session');
+    }
+
+    stop() {
+        this.isRecording = false;
+        console.log(`⏹️ Recording stopped (${this.lines.length - 1} frames)`);
+        return this.toBlob();
+    }
+
+    recordFace(results) {
+        if (!this.isRecording) return;
+        this.lines.push(JSON.stringify({
+            type: 'face',
+            t: Math.round(performance.now() - this.startTime),
+            multiFaceLandmarks: (results.multiFaceLandmarks || []).map(packLandmarks)
+        }));
+    }
+
+    recordHands(results) {
+        if (!this.isRecording) return;
+        this.lines.push(JSON.stringify({
+            type: 'hands',
+            t: Math.round(performance.now() - this.startTime),
+            multiHandLandmarks: (results.multiHandLandmarks || []).map(packLandmarks),
+            multiHandedness: (results.multiHandedness || []).map(({ index, score, label }) => ({ index, score, label }))
+        }));
+    }
+
+    toBlob() {
+        return new Blob([this.lines.join('\n') + '\n'], { type: 'application/x-ndjson' });
+    }
+
+    download(filename = `session-${new Date().toISOString().replace(/[:.]/g, '-')}.ndjson`) {
+        const url = URL.createObjectURL(this.toBlob());
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+}
+
+function packLandmarks(landmarks) {
+    const round = (value) => Math.round(value * 1e5) / 1e5;
+    return landmarks.map(({ x, y, z }) => [round(x), round(y), round(z)]);
+}
@@ -0,0 +1,135 @@
+import opencvUrl from '@techstark/opencv-js/dist/opencv.js?url';
+
+/**
+ * Runtime assets (MediaPipe wasm/tflite/data files, opencv.js and the
+ * Draco / Basis decoders used for compressed models).
+ *
+ * By default they are bundled by Vite from node_modules and served with the
+ * app, so nothing is fetched from a CDN. Set VITE_ASSET_BASE_URL at build
+ * time to serve them from another host instead; that host must mirror the
+ * original file names:
+ *   <base>/face_mesh/<file>, <base>/hands/<file>, <base>/opencv/opencv.js,
+ *   <base>/decoders/<file>
+ */
+const ASSET_BASE_URL = import.meta.env.VITE_ASSET_BASE_URL
+    ? import.meta.env.VITE_ASSET_BASE_URL.replace(/\/?$/, '/')
+    : null;
+
+// Milliseconds before a model or runtime that never loads is reported as failed
+export const ASSET_LOAD_TIMEOUT = Number(import.meta.env.VITE_ASSET_LOAD_TIMEOUT) || 30000;
+
+// Bundled URLs keyed by original file name
+const MEDIAPIPE_ASSETS = {
+    face_mesh: byFileName(import.meta.glob(
+        ['/node_modules/@mediapipe/face_mesh/*_solution_*.js', '/node_modules/@mediapipe/face_mesh/*.{wasm,data,binarypb,tflite}'],
+        { query: '?url', import: 'default', eager: true }
+    )),
+    hands: byFileName(import.meta.glob(
+        ['/node_modules/@mediapipe/hands/*_solution_*.js', '/node_modules/@mediapipe/hands/*.{wasm,data,binarypb,tflite}'],
+        { query: '?url', import: 'default', eager: true }
+    ))
+};
+
+// Draco (DRACOLoader) and Basis (KTX2Loader) decoders, wasm builds only
+const DECODERS = byFileName(import.meta.glob(
+    ['/node_modules/three/examples/jsm/libs/draco/draco_{wasm_wrapper.js,decoder.wasm}', '/node_modules/three/examples/jsm/libs/basis/basis_transcoder.{js,wasm}'],
+    { query: '?url', import: 'default', eager: true }
+));
+
+// Models in src/models3d, referenced by file name from scene descriptions
+const BUNDLED_MODELS = byFileName(import.meta.glob(
+    '../models3d/*.{glb,gltf}',
+    { query: '?url', import: 'default', eager: true }
+));
+
+function byFileName(modules) {
+    const urls = {};
+    for (const [path, url] of Object.entries(modules)) {
+        urls[path.split('/').pop()] = url;
+    }
+    return urls;
+}
+
+/**
+ * locateFile callback for a MediaPipe solution.
+ * @param {'face_mesh'|'hands'} solution
+ * @returns {Function} (file) => url
+ */
+export function mediapipeLocateFile(solution) {
+    return (file) => {
+        if (ASSET_BASE_URL) return `${ASSET_BASE_URL}${solution}/${file}`;
+
+        const url = MEDIAPIPE_ASSETS[solution][file];
+        if (!url) {
+            console.warn(`⚠️ ${solution}: no bundled asset for ${file}`);
+            return file;
+        }
+        return url;
+    };
+}
+
+/**
+ * URL of a model referenced by a scene description.
+ * @param {string} src - File name of a bundled model (src/models3d), or a URL
+ * @param {string} baseUrl - What relative URLs are resolved against (the scene file)
+ */
+export function getModelUrl(src, baseUrl) {
+    return BUNDLED_MODELS[src] ?? new URL(src, baseUrl).href;
+}
+
+/**
+ * URL of a model decoder file (see ModelLoader).
+ * @param {string} file - e.g. draco_decoder.wasm, basis_transcoder.js
+ */
+export function getDecoderUrl(file) {
+    if (ASSET_BASE_URL) return `${ASSET_BASE_URL}decoders/${file}`;
+    return DECODERS[file] ?? file;
+}
+
+export function getOpenCVUrl() {
+    return ASSET_BASE_URL ? `${ASSET_BASE_URL}opencv/opencv.js` : opencvUrl;
+}
+
+/**
+ * Reject if `promise` has not settled after `ms`.
+ * @param {Promise} promise
+ * @param {number} ms
+ * @param {string} what - Name used in the error message
+ */
+export function withTimeout(promise, ms, what) {
+    let timer;
+    const timeout = new Promise((_, reject) => {
+        timer = setTimeout(() => {
+            reject(new Error(`${what} did not load within ${Math.round(ms / 1000)} s`));
+        }, ms);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Load a classic script once.
+ * @param {string} url
+ * @param {number} [timeout]
+ * @returns {Promise<void>}
+ */
+export function loadScript(url, timeout = ASSET_LOAD_TIMEOUT) {
+    const existing = document.querySelector(`script[src="${url}"]`);
+    if (existing && existing.dataset.loaded) return Promise.resolve();
+
+    const loaded = new Promise((resolve, reject) => {
+        const script = existing || document.createElement('script');
+        script.addEventListener('load', () => {
+            script.dataset.loaded = 'true';
+            resolve();
+        }, { once: true });
+        script.addEventListener('error', () => reject(new Error(`Failed to load ${url}`)), { once: true });
+
+        if (!existing) {
+            script.src = url;
+            script.async = true;
+            document.body.appendChild(script);
+        }
+    });
+
+    return withTimeout(loaded, timeout, url);
+}
@@ -0,0 +1,137 @@
+import * as THREE from 'three';
+import { HAND_LANDMARKS as L, getHandSide, handLandmarkToWorld } from './handLandmarks.js';
+
+// FaceMesh landmarks used to size the head
+const FOREHEAD = 10;
+const CHIN = 152;
+const RIGHT_CHEEK = 234;
+const LEFT_CHEEK = 454;
+
+/**
+ * Colliders are ellipsoids in world space:
+ *   { id, center: Vector3, radii: Vector3, catch: boolean }
+ * `id` must be stable between frames so particles resting on a collider can
+ * follow it. With `catch` set, particles that land on it stay until it stops
+ * catching (or disappears) instead of sliding off after a while.
+ */
+
+/**
+ * Head and shoulders of a tracked face, with the same mapping as the face occluder.
+ * @param {Array} landmarks - 468 FaceMesh landmarks
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {number} xOffset - faceCalibration.offsetX
+ * @param {number|string} faceId
+ * @returns {Array<Object>} Colliders
+ */
+export function createFaceColliders(landmarks, camera, xOffset, faceId) {
+    if (landmarks.length <= LEFT_CHEEK) return [];
+
+    const fov = camera.fov * (Math.PI / 180);
+    const cameraDistance = 5; // Camera is at z=5
+    const heightAtZero = 2 * Math.tan(fov / 2) * cameraDistance;
+    const widthAtZero = heightAtZero * camera.aspect;
+    const toWorld = (index) => new THREE.Vector3(
+        -(landmarks[index].x - 0.5) * widthAtZero + xOffset,
+        -(landmarks[index].y - 0.5) * heightAtZero,
+        0
+    );
+
+    const forehead = toWorld(FOREHEAD);
+    const chin = toWorld(CHIN);
+    const faceWidth = toWorld(RIGHT_CHEEK).distanceTo(toWorld(LEFT_CHEEK));
+    const faceHeight = forehead.distanceTo(chin);
+
+    // The face surface is near z = 0; the rest of the head is behind it.
+    // Taller than the face so particles land on the hair, not the forehead
+    const head = {
+        id: `face:${faceId}:head`,
+        center: forehead.clone().lerp(chin, 0.4).setZ(-faceWidth * 0.3),
+        radii: new THREE.Vector3(faceWidth * 0.6, faceHeight * 0.7, faceWidth * 0.6),
+        catch: false
+    };
+
+    // Flattened ellipsoids a little below the chin, one per shoulder
+    const shoulderY = chin.y - faceHeight * 0.6;
+    const shoulders = [-1, 1].map(side => ({
+        id: `face:${faceId}:shoulder:${side}`,
+        center: new THREE.Vector3(chin.x + side * faceWidth * 1.1, shoulderY, -faceWidth * 0.3),
+        radii: new THREE.Vector3(faceWidth * 0.8, faceHeight * 0.35, faceWidth * 0.5),
+        catch: false
+    }));
+
+    return [head, ...shoulders];
+}
+
+/**
+ * A small ellipsoid per hand landmark plus one over the palm, with the same
+ * calibrated mapping as the drawn hands. Palms facing up catch particles.
+ * @param {Object} results - HandTracker results (multiHandLandmarks, multiHandedness)
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {Object} calibration - { offsetY, scale, depthScale } from SceneManager
+ * @param {Object} [options]
+ * @param {number} [options.jointRadius=0.15]
+ * @param {number} [options.depth=0.6] - Half thickness in z; hand depth is only relative to the wrist
+ * @param {number} [options.palmUp=0.5] - Palm normal y above which the palm catches
+ * @param {number} [options.aspect=16/9] - Input frame width / height, for the palm normal
+ * @returns {Array<Object>} Colliders
+ */
+export function createHandColliders(results, camera, calibration, options = {}) {
+    const jointRadius = (options.jointRadius ?? 0.15) * calibration.scale;
+    const depth = options.depth ?? 0.6;
+    const palmUp = options.palmUp ?? 0.5;
+    const aspect = options.aspect ?? 1280 / 720;
+
+    const colliders = [];
+    (results.multiHandLandmarks || []).forEach((landmarks, h) => {
+        if (landmarks.length < 21) return;
+        // Keyed by the user's real hand: MediaPipe may swap the result order
+        const side = getHandSide(results.multiHandedness?.[h]);
+
+        const points = landmarks.map(landmark => handLandmarkToWorld(landmark, camera, calibration, new THREE.Vector3()));
+        points.forEach((point, i) => {
+            colliders.push({
+                id: `hand:${side}:${i}`,
+                center: point,
+                radii: new THREE.Vector3(jointRadius, jointRadius, depth),
+                catch: false
+            });
+        });
+
+        const palmCenter = new THREE.Vector3()
+            .add(points[L.wrist]).add(points[L.indexMcp])
+            .add(points[L.middleMcp]).add(points[L.pinkyMcp])
+            .multiplyScalar(0.25);
+        const palmRadius = points[L.wrist].distanceTo(points[L.middleMcp]) * 0.6;
+        colliders.push({
+            id: `hand:${side}:palm`,
+            center: palmCenter,
+            radii: new THREE.Vector3(palmRadius, palmRadius, depth),
+            catch: getPalmNormal(landmarks, side, aspect).y > palmUp
+        });
+    });
+
+    return colliders;
+}
+
+/**
+ * Unit vector out of the palm, in a y-up, mirrored frame with z toward the camera.
+ * @param {Array} landmarks - 21 hand landmarks
+ * @param {'left'|'right'} side - From getHandSide
+ * @param {number} aspect - Image width / height
+ * @returns {THREE.Vector3}
+ */
+export function getPalmNormal(landmarks, side, aspect) {
+    // x and z are normalized by image width, y by height
+    const point = (index) => new THREE.Vector3(
+        -landmarks[index].x * aspect,
+        -landmarks[index].y,
+        -landmarks[index].z * aspect
+    );
+    const wrist = point(L.wrist);
+    const toIndex = point(L.indexMcp).sub(wrist);
+    const toPinky = point(L.pinkyMcp).sub(wrist);
+
+    // For the right hand the cross product points out of the back of the hand
+    const normal = toIndex.cross(toPinky).normalize();
+    return side === 'right' ? normal.negate() : normal;
+}
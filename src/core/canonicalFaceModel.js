@@ -0,0 +1,1897 @@
+/**
+ * MediaPipe canonical face model (468 vertices, centimeters).
+ *
+ * Extracted from geometry_pipeline_metadata_landmarks.binarypb shipped with
+ * @mediapipe/face_mesh. Axes: +X toward the subject's left, +Y up, +Z out of
+ * the face (toward the camera). Vertex i matches FaceMesh landmark i.
+ */
+export const CANONICAL_FACE_VERTICES = [
+    0.0000, -3.4064, 5.9795,
+    0.0000, -1.1269, 7.4756,
+    0.0000, -2.0890, 6.0583,
+    -0.4639, 0.9554, 6.6336,
+    0.0000, -0.4632, 7.5866,
+    0.0000, 0.3657, 7.2429,
+    0.0000, 2.4733, 5.7886,
+    -4.2531, 2.5776, 3.2797,
+    0.0000, 4.0190, 5.2848,
+    0.0000, 4.8860, 5.3853,
+    0.0000, 8.2618, 4.4815,
+    0.0000, -3.7068, 5.8649,
+    0.0000, -3.9183, 5.5694,
+    0.0000, -3.9944, 5.2195,
+    0.0000, -4.5424, 5.4048,
+    0.0000, -4.7456, 5.5295,
+    0.0000, -5.0196, 5.6014,
+    0.0000, -5.3651, 5.5354,
+    0.0000, -6.1496, 5.0714,
+    0.0000, -1.5011, 7.1122,
+    -0.4161, -1.4664, 6.4477,
+    -7.0880, 5.4348, 0.0996,
+    -2.6286, 2.0359, 3.8481,
+    -3.1984, 1.9858, 3.7970,
+    -3.7752, 2.0394, 3.6462,
+    -4.4658, 2.4230, 3.1552,
+    -2.1643, 2.1899, 3.8518,
+    -3.2082, 3.2239, 4.1158,
+    -2.6738, 3.2053, 4.0922,
+    -3.7452, 3.1653, 3.9724,
+    -4.1610, 3.0591, 3.7196,
+    -5.0620, 1.9344, 2.7761,
+    -2.2667, -7.4258, 4.3898,
+    -4.4459, 2.6640, 3.1734,
+    -7.2145, 2.2630, 0.0732,
+    -5.7998, 2.3495, 2.2041,
+    -2.8449, -0.7209, 4.4331,
+    -0.7115, -3.3294, 5.8770,
+    -0.6060, -3.9246, 5.4449,
+    -1.4316, -3.5010, 5.4962,
+    -1.9149, -3.8031, 5.0289,
+    -1.1310, -3.9739, 5.1896,
+    -1.5635, -4.0828, 4.8423,
+    -2.6501, -5.0036, 4.1885,
+    -0.4270, -1.0941, 7.3605,
+    -0.4964, -0.4757, 7.4404,
+    -5.2533, 3.8816, 3.3632,
+    -1.7187, 0.9746, 4.5584,
+    -1.6086, -0.9425, 5.8142,
+    -1.6513, -0.6109, 5.5813,
+    -4.7655, -0.7016, 3.5346,
+    -0.4783, 0.2958, 7.1010,
+    -3.7350, 4.5082, 4.5505,
+    -4.5886, 4.3020, 4.0485,
+    -6.2793, 6.6154, 1.4259,
+    -1.2209, 4.1422, 5.1060,
+    -2.1935, 3.1003, 4.0006,
+    -3.1026, -4.3530, 4.0959,
+    -6.7197, -4.7886, -1.7454,
+    -1.1938, -1.3068, 5.7377,
+    -0.7298, -1.5937, 5.8332,
+    -2.4562, -4.3426, 4.2839,
+    -2.2048, -4.3045, 4.1625,
+    -4.9859, 4.8025, 3.7520,
+    -1.5923, -1.2577, 5.4569,
+    -2.6445, 4.5247, 4.9216,
+    -2.7603, 5.1010, 5.0160,
+    -3.5240, 8.0060, 3.7292,
+    -5.5998, 5.7155, 2.7243,
+    -3.0639, 6.5661, 4.5300,
+    -5.7210, 4.2546, 2.8309,
+    -6.3744, 4.7856, 1.5917,
+    -0.6727, -3.6880, 5.7378,
+    -1.2626, -3.7877, 5.4178,
+    -1.7326, -3.9528, 5.0006,
+    -1.0436, -1.4650, 5.6625,
+    -2.3212, -4.3291, 4.2582,
+    -2.0568, -4.4777, 4.5209,
+    -2.1531, -4.2763, 4.0381,
+    -0.9469, -1.0352, 6.5123,
+    -1.4691, -4.0364, 4.6049,
+    -1.0243, -3.9899, 4.9267,
+    -0.5334, -3.9932, 5.1382,
+    -0.7697, -6.0954, 4.9859,
+    -0.6996, -5.2919, 5.4483,
+    -0.6697, -4.9498, 5.5096,
+    -0.6309, -4.6951, 5.4494,
+    -0.5832, -4.5180, 5.3399,
+    -1.5372, -4.4232, 4.7455,
+    -1.6156, -4.4759, 4.8136,
+    -1.7291, -4.6187, 4.8545,
+    -1.8386, -4.8287, 4.8237,
+    -2.3682, -3.1062, 4.8681,
+    -7.5422, -1.0493, -2.4313,
+    0.0000, -1.7240, 6.6014,
+    -1.8266, -4.3995, 4.3990,
+    -1.9296, -4.4118, 4.4971,
+    -0.5974, -2.0137, 5.8665,
+    -1.4056, -1.7142, 5.2411,
+    -0.6624, -1.8193, 5.8638,
+    -2.3423, 0.5722, 4.2943,
+    -3.3273, 0.1049, 4.1139,
+    -1.7262, -0.9192, 5.2734,
+    -5.1332, 7.4856, 2.6604,
+    -4.5386, 6.3199, 3.6834,
+    -3.9866, 5.1095, 4.4663,
+    -2.1697, -5.4404, 4.4559,
+    -1.3956, 5.0120, 5.3160,
+    -1.6195, 6.5992, 4.9211,
+    -1.8914, 8.2364, 4.2750,
+    -4.1958, 2.2352, 3.3751,
+    -5.7333, 1.4117, 2.4317,
+    -1.8599, 2.3558, 3.8432,
+    -4.9886, 3.0747, 3.0839,
+    -1.3033, 1.4165, 4.8311,
+    -1.3058, -0.6728, 6.4160,
+    -6.4652, 0.9371, 1.6899,
+    -5.2587, 0.9458, 2.9743,
+    -4.4323, 0.7221, 3.5226,
+    -3.3007, 0.8616, 3.8728,
+    -2.4302, 1.1315, 4.0390,
+    -1.8207, 1.4680, 4.2241,
+    -0.5632, 2.3077, 5.5668,
+    -6.3381, -0.5293, 1.8812,
+    -5.5877, 3.2081, 2.6878,
+    -0.2426, -1.4629, 7.0715,
+    -1.6113, 0.3393, 4.8954,
+    -7.7431, 2.3650, -2.0052,
+    -1.3911, 1.8510, 4.4490,
+    -1.7858, -0.9783, 4.8505,
+    -4.6710, 2.6645, 3.0841,
+    -1.3340, -0.2838, 6.0970,
+    -7.2709, -2.8909, -2.2525,
+    -1.8564, 2.5852, 3.7579,
+    -0.9234, 0.0731, 6.6719,
+    -5.0006, -6.1351, 1.8925,
+    -5.0853, -7.1786, 0.7147,
+    -7.1593, -0.8118, -0.0720,
+    -5.8431, -5.2480, 0.9241,
+    -6.8473, 3.6629, 0.7247,
+    -2.4129, -8.2589, 4.1192,
+    -0.1799, -1.6899, 6.5733,
+    -2.1037, -0.1639, 4.5661,
+    -6.4076, 2.2360, 1.5608,
+    -3.6701, 2.3602, 3.6352,
+    -3.1772, 2.2943, 3.7757,
+    -2.1961, -4.5983, 4.4798,
+    -6.2349, -1.9444, 1.6635,
+    -1.2929, -9.2959, 4.0941,
+    -3.2107, -8.5333, 2.8020,
+    -4.0689, -7.9931, 1.9251,
+    0.0000, 6.5454, 5.0273,
+    0.0000, -9.4034, 4.2645,
+    -2.7240, 2.3158, 3.7772,
+    -2.2885, 2.3989, 3.6976,
+    -1.9983, 2.4965, 3.6891,
+    -6.1300, 3.3993, 2.0385,
+    -2.2885, 2.8865, 3.7750,
+    -2.7240, 2.9618, 3.8718,
+    -3.1772, 2.9641, 3.8770,
+    -3.6701, 2.9277, 3.7243,
+    -4.0184, 2.8574, 3.4830,
+    -7.5558, 4.1068, -0.9919,
+    -4.0184, 2.4837, 3.4409,
+    0.0000, -2.5219, 5.9323,
+    -1.7762, -2.6839, 5.2131,
+    -1.2222, -1.1824, 5.9525,
+    -0.7315, -2.5367, 5.8153,
+    0.0000, 3.2710, 5.2360,
+    -4.1353, -6.9966, 2.6720,
+    -3.3118, -7.6608, 3.3830,
+    -1.3137, -8.6400, 4.7025,
+    -5.9405, -6.2236, -0.6315,
+    -1.9983, 2.7438, 3.7440,
+    -0.9014, 1.2370, 5.7543,
+    0.0000, -8.7652, 4.8914,
+    -2.3090, -8.9742, 3.6091,
+    -6.9542, -2.4398, -0.1312,
+    -1.0988, -4.4588, 5.1207,
+    -1.1811, -4.5800, 5.1896,
+    -1.2558, -4.7879, 5.2371,
+    -1.3251, -5.1065, 5.2050,
+    -1.5464, -5.8194, 4.7579,
+    -1.9538, -4.1839, 4.4317,
+    -2.1178, -4.1371, 4.5551,
+    -2.2853, -4.0512, 4.5824,
+    -2.8502, -3.6657, 4.4850,
+    -5.2785, -2.2389, 2.8612,
+    -0.9467, 1.9076, 5.1968,
+    -1.3142, 3.1049, 4.2314,
+    -1.7800, 2.8600, 3.8816,
+    -1.8451, -4.0989, 4.2473,
+    -5.4362, -4.0305, 2.1099,
+    -0.7664, 3.1821, 4.8615,
+    -1.9386, -6.6144, 4.5211,
+    0.0000, 1.0594, 6.7746,
+    -0.5166, 1.5836, 6.1484,
+    0.0000, 1.7284, 6.3168,
+    -1.2468, 0.2303, 5.6810,
+    0.0000, -7.9422, 5.1812,
+    0.0000, -6.9915, 5.1535,
+    -0.9978, -6.9309, 4.9796,
+    -3.2888, -5.3825, 3.7958,
+    -2.3116, -1.5662, 4.5901,
+    -2.6802, -6.1116, 4.0962,
+    -3.8329, -1.5373, 4.1377,
+    -2.9619, -2.2742, 4.4409,
+    -4.3869, -2.6833, 3.6439,
+    -1.2173, -7.8345, 4.9693,
+    -1.5424, -0.1368, 5.2010,
+    -3.8784, -6.0418, 3.3111,
+    -3.0840, -6.8098, 3.8142,
+    -3.7473, -4.5035, 3.7265,
+    -6.0941, -3.2060, 1.4735,
+    -4.5890, -4.7287, 2.9832,
+    -6.5832, -3.9413, 0.0703,
+    -3.4926, -3.1958, 4.1302,
+    -1.2555, 0.8023, 5.3076,
+    -1.1261, -0.9336, 6.5388,
+    -1.4431, -1.1428, 5.9051,
+    -0.9230, -0.5290, 7.0034,
+    -1.7554, 3.5291, 4.3277,
+    -2.6326, 3.7138, 4.3646,
+    -3.3881, 3.7220, 4.3090,
+    -4.0758, 3.6754, 4.0761,
+    -4.6229, 3.4747, 3.6463,
+    -5.1718, 2.5358, 2.6709,
+    -7.2973, 0.7632, -0.0488,
+    -4.7068, 1.6510, 3.1095,
+    -4.0717, 1.4768, 3.4769,
+    -3.2698, 1.4707, 3.7319,
+    -2.5276, 1.6173, 3.8654,
+    -1.9709, 1.8585, 3.9618,
+    -1.5795, 2.0979, 4.0850,
+    -7.6642, 0.6731, -2.4359,
+    -1.3970, -1.3401, 5.6304,
+    -0.8848, 0.6587, 6.2332,
+    -0.7671, -0.9680, 7.0779,
+    -0.4602, -1.3341, 6.7874,
+    -0.7486, -1.0680, 6.7983,
+    -1.2364, -1.5856, 5.4805,
+    -0.3873, -1.4100, 6.9577,
+    -0.3199, -1.6079, 6.5087,
+    -1.6396, 2.5563, 3.8637,
+    -1.2556, 2.4671, 4.2038,
+    -1.0314, 2.3827, 4.6158,
+    -4.2531, 2.7723, 3.3153,
+    -4.5300, 2.9100, 3.3397,
+    0.4639, 0.9554, 6.6336,
+    4.2531, 2.5776, 3.2797,
+    0.4161, -1.4664, 6.4477,
+    7.0880, 5.4348, 0.0996,
+    2.6286, 2.0359, 3.8481,
+    3.1984, 1.9858, 3.7970,
+    3.7752, 2.0394, 3.6462,
+    4.4658, 2.4230, 3.1552,
+    2.1643, 2.1899, 3.8518,
+    3.2082, 3.2239, 4.1158,
+    2.6738, 3.2053, 4.0922,
+    3.7452, 3.1653, 3.9724,
+    4.1610, 3.0591, 3.7196,
+    5.0620, 1.9344, 2.7761,
+    2.2667, -7.4258, 4.3898,
+    4.4459, 2.6640, 3.1734,
+    7.2145, 2.2630, 0.0732,
+    5.7998, 2.3495, 2.2041,
+    2.8449, -0.7209, 4.4331,
+    0.7115, -3.3294, 5.8770,
+    0.6060, -3.9246, 5.4449,
+    1.4316, -3.5010, 5.4962,
+    1.9149, -3.8031, 5.0289,
+    1.1310, -3.9739, 5.1896,
+    1.5635, -4.0828, 4.8423,
+    2.6501, -5.0036, 4.1885,
+    0.4270, -1.0941, 7.3605,
+    0.4964, -0.4757, 7.4404,
+    5.2533, 3.8816, 3.3632,
+    1.7187, 0.9746, 4.5584,
+    1.6086, -0.9425, 5.8142,
+    1.6513, -0.6109, 5.5813,
+    4.7655, -0.7016, 3.5346,
+    0.4783, 0.2958, 7.1010,
+    3.7350, 4.5082, 4.5505,
+    4.5886, 4.3020, 4.0485,
+    6.2793, 6.6154, 1.4259,
+    1.2209, 4.1422, 5.1060,
+    2.1935, 3.1003, 4.0006,
+    3.1026, -4.3530, 4.0959,
+    6.7197, -4.7886, -1.7454,
+    1.1938, -1.3068, 5.7377,
+    0.7298, -1.5937, 5.8332,
+    2.4562, -4.3426, 4.2839,
+    2.2048, -4.3045, 4.1625,
+    4.9859, 4.8025, 3.7520,
+    1.5923, -1.2577, 5.4569,
+    2.6445, 4.5247, 4.9216,
+    2.7603, 5.1010, 5.0160,
+    3.5240, 8.0060, 3.7292,
+    5.5998, 5.7155, 2.7243,
+    3.0639, 6.5661, 4.5300,
+    5.7210, 4.2546, 2.8309,
+    6.3744, 4.7856, 1.5917,
+    0.6727, -3.6880, 5.7378,
+    1.2626, -3.7877, 5.4178,
+    1.7326, -3.9528, 5.0006,
+    1.0436, -1.4650, 5.6625,
+    2.3212, -4.3291, 4.2582,
+    2.0568, -4.4777, 4.5209,
+    2.1531, -4.2763, 4.0381,
+    0.9469, -1.0352, 6.5123,
+    1.4691, -4.0364, 4.6049,
+    1.0243, -3.9899, 4.9267,
+    0.5334, -3.9932, 5.1382,
+    0.7697, -6.0954, 4.9859,
+    0.6996, -5.2919, 5.4483,
+    0.6697, -4.9498, 5.5096,
+    0.6309, -4.6951, 5.4494,
+    0.5832, -4.5180, 5.3399,
+    1.5372, -4.4232, 4.7455,
+    1.6156, -4.4759, 4.8136,
+    1.7291, -4.6187, 4.8545,
+    1.8386, -4.8287, 4.8237,
+    2.3682, -3.1062, 4.8681,
+    7.5422, -1.0493, -2.4313,
+    1.8266, -4.3995, 4.3990,
+    1.9296, -4.4118, 4.4971,
+    0.5974, -2.0137, 5.8665,
+    1.4056, -1.7142, 5.2411,
+    0.6624, -1.8193, 5.8638,
+    2.3423, 0.5722, 4.2943,
+    3.3273, 0.1049, 4.1139,
+    1.7262, -0.9192, 5.2734,
+    5.1332, 7.4856, 2.6604,
+    4.5386, 6.3199, 3.6834,
+    3.9866, 5.1095, 4.4663,
+    2.1697, -5.4404, 4.4559,
+    1.3956, 5.0120, 5.3160,
+    1.6195, 6.5992, 4.9211,
+    1.8914, 8.2364, 4.2750,
+    4.1958, 2.2352, 3.3751,
+    5.7333, 1.4117, 2.4317,
+    1.8599, 2.3558, 3.8432,
+    4.9886, 3.0747, 3.0839,
+    1.3033, 1.4165, 4.8311,
+    1.3058, -0.6728, 6.4160,
+    6.4652, 0.9371, 1.6899,
+    5.2587, 0.9458, 2.9743,
+    4.4323, 0.7221, 3.5226,
+    3.3007, 0.8616, 3.8728,
+    2.4302, 1.1315, 4.0390,
+    1.8207, 1.4680, 4.2241,
+    0.5632, 2.3077, 5.5668,
+    6.3381, -0.5293, 1.8812,
+    5.5877, 3.2081, 2.6878,
+    0.2426, -1.4629, 7.0715,
+    1.6113, 0.3393, 4.8954,
+    7.7431, 2.3650, -2.0052,
+    1.3911, 1.8510, 4.4490,
+    1.7858, -0.9783, 4.8505,
+    4.6710, 2.6645, 3.0841,
+    1.3340, -0.2838, 6.0970,
+    7.2709, -2.8909, -2.2525,
+    1.8564, 2.5852, 3.7579,
+    0.9234, 0.0731, 6.6719,
+    5.0006, -6.1351, 1.8925,
+    5.0853, -7.1786, 0.7147,
+    7.1593, -0.8118, -0.0720,
+    5.8431, -5.2480, 0.9241,
+    6.8473, 3.6629, 0.7247,
+    2.4129, -8.2589, 4.1192,
+    0.1799, -1.6899, 6.5733,
+    2.1037, -0.1639, 4.5661,
+    6.4076, 2.2360, 1.5608,
+    3.6701, 2.3602, 3.6352,
+    3.1772, 2.2943, 3.7757,
+    2.1961, -4.5983, 4.4798,
+    6.2349, -1.9444, 1.6635,
+    1.2929, -9.2959, 4.0941,
+    3.2107, -8.5333, 2.8020,
+    4.0689, -7.9931, 1.9251,
+    2.7240, 2.3158, 3.7772,
+    2.2885, 2.3989, 3.6976,
+    1.9983, 2.4965, 3.6891,
+    6.1300, 3.3993, 2.0385,
+    2.2885, 2.8865, 3.7750,
+    2.7240, 2.9618, 3.8718,
+    3.1772, 2.9641, 3.8770,
+    3.6701, 2.9277, 3.7243,
+    4.0184, 2.8574, 3.4830,
+    7.5558, 4.1068, -0.9919,
+    4.0184, 2.4837, 3.4409,
+    1.7762, -2.6839, 5.2131,
+    1.2222, -1.1824, 5.9525,
+    0.7315, -2.5367, 5.8153,
+    4.1353, -6.9966, 2.6720,
+    3.3118, -7.6608, 3.3830,
+    1.3137, -8.6400, 4.7025,
+    5.9405, -6.2236, -0.6315,
+    1.9983, 2.7438, 3.7440,
+    0.9014, 1.2370, 5.7543,
+    2.3090, -8.9742, 3.6091,
+    6.9542, -2.4398, -0.1312,
+    1.0988, -4.4588, 5.1207,
+    1.1811, -4.5800, 5.1896,
+    1.2558, -4.7879, 5.2371,
+    1.3251, -5.1065, 5.2050,
+    1.5464, -5.8194, 4.7579,
+    1.9538, -4.1839, 4.4317,
+    2.1178, -4.1371, 4.5551,
+    2.2853, -4.0512, 4.5824,
+    2.8502, -3.6657, 4.4850,
+    5.2785, -2.2389, 2.8612,
+    0.9467, 1.9076, 5.1968,
+    1.3142, 3.1049, 4.2314,
+    1.7800, 2.8600, 3.8816,
+    1.8451, -4.0989, 4.2473,
+    5.4362, -4.0305, 2.1099,
+    0.7664, 3.1821, 4.8615,
+    1.9386, -6.6144, 4.5211,
+    0.5166, 1.5836, 6.1484,
+    1.2468, 0.2303, 5.6810,
+    0.9978, -6.9309, 4.9796,
+    3.2888, -5.3825, 3.7958,
+    2.3116, -1.5662, 4.5901,
+    2.6802, -6.1116, 4.0962,
+    3.8329, -1.5373, 4.1377,
+    2.9619, -2.2742, 4.4409,
+    4.3869, -2.6833, 3.6439,
+    1.2173, -7.8345, 4.9693,
+    1.5424, -0.1368, 5.2010,
+    3.8784, -6.0418, 3.3111,
+    3.0840, -6.8098, 3.8142,
+    3.7473, -4.5035, 3.7265,
+    6.0941, -3.2060, 1.4735,
+    4.5890, -4.7287, 2.9832,
+    6.5832, -3.9413, 0.0703,
+    3.4926, -3.1958, 4.1302,
+    1.2555, 0.8023, 5.3076,
+    1.1261, -0.9336, 6.5388,
+    1.4431, -1.1428, 5.9051,
+    0.9230, -0.5290, 7.0034,
+    1.7554, 3.5291, 4.3277,
+    2.6326, 3.7138, 4.3646,
+    3.3881, 3.7220, 4.3090,
+    4.0758, 3.6754, 4.0761,
+    4.6229, 3.4747, 3.6463,
+    5.1718, 2.5358, 2.6709,
+    7.2973, 0.7632, -0.0488,
+    4.7068, 1.6510, 3.1095,
+    4.0717, 1.4768, 3.4769,
+    3.2698, 1.4707, 3.7319,
+    2.5276, 1.6173, 3.8654,
+    1.9709, 1.8585, 3.9618,
+    1.5795, 2.0979, 4.0850,
+    7.6642, 0.6731, -2.4359,
+    1.3970, -1.3401, 5.6304,
+    0.8848, 0.6587, 6.2332,
+    0.7671, -0.9680, 7.0779,
+    0.4602, -1.3341, 6.7874,
+    0.7486, -1.0680, 6.7983,
+    1.2364, -1.5856, 5.4805,
+    0.3873, -1.4100, 6.9577,
+    0.3199, -1.6079, 6.5087,
+    1.6396, 2.5563, 3.8637,
+    1.2556, 2.4671, 4.2038,
+    1.0314, 2.3827, 4.6158,
+    4.2531, 2.7723, 3.3153,
+    4.5300, 2.9100, 3.3397,
+];
+
+/**
+ * Landmarks (and weights) MediaPipe uses to fit the canonical model with
+ * weighted Procrustes. They sit on rigid parts of the face, so expressions
+ * barely move the fitted pose.
+ */
+export const PROCRUSTES_LANDMARK_BASIS = [
+    { index: 4, weight: 0.0709 },
+    { index: 6, weight: 0.0321 },
+    { index: 10, weight: 0.0084 },
+    { index: 33, weight: 0.0587 },
+    { index: 54, weight: 0.0077 },
+    { index: 67, weight: 0.0091 },
+    { index: 117, weight: 0.0098 },
+    { index: 119, weight: 0.0146 },
+    { index: 121, weight: 0.0186 },
+    { index: 127, weight: 0.0052 },
+    { index: 129, weight: 0.1206 },
+    { index: 132, weight: 0.0056 },
+    { index: 133, weight: 0.0533 },
+    { index: 136, weight: 0.0669 },
+    { index: 143, weight: 0.0148 },
+    { index: 147, weight: 0.0143 },
+    { index: 198, weight: 0.0255 },
+    { index: 205, weight: 0.0473 },
+    { index: 263, weight: 0.0587 },
+    { index: 284, weight: 0.0077 },
+    { index: 297, weight: 0.0091 },
+    { index: 346, weight: 0.0098 },
+    { index: 348, weight: 0.0146 },
+    { index: 350, weight: 0.0186 },
+    { index: 356, weight: 0.0052 },
+    { index: 358, weight: 0.1206 },
+    { index: 361, weight: 0.0056 },
+    { index: 362, weight: 0.0533 },
+    { index: 365, weight: 0.0669 },
+    { index: 372, weight: 0.0148 },
+    { index: 376, weight: 0.0143 },
+    { index: 420, weight: 0.0255 },
+    { index: 425, weight: 0.0473 },
+];
+
+/**
+ * Texture coordinates of each canonical vertex (u, v). v grows downward, as in
+ * MediaPipe's canonical UV template image.
+ */
+export const CANONICAL_FACE_UVS = [
+    0.5000, 0.6525,
+    0.5000, 0.5475,
+    0.5000, 0.6024,
+    0.4821, 0.4720,
+    0.5002, 0.5272,
+    0.4999, 0.4983,
+    0.4995, 0.4011,
+    0.2897, 0.3808,
+    0.5000, 0.3124,
+    0.5000, 0.2699,
+    0.5000, 0.1071,
+    0.5000, 0.6662,
+    0.5000, 0.6792,
+    0.5000, 0.6923,
+    0.5000, 0.6953,
+    0.5000, 0.7059,
+    0.5000, 0.7194,
+    0.5000, 0.7370,
+    0.5000, 0.7814,
+    0.4998, 0.5630,
+    0.4738, 0.5739,
+    0.1049, 0.2541,
+    0.3659, 0.4096,
+    0.3388, 0.4130,
+    0.3111, 0.4095,
+    0.2747, 0.3891,
+    0.3934, 0.4037,
+    0.3452, 0.3440,
+    0.3701, 0.3461,
+    0.3193, 0.3473,
+    0.2979, 0.3536,
+    0.2478, 0.4108,
+    0.3969, 0.8428,
+    0.2801, 0.3756,
+    0.1063, 0.4000,
+    0.2099, 0.3914,
+    0.3558, 0.5344,
+    0.4718, 0.6504,
+    0.4742, 0.6802,
+    0.4398, 0.6572,
+    0.4146, 0.6665,
+    0.4504, 0.6809,
+    0.4288, 0.6827,
+    0.3750, 0.7278,
+    0.4867, 0.5476,
+    0.4853, 0.5274,
+    0.2578, 0.3145,
+    0.4012, 0.4552,
+    0.4298, 0.5486,
+    0.4214, 0.5337,
+    0.2769, 0.5321,
+    0.4834, 0.4996,
+    0.3372, 0.2829,
+    0.2964, 0.2932,
+    0.1693, 0.1938,
+    0.4476, 0.3026,
+    0.3924, 0.3539,
+    0.3545, 0.6968,
+    0.0673, 0.7301,
+    0.4427, 0.5728,
+    0.4571, 0.5848,
+    0.3820, 0.6947,
+    0.3924, 0.6942,
+    0.2771, 0.2719,
+    0.4226, 0.5632,
+    0.3859, 0.2814,
+    0.3831, 0.2558,
+    0.3314, 0.1197,
+    0.2299, 0.2320,
+    0.3645, 0.1891,
+    0.2296, 0.2995,
+    0.1733, 0.2787,
+    0.4729, 0.6662,
+    0.4468, 0.6685,
+    0.4228, 0.6739,
+    0.4453, 0.5801,
+    0.3881, 0.6940,
+    0.4030, 0.7065,
+    0.4036, 0.6940,
+    0.4600, 0.5571,
+    0.4312, 0.6924,
+    0.4522, 0.6924,
+    0.4754, 0.6924,
+    0.4658, 0.7792,
+    0.4723, 0.7362,
+    0.4731, 0.7179,
+    0.4731, 0.7046,
+    0.4730, 0.6953,
+    0.4279, 0.6953,
+    0.4265, 0.7035,
+    0.4232, 0.7118,
+    0.4183, 0.7201,
+    0.3901, 0.6396,
+    0.0140, 0.5600,
+    0.4999, 0.5801,
+    0.4132, 0.6954,
+    0.4096, 0.7018,
+    0.4681, 0.6015,
+    0.4227, 0.5860,
+    0.4631, 0.5938,
+    0.3721, 0.4734,
+    0.3346, 0.4961,
+    0.4117, 0.5470,
+    0.2422, 0.1477,
+    0.2908, 0.2014,
+    0.3273, 0.2565,
+    0.3995, 0.7489,
+    0.4417, 0.2617,
+    0.4298, 0.1878,
+    0.4122, 0.1089,
+    0.2890, 0.3990,
+    0.2189, 0.4354,
+    0.4128, 0.3990,
+    0.2571, 0.3554,
+    0.4277, 0.4380,
+    0.4483, 0.5369,
+    0.1786, 0.4576,
+    0.2473, 0.4572,
+    0.2863, 0.4677,
+    0.3328, 0.4607,
+    0.3688, 0.4472,
+    0.3990, 0.4327,
+    0.4764, 0.4058,
+    0.1892, 0.5239,
+    0.2290, 0.3490,
+    0.4907, 0.5624,
+    0.4047, 0.4851,
+    0.0195, 0.4016,
+    0.4262, 0.4204,
+    0.3970, 0.5488,
+    0.2665, 0.3770,
+    0.4391, 0.5190,
+    0.0323, 0.6444,
+    0.4191, 0.3872,
+    0.4628, 0.5057,
+    0.2390, 0.7797,
+    0.1982, 0.8319,
+    0.1076, 0.5408,
+    0.1836, 0.7403,
+    0.1344, 0.3337,
+    0.3858, 0.8832,
+    0.4910, 0.5794,
+    0.3824, 0.5086,
+    0.1744, 0.3977,
+    0.3188, 0.3962,
+    0.3434, 0.4006,
+    0.3961, 0.7102,
+    0.1879, 0.5885,
+    0.4310, 0.9441,
+    0.3190, 0.8983,
+    0.2662, 0.8697,
+    0.5000, 0.1906,
+    0.5000, 0.9545,
+    0.3662, 0.3988,
+    0.3932, 0.3955,
+    0.4104, 0.3911,
+    0.1950, 0.3421,
+    0.3887, 0.3623,
+    0.3660, 0.3560,
+    0.3434, 0.3554,
+    0.3188, 0.3583,
+    0.3014, 0.3632,
+    0.0581, 0.3191,
+    0.3014, 0.3874,
+    0.5000, 0.6184,
+    0.4158, 0.6242,
+    0.4457, 0.5661,
+    0.4658, 0.6206,
+    0.4999, 0.3515,
+    0.2887, 0.8199,
+    0.3353, 0.8528,
+    0.4405, 0.9024,
+    0.1283, 0.7919,
+    0.4088, 0.3739,
+    0.4556, 0.4518,
+    0.4999, 0.9090,
+    0.3754, 0.9242,
+    0.1142, 0.6150,
+    0.4487, 0.6953,
+    0.4480, 0.7046,
+    0.4471, 0.7158,
+    0.4448, 0.7308,
+    0.4300, 0.7668,
+    0.4068, 0.6857,
+    0.4007, 0.6811,
+    0.3924, 0.6777,
+    0.3679, 0.6639,
+    0.2479, 0.6013,
+    0.4528, 0.4209,
+    0.4364, 0.3599,
+    0.4162, 0.3687,
+    0.4134, 0.6924,
+    0.2280, 0.6836,
+    0.4683, 0.3527,
+    0.4114, 0.8043,
+    0.5000, 0.4698,
+    0.4792, 0.4427,
+    0.5000, 0.4396,
+    0.4321, 0.4936,
+    0.4999, 0.8669,
+    0.4999, 0.8217,
+    0.4565, 0.8192,
+    0.3445, 0.7454,
+    0.3789, 0.5740,
+    0.3743, 0.7802,
+    0.3197, 0.5707,
+    0.3572, 0.6043,
+    0.2953, 0.6216,
+    0.4478, 0.8625,
+    0.4110, 0.5087,
+    0.3140, 0.7753,
+    0.3541, 0.8126,
+    0.3245, 0.7040,
+    0.1891, 0.6463,
+    0.2798, 0.7147,
+    0.1338, 0.6827,
+    0.3368, 0.6447,
+    0.4299, 0.4665,
+    0.4555, 0.5486,
+    0.4371, 0.5589,
+    0.4673, 0.5299,
+    0.4147, 0.3352,
+    0.3770, 0.3228,
+    0.3441, 0.3202,
+    0.3129, 0.3223,
+    0.2835, 0.3332,
+    0.2412, 0.3828,
+    0.1030, 0.4688,
+    0.2676, 0.4246,
+    0.2979, 0.4332,
+    0.3334, 0.4339,
+    0.3664, 0.4261,
+    0.3960, 0.4167,
+    0.4201, 0.4102,
+    0.0076, 0.4808,
+    0.4329, 0.5695,
+    0.4586, 0.4791,
+    0.4735, 0.5457,
+    0.4761, 0.5638,
+    0.4685, 0.5551,
+    0.4340, 0.5824,
+    0.4835, 0.5630,
+    0.4825, 0.5778,
+    0.4265, 0.3898,
+    0.4390, 0.3965,
+    0.4501, 0.4004,
+    0.2897, 0.3683,
+    0.2767, 0.3634,
+    0.5179, 0.4719,
+    0.7103, 0.3808,
+    0.5262, 0.5739,
+    0.8951, 0.2541,
+    0.6341, 0.4096,
+    0.6612, 0.4130,
+    0.6889, 0.4095,
+    0.7253, 0.3891,
+    0.6066, 0.4037,
+    0.6548, 0.3440,
+    0.6299, 0.3461,
+    0.6807, 0.3473,
+    0.7021, 0.3536,
+    0.7522, 0.4108,
+    0.6029, 0.8429,
+    0.7199, 0.3756,
+    0.8937, 0.4000,
+    0.7901, 0.3914,
+    0.6440, 0.5345,
+    0.5282, 0.6504,
+    0.5258, 0.6802,
+    0.5602, 0.6572,
+    0.5854, 0.6665,
+    0.5496, 0.6809,
+    0.5712, 0.6827,
+    0.6249, 0.7281,
+    0.5131, 0.5473,
+    0.5151, 0.5273,
+    0.7422, 0.3145,
+    0.5986, 0.4550,
+    0.5703, 0.5486,
+    0.5786, 0.5336,
+    0.7231, 0.5321,
+    0.5164, 0.4996,
+    0.6628, 0.2829,
+    0.7036, 0.2933,
+    0.8307, 0.1938,
+    0.5524, 0.3026,
+    0.6076, 0.3539,
+    0.6454, 0.6967,
+    0.9327, 0.7301,
+    0.5573, 0.5728,
+    0.5429, 0.5848,
+    0.6180, 0.6947,
+    0.6076, 0.6942,
+    0.7229, 0.2720,
+    0.5774, 0.5632,
+    0.6141, 0.2814,
+    0.6169, 0.2559,
+    0.6685, 0.1199,
+    0.7701, 0.2320,
+    0.6355, 0.1892,
+    0.7704, 0.2996,
+    0.8267, 0.2788,
+    0.5271, 0.6662,
+    0.5532, 0.6685,
+    0.5772, 0.6739,
+    0.5547, 0.5801,
+    0.6119, 0.6940,
+    0.5970, 0.7065,
+    0.5964, 0.6940,
+    0.5400, 0.5571,
+    0.5688, 0.6924,
+    0.5478, 0.6924,
+    0.5246, 0.6924,
+    0.5341, 0.7791,
+    0.5277, 0.7362,
+    0.5269, 0.7179,
+    0.5269, 0.7046,
+    0.5270, 0.6953,
+    0.5721, 0.6953,
+    0.5735, 0.7035,
+    0.5768, 0.7118,
+    0.5817, 0.7201,
+    0.6099, 0.6399,
+    0.9860, 0.5600,
+    0.5868, 0.6954,
+    0.5904, 0.7018,
+    0.5319, 0.6015,
+    0.5773, 0.5859,
+    0.5369, 0.5938,
+    0.6275, 0.4734,
+    0.6656, 0.4960,
+    0.5884, 0.5469,
+    0.7578, 0.1477,
+    0.7092, 0.2015,
+    0.6727, 0.2566,
+    0.6004, 0.7490,
+    0.5583, 0.2617,
+    0.5703, 0.1879,
+    0.5882, 0.1090,
+    0.7110, 0.3990,
+    0.7811, 0.4354,
+    0.5872, 0.3989,
+    0.7429, 0.3554,
+    0.5722, 0.4377,
+    0.5519, 0.5366,
+    0.8214, 0.4576,
+    0.7527, 0.4572,
+    0.7138, 0.4676,
+    0.6671, 0.4607,
+    0.6311, 0.4472,
+    0.6009, 0.4325,
+    0.5235, 0.4056,
+    0.8107, 0.5239,
+    0.7710, 0.3490,
+    0.5091, 0.5627,
+    0.5953, 0.4850,
+    0.9805, 0.4016,
+    0.5735, 0.4200,
+    0.6030, 0.5487,
+    0.7335, 0.3770,
+    0.5606, 0.5190,
+    0.9677, 0.6444,
+    0.5810, 0.3872,
+    0.5377, 0.5054,
+    0.7610, 0.7798,
+    0.8018, 0.8319,
+    0.8924, 0.5408,
+    0.8164, 0.7403,
+    0.8656, 0.3337,
+    0.6141, 0.8832,
+    0.5090, 0.5794,
+    0.6179, 0.5083,
+    0.8256, 0.3977,
+    0.6812, 0.3962,
+    0.6566, 0.4006,
+    0.6039, 0.7102,
+    0.8121, 0.5885,
+    0.5680, 0.9446,
+    0.6810, 0.8983,
+    0.7338, 0.8697,
+    0.6338, 0.3988,
+    0.6068, 0.3955,
+    0.5897, 0.3911,
+    0.8050, 0.3421,
+    0.6113, 0.3623,
+    0.6340, 0.3560,
+    0.6566, 0.3554,
+    0.6812, 0.3583,
+    0.6986, 0.3632,
+    0.9419, 0.3191,
+    0.6986, 0.3874,
+    0.5842, 0.6241,
+    0.5543, 0.5661,
+    0.5342, 0.6206,
+    0.7112, 0.8200,
+    0.6646, 0.8529,
+    0.5591, 0.9026,
+    0.8717, 0.7919,
+    0.5912, 0.3739,
+    0.5443, 0.4516,
+    0.6246, 0.9242,
+    0.8858, 0.6150,
+    0.5513, 0.6953,
+    0.5520, 0.7046,
+    0.5529, 0.7158,
+    0.5552, 0.7308,
+    0.5699, 0.7670,
+    0.5932, 0.6857,
+    0.5993, 0.6811,
+    0.6076, 0.6777,
+    0.6319, 0.6635,
+    0.7520, 0.6013,
+    0.5472, 0.4204,
+    0.5635, 0.3598,
+    0.5838, 0.3687,
+    0.5866, 0.6924,
+    0.7719, 0.6836,
+    0.5316, 0.3525,
+    0.5884, 0.8044,
+    0.5208, 0.4426,
+    0.5680, 0.4935,
+    0.5433, 0.8193,
+    0.6553, 0.7455,
+    0.6210, 0.5740,
+    0.6256, 0.7803,
+    0.6802, 0.5707,
+    0.6428, 0.6043,
+    0.7047, 0.6215,
+    0.5520, 0.8626,
+    0.5891, 0.5086,
+    0.6859, 0.7754,
+    0.6457, 0.8126,
+    0.6753, 0.7040,
+    0.8109, 0.6463,
+    0.7201, 0.7147,
+    0.8662, 0.6827,
+    0.6632, 0.6446,
+    0.5701, 0.4663,
+    0.5446, 0.5484,
+    0.5628, 0.5588,
+    0.5320, 0.5301,
+    0.5853, 0.3352,
+    0.6230, 0.3228,
+    0.6559, 0.3202,
+    0.6871, 0.3223,
+    0.7165, 0.3332,
+    0.7588, 0.3828,
+    0.8970, 0.4688,
+    0.7324, 0.4245,
+    0.7021, 0.4332,
+    0.6665, 0.4339,
+    0.6335, 0.4261,
+    0.6039, 0.4166,
+    0.5797, 0.4099,
+    0.9924, 0.4808,
+    0.5672, 0.5694,
+    0.5414, 0.4789,
+    0.5266, 0.5461,
+    0.5239, 0.5638,
+    0.5315, 0.5551,
+    0.5660, 0.5823,
+    0.5163, 0.5631,
+    0.5175, 0.5779,
+    0.5736, 0.3898,
+    0.5607, 0.3953,
+    0.5498, 0.3998,
+    0.7103, 0.3683,
+    0.7233, 0.3634,
+];
+
+/**
+ * Canonical mesh triangles (vertex indices, three per triangle).
+ */
+export const CANONICAL_FACE_TRIANGLES = [
+    173, 155, 133,
+    246, 33, 7,
+    382, 398, 362,
+    263, 466, 249,
+    308, 415, 324,
+    78, 95, 191,
+    356, 389, 264,
+    127, 34, 162,
+    368, 264, 389,
+    139, 162, 34,
+    267, 0, 302,
+    37, 72, 0,
+    11, 302, 0,
+    11, 0, 72,
+    349, 451, 350,
+    120, 121, 231,
+    452, 350, 451,
+    232, 231, 121,
+    267, 302, 269,
+    37, 39, 72,
+    303, 269, 302,
+    73, 72, 39,
+    357, 343, 350,
+    128, 121, 114,
+    277, 350, 343,
+    47, 114, 121,
+    350, 452, 357,
+    121, 128, 232,
+    453, 357, 452,
+    233, 232, 128,
+    299, 333, 297,
+    69, 67, 104,
+    332, 297, 333,
+    103, 104, 67,
+    175, 152, 396,
+    175, 171, 152,
+    377, 396, 152,
+    148, 152, 171,
+    381, 384, 382,
+    154, 155, 157,
+    398, 382, 384,
+    173, 157, 155,
+    280, 347, 330,
+    50, 101, 118,
+    348, 330, 347,
+    119, 118, 101,
+    269, 303, 270,
+    39, 40, 73,
+    304, 270, 303,
+    74, 73, 40,
+    9, 336, 151,
+    9, 151, 107,
+    337, 151, 336,
+    108, 107, 151,
+    344, 278, 360,
+    115, 131, 48,
+    279, 360, 278,
+    49, 48, 131,
+    262, 431, 418,
+    32, 194, 211,
+    424, 418, 431,
+    204, 211, 194,
+    304, 408, 270,
+    74, 40, 184,
+    409, 270, 408,
+    185, 184, 40,
+    272, 310, 407,
+    42, 183, 80,
+    415, 407, 310,
+    191, 80, 183,
+    322, 270, 410,
+    92, 186, 40,
+    409, 410, 270,
+    185, 40, 186,
+    347, 449, 348,
+    118, 119, 229,
+    450, 348, 449,
+    230, 229, 119,
+    434, 432, 430,
+    214, 210, 212,
+    422, 430, 432,
+    202, 212, 210,
+    313, 314, 18,
+    83, 18, 84,
+    17, 18, 314,
+    17, 84, 18,
+    307, 375, 306,
+    77, 76, 146,
+    291, 306, 375,
+    61, 146, 76,
+    259, 387, 260,
+    29, 30, 160,
+    388, 260, 387,
+    161, 160, 30,
+    286, 414, 384,
+    56, 157, 190,
+    398, 384, 414,
+    173, 190, 157,
+    418, 424, 406,
+    194, 182, 204,
+    335, 406, 424,
+    106, 204, 182,
+    367, 416, 364,
+    138, 135, 192,
+    434, 364, 416,
+    214, 192, 135,
+    391, 423, 327,
+    165, 98, 203,
+    358, 327, 423,
+    129, 203, 98,
+    298, 301, 284,
+    68, 54, 71,
+    251, 284, 301,
+    21, 71, 54,
+    4, 275, 5,
+    4, 5, 45,
+    281, 5, 275,
+    51, 45, 5,
+    254, 373, 253,
+    24, 23, 144,
+    374, 253, 373,
+    145, 144, 23,
+    320, 321, 307,
+    90, 77, 91,
+    375, 307, 321,
+    146, 91, 77,
+    280, 425, 411,
+    50, 187, 205,
+    427, 411, 425,
+    207, 205, 187,
+    421, 313, 200,
+    201, 200, 83,
+    18, 200, 313,
+    18, 83, 200,
+    335, 321, 406,
+    106, 182, 91,
+    405, 406, 321,
+    181, 91, 182,
+    405, 321, 404,
+    181, 180, 91,
+    320, 404, 321,
+    90, 91, 180,
+    17, 314, 16,
+    17, 16, 84,
+    315, 16, 314,
+    85, 84, 16,
+    425, 266, 426,
+    205, 206, 36,
+    423, 426, 266,
+    203, 36, 206,
+    369, 396, 400,
+    140, 176, 171,
+    377, 400, 396,
+    148, 171, 176,
+    391, 269, 322,
+    165, 92, 39,
+    270, 322, 269,
+    40, 39, 92,
+    417, 465, 413,
+    193, 189, 245,
+    464, 413, 465,
+    244, 245, 189,
+    257, 258, 386,
+    27, 159, 28,
+    385, 386, 258,
+    158, 28, 159,
+    260, 388, 467,
+    30, 247, 161,
+    466, 467, 388,
+    246, 161, 247,
+    248, 456, 419,
+    3, 196, 236,
+    399, 419, 456,
+    174, 236, 196,
+    333, 298, 332,
+    104, 103, 68,
+    284, 332, 298,
+    54, 68, 103,
+    285, 8, 417,
+    55, 193, 8,
+    168, 417, 8,
+    168, 8, 193,
+    340, 261, 346,
+    111, 117, 31,
+    448, 346, 261,
+    228, 31, 117,
+    285, 417, 441,
+    55, 221, 193,
+    413, 441, 417,
+    189, 193, 221,
+    327, 460, 326,
+    98, 97, 240,
+    328, 326, 460,
+    99, 240, 97,
+    277, 355, 329,
+    47, 100, 126,
+    371, 329, 355,
+    142, 126, 100,
+    309, 392, 438,
+    79, 218, 166,
+    439, 438, 392,
+    219, 166, 218,
+    381, 382, 256,
+    154, 26, 155,
+    341, 256, 382,
+    112, 155, 26,
+    360, 279, 420,
+    131, 198, 49,
+    429, 420, 279,
+    209, 49, 198,
+    365, 364, 379,
+    136, 150, 135,
+    394, 379, 364,
+    169, 135, 150,
+    355, 277, 437,
+    126, 217, 47,
+    343, 437, 277,
+    114, 47, 217,
+    443, 444, 282,
+    223, 52, 224,
+    283, 282, 444,
+    53, 224, 52,
+    281, 275, 363,
+    51, 134, 45,
+    440, 363, 275,
+    220, 45, 134,
+    431, 262, 395,
+    211, 170, 32,
+    369, 395, 262,
+    140, 32, 170,
+    337, 299, 338,
+    108, 109, 69,
+    297, 338, 299,
+    67, 69, 109,
+    335, 273, 321,
+    106, 91, 43,
+    375, 321, 273,
+    146, 43, 91,
+    348, 450, 349,
+    119, 120, 230,
+    451, 349, 450,
+    231, 230, 120,
+    467, 359, 342,
+    247, 113, 130,
+    446, 342, 359,
+    226, 130, 113,
+    282, 283, 334,
+    52, 105, 53,
+    293, 334, 283,
+    63, 53, 105,
+    250, 458, 462,
+    20, 242, 238,
+    461, 462, 458,
+    241, 238, 242,
+    276, 353, 300,
+    46, 70, 124,
+    383, 300, 353,
+    156, 124, 70,
+    325, 292, 324,
+    96, 95, 62,
+    308, 324, 292,
+    78, 62, 95,
+    283, 276, 293,
+    53, 63, 46,
+    300, 293, 276,
+    70, 46, 63,
+    447, 264, 345,
+    227, 116, 34,
+    372, 345, 264,
+    143, 34, 116,
+    352, 345, 346,
+    123, 117, 116,
+    340, 346, 345,
+    111, 116, 117,
+    1, 19, 274,
+    1, 44, 19,
+    354, 274, 19,
+    125, 19, 44,
+    248, 281, 456,
+    3, 236, 51,
+    363, 456, 281,
+    134, 51, 236,
+    425, 426, 427,
+    205, 207, 206,
+    436, 427, 426,
+    216, 206, 207,
+    380, 381, 252,
+    153, 22, 154,
+    256, 252, 381,
+    26, 154, 22,
+    391, 393, 269,
+    165, 39, 167,
+    267, 269, 393,
+    37, 167, 39,
+    199, 428, 200,
+    199, 200, 208,
+    421, 200, 428,
+    201, 208, 200,
+    330, 329, 266,
+    101, 36, 100,
+    371, 266, 329,
+    142, 100, 36,
+    422, 432, 273,
+    202, 43, 212,
+    287, 273, 432,
+    57, 212, 43,
+    290, 250, 328,
+    60, 99, 20,
+    462, 328, 250,
+    242, 20, 99,
+    258, 286, 385,
+    28, 158, 56,
+    384, 385, 286,
+    157, 56, 158,
+    342, 446, 353,
+    113, 124, 226,
+    265, 353, 446,
+    35, 226, 124,
+    257, 386, 259,
+    27, 29, 159,
+    387, 259, 386,
+    160, 159, 29,
+    430, 422, 431,
+    210, 211, 202,
+    424, 431, 422,
+    204, 202, 211,
+    445, 342, 276,
+    225, 46, 113,
+    353, 276, 342,
+    124, 113, 46,
+    424, 422, 335,
+    204, 106, 202,
+    273, 335, 422,
+    43, 202, 106,
+    306, 292, 307,
+    76, 77, 62,
+    325, 307, 292,
+    96, 62, 77,
+    366, 447, 352,
+    137, 123, 227,
+    345, 352, 447,
+    116, 227, 123,
+    302, 268, 303,
+    72, 73, 38,
+    271, 303, 268,
+    41, 38, 73,
+    371, 358, 266,
+    142, 36, 129,
+    423, 266, 358,
+    203, 129, 36,
+    327, 294, 460,
+    98, 240, 64,
+    455, 460, 294,
+    235, 64, 240,
+    294, 331, 278,
+    64, 48, 102,
+    279, 278, 331,
+    49, 102, 48,
+    303, 271, 304,
+    73, 74, 41,
+    272, 304, 271,
+    42, 41, 74,
+    427, 436, 434,
+    207, 214, 216,
+    432, 434, 436,
+    212, 216, 214,
+    304, 272, 408,
+    74, 184, 42,
+    407, 408, 272,
+    183, 42, 184,
+    394, 430, 395,
+    169, 170, 210,
+    431, 395, 430,
+    211, 210, 170,
+    395, 369, 378,
+    170, 149, 140,
+    400, 378, 369,
+    176, 140, 149,
+    296, 334, 299,
+    66, 69, 105,
+    333, 299, 334,
+    104, 105, 69,
+    417, 168, 351,
+    193, 122, 168,
+    6, 351, 168,
+    6, 168, 122,
+    280, 411, 352,
+    50, 123, 187,
+    376, 352, 411,
+    147, 187, 123,
+    319, 320, 325,
+    89, 96, 90,
+    307, 325, 320,
+    77, 90, 96,
+    285, 295, 336,
+    55, 107, 65,
+    296, 336, 295,
+    66, 65, 107,
+    404, 320, 403,
+    180, 179, 90,
+    319, 403, 320,
+    89, 90, 179,
+    330, 348, 329,
+    101, 100, 119,
+    349, 329, 348,
+    120, 119, 100,
+    334, 293, 333,
+    105, 104, 63,
+    298, 333, 293,
+    68, 63, 104,
+    323, 454, 366,
+    93, 137, 234,
+    447, 366, 454,
+    227, 234, 137,
+    16, 315, 15,
+    16, 15, 85,
+    316, 15, 315,
+    86, 85, 15,
+    429, 279, 358,
+    209, 129, 49,
+    331, 358, 279,
+    102, 49, 129,
+    15, 316, 14,
+    15, 14, 86,
+    317, 14, 316,
+    87, 86, 14,
+    8, 285, 9,
+    8, 9, 55,
+    336, 9, 285,
+    107, 55, 9,
+    329, 349, 277,
+    100, 47, 120,
+    350, 277, 349,
+    121, 120, 47,
+    252, 253, 380,
+    22, 153, 23,
+    374, 380, 253,
+    145, 23, 153,
+    402, 403, 318,
+    178, 88, 179,
+    319, 318, 403,
+    89, 179, 88,
+    351, 6, 419,
+    122, 196, 6,
+    197, 419, 6,
+    197, 6, 196,
+    324, 318, 325,
+    95, 96, 88,
+    319, 325, 318,
+    89, 88, 96,
+    397, 367, 365,
+    172, 136, 138,
+    364, 365, 367,
+    135, 138, 136,
+    288, 435, 397,
+    58, 172, 215,
+    367, 397, 435,
+    138, 215, 172,
+    438, 439, 344,
+    218, 115, 219,
+    278, 344, 439,
+    48, 219, 115,
+    271, 311, 272,
+    41, 42, 81,
+    310, 272, 311,
+    80, 81, 42,
+    5, 281, 195,
+    5, 195, 51,
+    248, 195, 281,
+    3, 51, 195,
+    273, 287, 375,
+    43, 146, 57,
+    291, 375, 287,
+    61, 57, 146,
+    396, 428, 175,
+    171, 175, 208,
+    199, 175, 428,
+    199, 208, 175,
+    268, 312, 271,
+    38, 41, 82,
+    311, 271, 312,
+    81, 82, 41,
+    444, 445, 283,
+    224, 53, 225,
+    276, 283, 445,
+    46, 225, 53,
+    254, 339, 373,
+    24, 144, 110,
+    390, 373, 339,
+    163, 110, 144,
+    295, 282, 296,
+    65, 66, 52,
+    334, 296, 282,
+    105, 52, 66,
+    346, 448, 347,
+    117, 118, 228,
+    449, 347, 448,
+    229, 228, 118,
+    454, 356, 447,
+    234, 227, 127,
+    264, 447, 356,
+    34, 127, 227,
+    336, 296, 337,
+    107, 108, 66,
+    299, 337, 296,
+    69, 66, 108,
+    151, 337, 10,
+    151, 10, 108,
+    338, 10, 337,
+    109, 108, 10,
+    278, 439, 294,
+    48, 64, 219,
+    455, 294, 439,
+    235, 219, 64,
+    407, 415, 292,
+    183, 62, 191,
+    308, 292, 415,
+    78, 191, 62,
+    358, 371, 429,
+    129, 209, 142,
+    355, 429, 371,
+    126, 142, 209,
+    345, 372, 340,
+    116, 111, 143,
+    265, 340, 372,
+    35, 143, 111,
+    388, 390, 466,
+    161, 246, 163,
+    249, 466, 390,
+    7, 163, 246,
+    352, 346, 280,
+    123, 50, 117,
+    347, 280, 346,
+    118, 117, 50,
+    295, 442, 282,
+    65, 52, 222,
+    443, 282, 442,
+    223, 222, 52,
+    19, 94, 354,
+    19, 125, 94,
+    370, 354, 94,
+    141, 94, 125,
+    295, 285, 442,
+    65, 222, 55,
+    441, 442, 285,
+    221, 55, 222,
+    419, 197, 248,
+    196, 3, 197,
+    195, 248, 197,
+    195, 197, 3,
+    359, 263, 255,
+    130, 25, 33,
+    249, 255, 263,
+    7, 33, 25,
+    275, 274, 440,
+    45, 220, 44,
+    457, 440, 274,
+    237, 44, 220,
+    300, 383, 301,
+    70, 71, 156,
+    368, 301, 383,
+    139, 156, 71,
+    417, 351, 465,
+    193, 245, 122,
+    412, 465, 351,
+    188, 122, 245,
+    466, 263, 467,
+    246, 247, 33,
+    359, 467, 263,
+    130, 33, 247,
+    389, 251, 368,
+    162, 139, 21,
+    301, 368, 251,
+    71, 21, 139,
+    374, 386, 380,
+    145, 153, 159,
+    385, 380, 386,
+    158, 159, 153,
+    379, 394, 378,
+    150, 149, 169,
+    395, 378, 394,
+    170, 169, 149,
+    351, 419, 412,
+    122, 188, 196,
+    399, 412, 419,
+    174, 196, 188,
+    426, 322, 436,
+    206, 216, 92,
+    410, 436, 322,
+    186, 92, 216,
+    387, 373, 388,
+    160, 161, 144,
+    390, 388, 373,
+    163, 144, 161,
+    393, 326, 164,
+    167, 164, 97,
+    2, 164, 326,
+    2, 97, 164,
+    354, 370, 461,
+    125, 241, 141,
+    462, 461, 370,
+    242, 141, 241,
+    0, 267, 164,
+    0, 164, 37,
+    393, 164, 267,
+    167, 37, 164,
+    11, 12, 302,
+    11, 72, 12,
+    268, 302, 12,
+    38, 12, 72,
+    386, 374, 387,
+    159, 160, 145,
+    373, 387, 374,
+    144, 145, 160,
+    12, 13, 268,
+    12, 38, 13,
+    312, 268, 13,
+    82, 13, 38,
+    293, 300, 298,
+    63, 68, 70,
+    301, 298, 300,
+    71, 70, 68,
+    340, 265, 261,
+    111, 31, 35,
+    446, 261, 265,
+    226, 35, 31,
+    380, 385, 381,
+    153, 154, 158,
+    384, 381, 385,
+    157, 158, 154,
+    280, 330, 425,
+    50, 205, 101,
+    266, 425, 330,
+    36, 101, 205,
+    423, 391, 426,
+    203, 206, 165,
+    322, 426, 391,
+    92, 165, 206,
+    429, 355, 420,
+    209, 198, 126,
+    437, 420, 355,
+    217, 126, 198,
+    391, 327, 393,
+    165, 167, 98,
+    326, 393, 327,
+    97, 98, 167,
+    457, 438, 440,
+    237, 220, 218,
+    344, 440, 438,
+    115, 218, 220,
+    382, 362, 341,
+    155, 112, 133,
+    463, 341, 362,
+    243, 133, 112,
+    457, 461, 459,
+    237, 239, 241,
+    458, 459, 461,
+    238, 241, 239,
+    434, 430, 364,
+    214, 135, 210,
+    394, 364, 430,
+    169, 210, 135,
+    414, 463, 398,
+    190, 173, 243,
+    362, 398, 463,
+    133, 243, 173,
+    262, 428, 369,
+    32, 140, 208,
+    396, 369, 428,
+    171, 208, 140,
+    457, 274, 461,
+    237, 241, 44,
+    354, 461, 274,
+    125, 44, 241,
+    316, 403, 317,
+    86, 87, 179,
+    402, 317, 403,
+    178, 179, 87,
+    315, 404, 316,
+    85, 86, 180,
+    403, 316, 404,
+    179, 180, 86,
+    314, 405, 315,
+    84, 85, 181,
+    404, 315, 405,
+    180, 181, 85,
+    313, 406, 314,
+    83, 84, 182,
+    405, 314, 406,
+    181, 182, 84,
+    418, 406, 421,
+    194, 201, 182,
+    313, 421, 406,
+    83, 182, 201,
+    366, 401, 323,
+    137, 93, 177,
+    361, 323, 401,
+    132, 177, 93,
+    408, 407, 306,
+    184, 76, 183,
+    292, 306, 407,
+    62, 183, 76,
+    408, 306, 409,
+    184, 185, 76,
+    291, 409, 306,
+    61, 76, 185,
+    410, 409, 287,
+    186, 57, 185,
+    291, 287, 409,
+    61, 185, 57,
+    436, 410, 432,
+    216, 212, 186,
+    287, 432, 410,
+    57, 186, 212,
+    434, 416, 427,
+    214, 207, 192,
+    411, 427, 416,
+    187, 192, 207,
+    264, 368, 372,
+    34, 143, 139,
+    383, 372, 368,
+    156, 139, 143,
+    457, 459, 438,
+    237, 218, 239,
+    309, 438, 459,
+    79, 239, 218,
+    352, 376, 366,
+    123, 137, 147,
+    401, 366, 376,
+    177, 147, 137,
+    4, 1, 275,
+    4, 45, 1,
+    274, 275, 1,
+    44, 1, 45,
+    428, 262, 421,
+    208, 201, 32,
+    418, 421, 262,
+    194, 32, 201,
+    327, 358, 294,
+    98, 64, 129,
+    331, 294, 358,
+    102, 129, 64,
+    367, 435, 416,
+    138, 192, 215,
+    433, 416, 435,
+    213, 215, 192,
+    455, 439, 289,
+    235, 59, 219,
+    392, 289, 439,
+    166, 219, 59,
+    328, 462, 326,
+    99, 97, 242,
+    370, 326, 462,
+    141, 242, 97,
+    326, 370, 2,
+    97, 2, 141,
+    94, 2, 370,
+    94, 141, 2,
+    460, 455, 305,
+    240, 75, 235,
+    289, 305, 455,
+    59, 235, 75,
+    448, 339, 449,
+    228, 229, 110,
+    254, 449, 339,
+    24, 110, 229,
+    261, 446, 255,
+    31, 25, 226,
+    359, 255, 446,
+    130, 226, 25,
+    449, 254, 450,
+    229, 230, 24,
+    253, 450, 254,
+    23, 24, 230,
+    450, 253, 451,
+    230, 231, 23,
+    252, 451, 253,
+    22, 23, 231,
+    451, 252, 452,
+    231, 232, 22,
+    256, 452, 252,
+    26, 22, 232,
+    256, 341, 452,
+    26, 232, 112,
+    453, 452, 341,
+    233, 112, 232,
+    413, 464, 414,
+    189, 190, 244,
+    463, 414, 464,
+    243, 244, 190,
+    441, 413, 286,
+    221, 56, 189,
+    414, 286, 413,
+    190, 189, 56,
+    441, 286, 442,
+    221, 222, 56,
+    258, 442, 286,
+    28, 56, 222,
+    442, 258, 443,
+    222, 223, 28,
+    257, 443, 258,
+    27, 28, 223,
+    444, 443, 259,
+    224, 29, 223,
+    257, 259, 443,
+    27, 223, 29,
+    259, 260, 444,
+    29, 224, 30,
+    445, 444, 260,
+    225, 30, 224,
+    260, 467, 445,
+    30, 225, 247,
+    342, 445, 467,
+    113, 247, 225,
+    250, 309, 458,
+    20, 238, 79,
+    459, 458, 309,
+    239, 79, 238,
+    290, 305, 392,
+    60, 166, 75,
+    289, 392, 305,
+    59, 75, 166,
+    460, 305, 328,
+    240, 99, 75,
+    290, 328, 305,
+    60, 75, 99,
+    376, 433, 401,
+    147, 177, 213,
+    435, 401, 433,
+    215, 213, 177,
+    250, 290, 309,
+    20, 79, 60,
+    392, 309, 290,
+    166, 60, 79,
+    411, 416, 376,
+    187, 147, 192,
+    433, 376, 416,
+    213, 192, 147,
+    341, 463, 453,
+    112, 233, 243,
+    464, 453, 463,
+    244, 243, 233,
+    453, 464, 357,
+    233, 128, 244,
+    465, 357, 464,
+    245, 244, 128,
+    412, 343, 465,
+    188, 245, 114,
+    357, 465, 343,
+    128, 114, 245,
+    437, 343, 399,
+    217, 174, 114,
+    412, 399, 343,
+    188, 114, 174,
+    363, 440, 360,
+    134, 131, 220,
+    344, 360, 440,
+    115, 220, 131,
+    456, 420, 399,
+    236, 174, 198,
+    437, 399, 420,
+    217, 198, 174,
+    456, 363, 420,
+    236, 198, 134,
+    360, 420, 363,
+    131, 134, 198,
+    361, 401, 288,
+    132, 58, 177,
+    435, 288, 401,
+    215, 177, 58,
+    353, 265, 383,
+    124, 156, 35,
+    372, 383, 265,
+    143, 35, 156,
+    255, 249, 339,
+    25, 110, 7,
+    390, 339, 249,
+    163, 7, 110,
+    261, 255, 448,
+    31, 228, 25,
+    339, 448, 255,
+    110, 25, 228,
+    14, 317, 13,
+    14, 13, 87,
+    312, 13, 317,
+    82, 87, 13,
+    317, 402, 312,
+    87, 82, 178,
+    311, 312, 402,
+    81, 178, 82,
+    402, 318, 311,
+    178, 81, 88,
+    310, 311, 318,
+    80, 88, 81,
+    318, 324, 310,
+    88, 80, 95,
+    415, 310, 324,
+    191, 95, 80,
+];
@@ -0,0 +1,43 @@
+// MediaPipe Hands landmark indices
+export const HAND_LANDMARKS = {
+    wrist: 0,
+    thumbCmc: 1, thumbMcp: 2, thumbIp: 3, thumbTip: 4,
+    indexMcp: 5, indexPip: 6, indexDip: 7, indexTip: 8,
+    middleMcp: 9, middlePip: 10, middleDip: 11, middleTip: 12,
+    ringMcp: 13, ringPip: 14, ringDip: 15, ringTip: 16,
+    pinkyMcp: 17, pinkyPip: 18, pinkyDip: 19, pinkyTip: 20
+};
+
+/**
+ * The user's real hand ('left' or 'right'). MediaPipe labels handedness as
+ * if the image were mirrored (selfie view), but the trackers receive the raw
+ * camera frames, so its "Left" is the user's right hand.
+ * @param {Object} [handedness] - Entry of results.multiHandedness
+ */
+export function getHandSide(handedness) {
+    return handedness?.label === 'Left' ? 'right' : 'left';
+}
+
+/**
+ * Map a hand landmark to world space the way the hands are drawn: camera at
+ * z = 5, X inverted to match the mirrored video, then the panel's hand
+ * calibration ({ offsetY, scale, depthScale }).
+ * @param {{x: number, y: number, z: number}} landmark
+ * @param {THREE.PerspectiveCamera} camera
+ * @param {Object} calibration
+ * @param {THREE.Vector3} target - Receives the result
+ * @returns {THREE.Vector3} target
+ */
+export function handLandmarkToWorld(landmark, camera, calibration, target) {
+    const fov = camera.fov * (Math.PI / 180);
+    const cameraDistance = 5; // Camera is at z=5
+    const heightAtZero = 2 * Math.tan(fov / 2) * cameraDistance;
+    const widthAtZero = heightAtZero * camera.aspect;
+
+    // MediaPipe z is depth relative to the wrist (negative = closer to camera)
+    return target.set(
+        -(landmark.x - 0.5) * widthAtZero * calibration.scale,
+        -(landmark.y - 0.5) * heightAtZero * calibration.scale + calibration.offsetY,
+        landmark.z * widthAtZero * calibration.depthScale
+    );
+}
@@ -0,0 +1,13 @@
+/**
+ * Register the offline service worker (see src/sw.js). Production builds
+ * only: in dev it would serve stale modules from the cache.
+ */
+export function registerServiceWorker() {
+    if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return;
+
+    window.addEventListener('load', () => {
+        navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`)
+            .then((registration) => console.log('📦 Service worker registered:', registration.scope))
+            .catch((error) => console.warn('⚠️ Service worker registration failed:', error));
+    });
+}
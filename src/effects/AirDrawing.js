@@ -0,0 +1,236 @@
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+import { HAND_LANDMARKS, getHandSide, handLandmarkToWorld } from '../core/handLandmarks.js';
+
+export const DRAWING_COLORS = ['#ffffff', '#f44336', '#ff9800', '#ffeb3b', '#4caf50', '#2196f3', '#9c27b0'];
+
+// Points per stroke mesh: only the last mesh is rebuilt as points are added
+const SEGMENT_POINTS = 32;
+
+/**
+ * Draws 3D tube strokes with the index fingertip.
+ *
+ * The pen is toggled up/down (e.g. on a pinch, see togglePen); while it is
+ * down the fingertip of the hand that toggled it adds smoothed points to the
+ * current stroke. Strokes can be undone, cleared and exported as GLB or as
+ * an SVG projection of what the camera sees.
+ */
+export class AirDrawing {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+
+        this.enabled = false;
+        this.color = options.color ?? DRAWING_COLORS[0];
+        this.radius = options.radius ?? 0.04;          // Tube radius, world units
+        this.smoothing = options.smoothing ?? 0.5;     // 0 = raw fingertip, towards 1 = smoother and laggier
+        this.minSegment = options.minSegment ?? 0.03;  // Minimum distance between stroke points
+
+        this.group = new THREE.Group();
+        this.group.name = 'AirDrawing';
+        this.scene.add(this.group);
+
+        this.strokes = [];
+        this.current = null;   // Stroke being drawn
+        this.penDown = false;
+        this.penHand = null;   // 'left' | 'right', set when the pen is toggled
+        this.tip = new THREE.Vector3();
+        this.smoothed = null;
+
+        // Fingertip cursor: solid in the pen color while drawing, a ring while not
+        this.cursor = new THREE.Mesh(
+            new THREE.SphereGeometry(this.radius * 1.8, 16, 12),
+            new THREE.MeshBasicMaterial({ color: this.color, transparent: true, opacity: 0.4, depthTest: false })
+        );
+        this.cursor.renderOrder = 10;
+        this.cursor.visible = false;
+        this.scene.add(this.cursor);
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.setPen(false);
+            this.cursor.visible = false;
+        }
+    }
+
+    /**
+     * @param {string} color - CSS color, used for the next stroke
+     */
+    setColor(color) {
+        this.color = color;
+        this.cursor.material.color.set(color);
+    }
+
+    /**
+     * @param {'left'|'right'} [hand] - Hand whose fingertip draws from now on
+     */
+    togglePen(hand = this.penHand) {
+        if (!this.enabled) return;
+        this.penHand = hand;
+        this.setPen(!this.penDown);
+    }
+
+    setPen(down) {
+        if (down === this.penDown) return;
+        this.penDown = down;
+        this.cursor.material.opacity = down ? 0.9 : 0.4;
+
+        if (down) {
+            this.current = null;
+            this.smoothed = null;
+        } else {
+            this.endStroke();
+        }
+    }
+
+    /**
+     * @param {Object} results - HandTracker results (multiHandLandmarks, multiHandedness)
+     * @param {THREE.PerspectiveCamera} camera
+     * @param {Object} calibration - { offsetY, scale, depthScale } from SceneManager
+     */
+    update(results, camera, calibration) {
+        if (!this.enabled) return;
+
+        const hands = results.multiHandLandmarks || [];
+        let index = hands.findIndex((_, i) => getHandSide(results.multiHandedness?.[i]) === this.penHand);
+        // Until a hand has toggled the pen, the cursor follows the first hand
+        if (index < 0 && (!this.penDown || !this.penHand)) index = 0;
+
+        const landmarks = hands[index];
+        if (!landmarks || landmarks.length < 21) {
+            // Lost the drawing hand: finish the stroke, keep the pen state
+            this.cursor.visible = false;
+            this.endStroke();
+            this.smoothed = null;
+            return;
+        }
+
+        handLandmarkToWorld(landmarks[HAND_LANDMARKS.indexTip], camera, calibration, this.tip);
+        if (this.smoothed) {
+            this.smoothed.lerp(this.tip, 1 - this.smoothing);
+        } else {
+            this.smoothed = this.tip.clone();
+        }
+
+        this.cursor.position.copy(this.smoothed);
+        this.cursor.visible = true;
+
+        if (this.penDown) this.addPoint(this.smoothed);
+    }
+
+    addPoint(point) {
+        if (!this.current) {
+            // start: first point of the last mesh (meshes[meshes.length - 1])
+            this.current = { color: this.color, points: [point.clone()], meshes: [], start: 0, material: null };
+            this.strokes.push(this.current);
+            return;
+        }
+
+        const points = this.current.points;
+        if (points[points.length - 1].distanceTo(point) < this.minSegment) return;
+        points.push(point.clone());
+        this.rebuildTail(this.current);
+    }
+
+    // Rebuild the stroke's last mesh, or start a new one once it is full
+    rebuildTail(stroke) {
+        let tail = stroke.meshes[stroke.meshes.length - 1];
+        if (tail && stroke.points.length - stroke.start > SEGMENT_POINTS) {
+            // The new mesh repeats the last span so there is no gap at the joint
+            stroke.start = stroke.points.length - 3;
+            tail = null;
+        }
+
+        const points = stroke.points.slice(stroke.start);
+        const curve = new THREE.CatmullRomCurve3(points);
+        const geometry = new THREE.TubeGeometry(curve, points.length * 4, this.radius, 8, false);
+
+        if (tail) {
+            tail.geometry.dispose();
+            tail.geometry = geometry;
+            return;
+        }
+        stroke.material ??= new THREE.MeshStandardMaterial({ color: stroke.color });
+        const mesh = new THREE.Mesh(geometry, stroke.material);
+        mesh.renderOrder = 1; // Render after occluders
+        stroke.meshes.push(mesh);
+        this.group.add(mesh);
+    }
+
+    endStroke() {
+        // A tap without movement leaves nothing behind
+        if (this.current && this.current.meshes.length === 0) {
+            this.strokes.pop();
+        }
+        this.current = null;
+    }
+
+    undo() {
+        const stroke = this.strokes.pop();
+        if (!stroke) return;
+        if (stroke === this.current) this.current = null;
+        this.disposeStroke(stroke);
+    }
+
+    clear() {
+        this.strokes.forEach(stroke => this.disposeStroke(stroke));
+        this.strokes = [];
+        this.current = null;
+    }
+
+    disposeStroke(stroke) {
+        for (const mesh of stroke.meshes) {
+            this.group.remove(mesh);
+            mesh.geometry.dispose();
+        }
+        stroke.material?.dispose();
+    }
+
+    /**
+     * @returns {Promise<ArrayBuffer>} Binary glTF with every stroke
+     */
+    exportGLB() {
+        return new GLTFExporter().parseAsync(this.group, { binary: true });
+    }
+
+    /**
+     * Strokes projected through the camera, as an SVG the size of the view.
+     * @param {THREE.Camera} camera
+     * @param {number} width - Pixels
+     * @param {number} height - Pixels
+     * @returns {string}
+     */
+    exportSVG(camera, width, height) {
+        const projected = new THREE.Vector3();
+        // Tube diameter at z = 0, in pixels
+        const fov = camera.fov * (Math.PI / 180);
+        const heightAtZero = 2 * Math.tan(fov / 2) * camera.position.z;
+        const strokeWidth = (this.radius * 2 * height / heightAtZero).toFixed(1);
+
+        const paths = this.strokes.filter(stroke => stroke.points.length > 1).map(stroke => {
+            const points = stroke.points.map(point => {
+                projected.copy(point).project(camera);
+                const x = (projected.x + 1) / 2 * width;
+                const y = (1 - projected.y) / 2 * height;
+                return `${x.toFixed(1)},${y.toFixed(1)}`;
+            });
+            return `  <polyline points="${points.join(' ')}" fill="none" stroke="${stroke.color}" ` +
+                `stroke-width="${strokeWidth}" stroke-linecap="round" stroke-linejoin="round"/>`;
+        });
+
+        return [
+            `<svg xmlns="http://www.w3.org/2000/svg" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">`,
+            ...paths,
+            '</svg>'
+        ].join('\n');
+    }
+
+    dispose() {
+        this.clear();
+        this.scene.remove(this.group);
+        this.scene.remove(this.cursor);
+        this.cursor.geometry.dispose();
+        this.cursor.material.dispose();
+    }
+}
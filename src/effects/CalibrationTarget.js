@@ -0,0 +1,65 @@
+import * as THREE from 'three';
+
+/**
+ * On-screen target for the hand calibration wizard: a ring that fills up
+ * while the fingertip holds still on it. Drawn on top of everything.
+ */
+export class CalibrationTarget {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.radius = options.radius ?? 0.35;
+
+        this.group = new THREE.Group();
+        this.group.visible = false;
+
+        const material = (color, opacity) => new THREE.MeshBasicMaterial({
+            color,
+            transparent: true,
+            opacity,
+            depthTest: false,
+            depthWrite: false
+        });
+
+        this.ring = new THREE.Mesh(
+            new THREE.RingGeometry(this.radius * 0.85, this.radius, 48),
+            material(0xffffff, 0.9)
+        );
+        this.fill = new THREE.Mesh(new THREE.CircleGeometry(this.radius * 0.8, 48), material(0x4caf50, 0.6));
+        this.dot = new THREE.Mesh(new THREE.CircleGeometry(this.radius * 0.12, 16), material(0xffffff, 1));
+
+        for (const mesh of [this.ring, this.fill, this.dot]) {
+            mesh.renderOrder = 20;
+            this.group.add(mesh);
+        }
+        this.scene.add(this.group);
+
+        this.setProgress(0);
+    }
+
+    /**
+     * @param {{x: number, y: number, z: number}} position - World position
+     */
+    show(position) {
+        this.group.position.set(position.x, position.y, position.z);
+        this.setProgress(0);
+        this.group.visible = true;
+    }
+
+    hide() {
+        this.group.visible = false;
+    }
+
+    // 0..1, how long the fingertip has held still
+    setProgress(progress) {
+        this.fill.visible = progress > 0;
+        this.fill.scale.setScalar(Math.max(progress, 0.001));
+    }
+
+    dispose() {
+        this.scene.remove(this.group);
+        for (const mesh of [this.ring, this.fill, this.dot]) {
+            mesh.geometry.dispose();
+            mesh.material.dispose();
+        }
+    }
+}
@@ -0,0 +1,109 @@
+/**
+ * Base class for scene effects.
+ *
+ * Effects are created and driven by the EffectRegistry, which calls the hooks
+ * below in registry order. Subclasses exported from any module in src/effects
+ * are registered at startup (see effects/index.js), so adding an effect does
+ * not touch SceneManager. Give them a static `id` (also the saved state key),
+ * a `label` for the panel and an `order` (default position, lower runs first).
+ *
+ * Hooks, all optional:
+ * - init(context): context is { scene, camera, sceneManager }
+ * - configure(params): parameters from the scene description's "effects"
+ * - update(dt): every rendered frame, dt in seconds
+ * - onFace(faceId, landmarks, face): tracked face, at render rate
+ * - onFaceRemoved(faceId): also called while disabled, to free per-face state
+ * - onHands(results): HandTracker results, at render rate
+ * - setEnabled(enabled): hide / show whatever the effect draws
+ * - dispose()
+ *
+ * Only update, onFace and onHands are skipped while the effect is disabled.
+ */
+export class Effect {
+    static id = null;
+    static label = '';
+    static order = 100;
+
+    constructor() {
+        this.context = null;
+        this.enabled = true;
+    }
+
+    get id() {
+        return this.constructor.id;
+    }
+
+    get label() {
+        return this.constructor.label || this.id;
+    }
+
+    init(context) {
+        this.context = context;
+    }
+
+    configure(params) {
+        console.warn(`⚠️ Effect "${this.id}" takes no parameters, ignoring:`, Object.keys(params).join(', '));
+    }
+
+    update(dt) {}
+
+    onFace(faceId, landmarks, face) {}
+
+    onFaceRemoved(faceId) {}
+
+    onHands(results) {}
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+    }
+
+    dispose() {}
+}
+
+/**
+ * Effect with one instance per tracked face (occluder, mask...).
+ *
+ * Subclasses implement createFace(faceId), returning an object with
+ * updateFace(landmarks, camera, xOffset) and dispose(). Instances are created
+ * on a face's first detection and disposed when it leaves or the effect is
+ * disabled (they come back with the next detection once enabled).
+ */
+export class FaceEffect extends Effect {
+    constructor() {
+        super();
+        this.faces = new Map();
+    }
+
+    createFace(faceId) {
+        throw new Error(`${this.constructor.name} must implement createFace()`);
+    }
+
+    onFace(faceId, landmarks) {
+        let instance = this.faces.get(faceId);
+        if (!instance) {
+            instance = this.createFace(faceId);
+            this.faces.set(faceId, instance);
+        }
+        const { camera, sceneManager } = this.context;
+        instance.updateFace(landmarks, camera, sceneManager.faceCalibration.offsetX);
+    }
+
+    onFaceRemoved(faceId) {
+        this.faces.get(faceId)?.dispose();
+        this.faces.delete(faceId);
+    }
+
+    setEnabled(enabled) {
+        super.setEnabled(enabled);
+        if (!enabled) this.disposeFaces();
+    }
+
+    disposeFaces() {
+        this.faces.forEach(instance => instance.dispose());
+        this.faces.clear();
+    }
+
+    dispose() {
+        this.disposeFaces();
+    }
+}
@@ -0,0 +1,189 @@
+import * as THREE from 'three';
+import { CANONICAL_FACE_UVS, CANONICAL_FACE_TRIANGLES } from '../core/canonicalFaceModel.js';
+import { FaceEffect } from './Effect.js';
+
+const VERTEX_COUNT = CANONICAL_FACE_UVS.length / 2;
+
+export const MASK_BLENDING_MODES = {
+    normal: THREE.NormalBlending,
+    additive: THREE.AdditiveBlending,
+    multiply: THREE.MultiplyBlending,
+    subtractive: THREE.SubtractiveBlending
+};
+
+/**
+ * Face paint / texture mask drawn on the tracked face.
+ *
+ * The texture must follow MediaPipe's canonical face UV layout (the same
+ * layout as canonical_face_model_uv_visualization.png). The mesh uses the
+ * canonical triangles and is deformed by the live landmarks every frame,
+ * with real depth, so it sits on top of the FaceOccluder.
+ */
+export class FaceMask {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+        this.mesh = null;
+        this.geometry = null;
+
+        this.texture = options.texture ?? null;
+        this.blending = options.blending ?? 'normal';
+        this.opacity = options.opacity ?? 1.0;
+        this.depthScale = options.depthScale ?? 1.0; // Keep equal to the occluder's
+
+        this.init();
+    }
+
+    init() {
+        this.geometry = new THREE.BufferGeometry();
+        this.geometry.setAttribute(
+            'position',
+            new THREE.BufferAttribute(new Float32Array(VERTEX_COUNT * 3), 3).setUsage(THREE.DynamicDrawUsage)
+        );
+
+        // Template V grows downward; Three.js textures are flipped on load
+        const uvs = new Float32Array(VERTEX_COUNT * 2);
+        for (let i = 0; i < VERTEX_COUNT; i++) {
+            uvs[i * 2] = CANONICAL_FACE_UVS[i * 2];
+            uvs[i * 2 + 1] = 1 - CANONICAL_FACE_UVS[i * 2 + 1];
+        }
+        this.geometry.setAttribute('uv', new THREE.BufferAttribute(uvs, 2));
+        this.geometry.setIndex(CANONICAL_FACE_TRIANGLES);
+
+        const material = new THREE.MeshBasicMaterial({
+            map: this.texture,
+            transparent: true,
+            opacity: this.opacity,
+            depthTest: true,
+            depthWrite: false,     // Don't hide content behind the paint itself
+            side: THREE.DoubleSide,
+            // Pull slightly toward the camera so it wins over the occluder at the same depth
+            polygonOffset: true,
+            polygonOffsetFactor: -1,
+            polygonOffsetUnits: -4
+        });
+
+        this.mesh = new THREE.Mesh(this.geometry, material);
+        this.mesh.renderOrder = 1; // After the occluder (renderOrder = 0)
+        this.mesh.frustumCulled = false;
+        this.mesh.visible = false;
+
+        this.setBlending(this.blending);
+        this.scene.add(this.mesh);
+    }
+
+    /**
+     * @param {THREE.Texture|null} texture - Canonical-UV texture, or null to hide the mask
+     */
+    setTexture(texture) {
+        this.texture = texture;
+        this.mesh.material.map = texture;
+        this.mesh.material.needsUpdate = true;
+        if (!texture) this.mesh.visible = false;
+    }
+
+    /**
+     * @param {string} mode - One of MASK_BLENDING_MODES: normal, additive, multiply, subtractive
+     */
+    setBlending(mode) {
+        if (!(mode in MASK_BLENDING_MODES)) {
+            console.warn(`⚠️ Unknown mask blending mode "${mode}"`);
+            return;
+        }
+        this.blending = mode;
+
+        const material = this.mesh.material;
+        material.blending = MASK_BLENDING_MODES[mode];
+        // Three.js requires premultiplied alpha for multiply and subtractive
+        material.premultipliedAlpha = mode === 'multiply' || mode === 'subtractive';
+        material.needsUpdate = true;
+    }
+
+    setOpacity(opacity) {
+        this.opacity = opacity;
+        this.mesh.material.opacity = opacity;
+    }
+
+    updateFace(landmarks, camera, xOffset = -0.1) {
+        if (!this.texture || !landmarks || landmarks.length < VERTEX_COUNT) return;
+
+        // Same mapping as the dense FaceOccluder so both line up exactly
+        const fov = camera.fov * (Math.PI / 180);
+        const cameraDistance = 5;
+        const heightAtZero = 2 * Math.tan(fov / 2) * cameraDistance;
+        const widthAtZero = heightAtZero * camera.aspect;
+
+        const positions = this.geometry.attributes.position.array;
+        for (let i = 0; i < VERTEX_COUNT; i++) {
+            const landmark = landmarks[i];
+            // Invert X to match mirrored video
+            positions[i * 3] = -(landmark.x - 0.5) * widthAtZero + xOffset;
+            positions[i * 3 + 1] = -(landmark.y - 0.5) * heightAtZero;
+            positions[i * 3 + 2] = -landmark.z * widthAtZero * this.depthScale;
+        }
+
+        this.geometry.attributes.position.needsUpdate = true;
+        this.mesh.visible = true;
+    }
+
+    dispose() {
+        if (this.mesh) {
+            this.scene.remove(this.mesh);
+            this.geometry.dispose();
+            this.mesh.material.dispose();
+        }
+    }
+}
+
+/**
+ * Face paint on every tracked face, with a shared texture, blending and opacity.
+ */
+export class FaceMaskEffect extends FaceEffect {
+    static id = 'faceMask';
+    static label = '🎨 Pintura facial';
+    static order = 40;
+
+    constructor() {
+        super();
+        this.options = {
+            texture: null,        // Canonical-UV texture, see setTexture
+            blending: 'normal',   // normal, additive, multiply or subtractive
+            opacity: 1.0
+        };
+    }
+
+    createFace() {
+        return new FaceMask(this.context.scene, { ...this.options });
+    }
+
+    /**
+     * @param {THREE.Texture|null} texture - Replaces (and disposes) the current one
+     */
+    setTexture(texture) {
+        const previous = this.options.texture;
+        this.options.texture = texture;
+        for (const mask of this.faces.values()) {
+            mask.setTexture(texture);
+        }
+        if (previous && previous !== texture) previous.dispose();
+    }
+
+    // { blending, opacity }; the texture is picked from the panel
+    configure(params) {
+        this.setOptions(params);
+    }
+
+    setOptions({ blending = this.options.blending, opacity = this.options.opacity } = {}) {
+        this.options.blending = blending;
+        this.options.opacity = opacity;
+
+        for (const mask of this.faces.values()) {
+            mask.setBlending(blending);
+            mask.setOpacity(opacity);
+        }
+    }
+
+    dispose() {
+        super.dispose();
+        this.options.texture?.dispose();
+    }
+}
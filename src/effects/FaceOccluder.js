@@ -1,12 +1,42 @@
 import * as THREE from 'three';
+import { FACEMESH_TESSELATION } from '@mediapipe/face_mesh';
+import { FaceEffect } from './Effect.js';
 
+// FACEMESH_TESSELATION lists the edges of each triangle in groups of three
+// ([a, b], [b, c], [c, a]), so the first vertex of each edge gives the triangle
+const TESSELLATION_INDICES = [];
+for (let i = 0; i < FACEMESH_TESSELATION.length; i += 3) {
+    TESSELLATION_INDICES.push(
+        FACEMESH_TESSELATION[i][0],
+        FACEMESH_TESSELATION[i + 1][0],
+        FACEMESH_TESSELATION[i + 2][0]
+    );
+}
+const TESSELLATION_VERTEX_COUNT = 468;
+
+/**
+ * Depth occluder that follows the tracked face.
+ *
+ * Modes:
+ * - 'tessellation': full 468-point FaceMesh tessellation with per-vertex depth
+ *   from landmark z, so content hides behind cheeks and nose correctly
+ * - 'contour': flat triangle fan over the face oval at z = 0 (legacy)
+ *
+ * With depthOnly the occluder writes depth but no color (invisible);
+ * otherwise it renders as a semi-transparent red debug mask.
+ */
 export class FaceOccluder {
-    constructor(scene) {
+    constructor(scene, options = {}) {
         this.scene = scene;
         this.occluderMesh = null;
         this.faceGeometry = null;
+        this.denseGeometry = null;
         this.bodyOccluderMesh = null; // Rectangular mesh for body area
 
+        this.mode = options.mode ?? 'tessellation';
+        this.depthOnly = options.depthOnly ?? false;
+        this.depthScale = options.depthScale ?? 1.0; // Multiplier for landmark z in tessellation mode
+
         this.init();
     }
 
@@ -14,6 +44,14 @@ export class FaceOccluder {
         // Create initial geometry (will be updated with face landmarks)
         this.faceGeometry = new THREE.BufferGeometry();
 
+        // Dense geometry: fixed topology, positions rewritten every frame
+        this.denseGeometry = new THREE.BufferGeometry();
+        this.denseGeometry.setAttribute(
+            'position',
+            new THREE.BufferAttribute(new Float32Array(TESSELLATION_VERTEX_COUNT * 3), 3).setUsage(THREE.DynamicDrawUsage)
+        );
+        this.denseGeometry.setIndex(TESSELLATION_INDICES);
+
         // Material that writes to depth buffer but doesn't render color
         // This creates an invisible mesh that blocks objects behind it
         const material = new THREE.MeshBasicMaterial({
@@ -27,7 +65,12 @@ export class FaceOccluder {
             side: THREE.DoubleSide // Render both sides for better coverage
         });
 
-        this.occluderMesh = new THREE.Mesh(this.faceGeometry, material);
+        this.occluderMesh = new THREE.Mesh(
+            this.mode === 'tessellation' ? this.denseGeometry : this.faceGeometry,
+            material
+        );
+        // Bounds change every frame, skip frustum culling
+        this.occluderMesh.frustumCulled = false;
 
         // Don't use renderOrder, let depth testing handle it naturally
         this.occluderMesh.renderOrder = 0;
@@ -40,6 +83,28 @@ export class FaceOccluder {
         this.bodyOccluderMesh.renderOrder = 0;
         // Position will be updated in updateFace based on chin position
         this.scene.add(this.bodyOccluderMesh);
+
+        this.setDepthOnly(this.depthOnly);
+    }
+
+    setMode(mode) {
+        if (mode !== 'tessellation' && mode !== 'contour') {
+            console.warn(`⚠️ Unknown occluder mode "${mode}"`);
+            return;
+        }
+        this.mode = mode;
+        this.occluderMesh.geometry = mode === 'tessellation' ? this.denseGeometry : this.faceGeometry;
+    }
+
+    setDepthOnly(depthOnly) {
+        this.depthOnly = depthOnly;
+
+        // Shared by the face and body occluders
+        const material = this.occluderMesh.material;
+        material.colorWrite = !depthOnly;
+        material.transparent = !depthOnly;
+        material.opacity = depthOnly ? 1.0 : 0.5;
+        material.needsUpdate = true;
     }
 
     updateFace(landmarks, camera, xOffset = -0.1) {
@@ -51,6 +116,32 @@ export class FaceOccluder {
         const heightAtZero = 2 * Math.tan(fov / 2) * cameraDistance;
         const widthAtZero = heightAtZero * camera.aspect;
 
+        if (this.mode === 'tessellation') {
+            this.updateDenseMesh(landmarks, widthAtZero, heightAtZero, xOffset);
+        } else {
+            this.updateContourMesh(landmarks, widthAtZero, heightAtZero, xOffset);
+        }
+
+        this.updateBodyOccluder(landmarks, widthAtZero, heightAtZero);
+    }
+
+    updateDenseMesh(landmarks, widthAtZero, heightAtZero, xOffset) {
+        if (landmarks.length < TESSELLATION_VERTEX_COUNT) return;
+
+        const positions = this.denseGeometry.attributes.position.array;
+        for (let i = 0; i < TESSELLATION_VERTEX_COUNT; i++) {
+            const landmark = landmarks[i];
+            // Invert X to match mirrored video
+            positions[i * 3] = -(landmark.x - 0.5) * widthAtZero + xOffset;
+            positions[i * 3 + 1] = -(landmark.y - 0.5) * heightAtZero;
+            // MediaPipe z is normalized by image width, negative = closer to camera
+            positions[i * 3 + 2] = -landmark.z * widthAtZero * this.depthScale;
+        }
+
+        this.denseGeometry.attributes.position.needsUpdate = true;
+    }
+
+    updateContourMesh(landmarks, widthAtZero, heightAtZero, xOffset) {
         // Create face mesh from MediaPipe landmarks
         // We'll use key landmarks to create a simplified face mesh
         const vertices = [];
@@ -150,7 +241,9 @@ export class FaceOccluder {
         this.faceGeometry.setIndex(indices);
         this.faceGeometry.computeVertexNormals();
         this.faceGeometry.attributes.position.needsUpdate = true;
+    }
 
+    updateBodyOccluder(landmarks, widthAtZero, heightAtZero) {
         // Update body occluder position based on chin landmark
         // Find the chin point (landmark 152 is the bottom of the chin)
         if (landmarks.length > 152) {
@@ -171,6 +264,7 @@ export class FaceOccluder {
         if (this.occluderMesh) {
             this.scene.remove(this.occluderMesh);
             this.faceGeometry.dispose();
+            this.denseGeometry.dispose();
             this.occluderMesh.material.dispose();
         }
         if (this.bodyOccluderMesh) {
@@ -179,3 +273,39 @@ export class FaceOccluder {
         }
     }
 }
+
+/**
+ * Face occluder on every tracked face, with shared mode and visibility.
+ */
+export class FaceOccluderEffect extends FaceEffect {
+    static id = 'faceOccluder';
+    static label = '😷 Oclusor de cara';
+    static order = 10;
+
+    constructor() {
+        super();
+        this.options = {
+            mode: 'tessellation', // 'tessellation' (dense, with depth) or 'contour' (flat fan)
+            depthOnly: false      // true = invisible, depth-only occluder
+        };
+    }
+
+    createFace() {
+        return new FaceOccluder(this.context.scene, { ...this.options });
+    }
+
+    // { mode, depthOnly }
+    configure(params) {
+        this.setOptions(params);
+    }
+
+    setOptions({ mode = this.options.mode, depthOnly = this.options.depthOnly } = {}) {
+        this.options.mode = mode;
+        this.options.depthOnly = depthOnly;
+
+        for (const occluder of this.faces.values()) {
+            occluder.setMode(mode);
+            occluder.setDepthOnly(depthOnly);
+        }
+    }
+}
@@ -0,0 +1,159 @@
+import * as THREE from 'three';
+import particleImageUrl from '../particleImage/particle-a.png';
+import { RAIN_DEFAULTS } from './ParticleRain.js';
+
+// Injected into MeshBasicMaterial's vertex shader (see onBeforeCompile)
+const VERTEX_HEADER = /* glsl */ `
+uniform float uTime;
+uniform vec2 uFall;     // top, bottom
+uniform vec3 uSpawn;    // width, depth center, depth range
+attribute vec3 aParticle; // seed, start height, fall speed (units per second)
+
+float rainHash(float seed, float cycle) {
+    return fract(sin(dot(vec2(seed, cycle), vec2(12.9898, 78.233))) * 43758.5453);
+}
+`;
+
+const VERTEX_POSITION = /* glsl */ `
+vec3 transformed = vec3(position);
+
+// Fall from the start height, wrapping to the top below the bottom. Every
+// pass (cycle) gets a new column and depth, like a CPU respawn.
+float span = uFall.x - uFall.y;
+float height = aParticle.y - uTime * aParticle.z;
+float below = max(uFall.y - height, 0.0);
+float cycle = ceil(below / span);
+if (below > 0.0) height = uFall.x - mod(below, span);
+
+transformed.x += (rainHash(aParticle.x, cycle) - 0.5) * uSpawn.x;
+transformed.y += height;
+transformed.z += uSpawn.y + (rainHash(aParticle.x + 0.5, cycle) - 0.5) * uSpawn.z;
+`;
+
+/**
+ * Falling sprite particles animated on the GPU.
+ *
+ * Same look and configuration as ParticleRain, but each particle is only a
+ * seed, a start height and a speed uploaded once; the vertex shader works
+ * out its position from the time uniform, so the CPU cost per frame does not
+ * depend on the particle count (tens of thousands run at 60 fps). The
+ * material is the same depth-tested MeshBasicMaterial, so occluders still
+ * hide the rain.
+ *
+ * The motion is stateless, so there are no collisions: ParticleRainEffect
+ * switches to ParticleRain while they are enabled.
+ */
+export class GPUParticleRain {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {number} [particleCount]
+     * @param {Object} [config] - Overrides for RAIN_DEFAULTS (collision keys are ignored)
+     */
+    constructor(scene, particleCount = 28, config = {}) {
+        this.scene = scene;
+        this.particleCount = particleCount;
+        this.particles = null;
+        this.collisions = false;
+        // Seconds since the rain started or the last burst
+        this.time = 0;
+
+        this.config = {
+            ...RAIN_DEFAULTS,
+            ...config
+        };
+
+        this.uniforms = {
+            uTime: { value: 0 },
+            uFall: { value: new THREE.Vector2() },
+            uSpawn: { value: new THREE.Vector3() }
+        };
+
+        this.init();
+    }
+
+    init() {
+        const texture = new THREE.TextureLoader().load(
+            particleImageUrl,
+            undefined,
+            undefined,
+            (error) => console.error('❌ Error loading particle texture:', error)
+        );
+
+        const plane = new THREE.PlaneGeometry(this.config.particleSize, this.config.particleSize);
+        const geometry = new THREE.InstancedBufferGeometry().copy(plane);
+        plane.dispose();
+        geometry.instanceCount = this.particleCount;
+
+        this.attribute = new THREE.InstancedBufferAttribute(new Float32Array(this.particleCount * 3), 3);
+        geometry.setAttribute('aParticle', this.attribute);
+
+        const material = new THREE.MeshBasicMaterial({
+            map: texture,
+            color: 0xffffff,
+            transparent: true,
+            opacity: 1.0,
+            depthTest: true,
+            depthWrite: true,
+            side: THREE.DoubleSide
+        });
+        material.onBeforeCompile = (shader) => {
+            Object.assign(shader.uniforms, this.uniforms);
+            shader.vertexShader = shader.vertexShader
+                .replace('#include <common>', `#include <common>\n${VERTEX_HEADER}`)
+                .replace('#include <begin_vertex>', VERTEX_POSITION);
+        };
+
+        this.particles = new THREE.Mesh(geometry, material);
+        // Positions only exist on the GPU, the bounding sphere would be wrong
+        this.particles.frustumCulled = false;
+        // After the occluders (renderOrder 0), like ParticleRain
+        this.particles.renderOrder = 1;
+
+        this.applyConfig();
+        this.spawn(() => Math.random() * this.config.spawnAreaHeight - this.config.spawnAreaHeight / 2);
+
+        this.scene.add(this.particles);
+    }
+
+    applyConfig() {
+        const { resetHeight, spawnAreaHeight, spawnAreaWidth, spawnDepth, depthRange } = this.config;
+        this.uniforms.uFall.value.set(resetHeight, -spawnAreaHeight / 2 - 1);
+        this.uniforms.uSpawn.value.set(spawnAreaWidth, spawnDepth, depthRange);
+    }
+
+    // New seeds and speeds, with start heights from `startHeight()`, from time 0
+    spawn(startHeight) {
+        const data = this.attribute.array;
+        for (let i = 0; i < this.particleCount; i++) {
+            data[i * 3] = Math.random() * 1000;
+            data[i * 3 + 1] = startHeight();
+            // ParticleRain's speeds are per frame at 60 fps
+            data[i * 3 + 2] = (this.config.fallSpeed + Math.random() * 0.01) * 60;
+        }
+        this.attribute.needsUpdate = true;
+        this.time = 0;
+        this.uniforms.uTime.value = 0;
+    }
+
+    /**
+     * @param {number} [dt] - Seconds since the last frame
+     */
+    update(dt = 1 / 60) {
+        this.time += dt;
+        this.uniforms.uTime.value = this.time;
+    }
+
+    // Restart every particle just above the top so a new shower falls at once
+    burst() {
+        this.spawn(() => this.config.resetHeight + Math.random() * 2);
+    }
+
+    dispose() {
+        if (this.particles) {
+            this.scene.remove(this.particles);
+            this.particles.geometry.dispose();
+            this.particles.material.map?.dispose();
+            this.particles.material.dispose();
+        }
+    }
+}
@@ -0,0 +1,237 @@
+import * as THREE from 'three';
+import { HAND_CONNECTIONS } from '@mediapipe/hands';
+import { HAND_LANDMARKS, handLandmarkToWorld } from '../core/handLandmarks.js';
+import { Effect } from './Effect.js';
+
+// Outline of the palm, in order around it
+const PALM_LANDMARKS = [
+    HAND_LANDMARKS.wrist, HAND_LANDMARKS.thumbCmc, HAND_LANDMARKS.indexMcp,
+    HAND_LANDMARKS.middleMcp, HAND_LANDMARKS.ringMcp, HAND_LANDMARKS.pinkyMcp
+];
+const PALM_INDICES = createPalmIndices(PALM_LANDMARKS.length);
+
+const LANDMARK_COUNT = 21;
+
+/**
+ * Depth occluder that follows the tracked hands, so particles and models
+ * hide behind real fingers.
+ *
+ * Each hand is a volume built from its 21 landmarks: a capsule per bone
+ * (cylinder plus a sphere at every joint) and a closed palm hull with some
+ * thickness. Uses the same calibrated mapping as the drawn hands.
+ *
+ * With depthOnly the occluder writes depth but no color (invisible);
+ * otherwise it renders as a semi-transparent red debug volume.
+ */
+export class HandOccluder {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+
+        this.maxHands = options.maxHands ?? 2;
+        this.depthOnly = options.depthOnly ?? true;
+        this.fingerRadius = options.fingerRadius ?? 0.08;    // World units at calibration scale 1
+        this.palmThickness = options.palmThickness ?? 0.15;
+        this.enabled = options.enabled ?? true;
+
+        // Shared by all hands
+        this.jointGeometry = new THREE.SphereGeometry(1, 8, 6);
+        this.boneGeometry = new THREE.CylinderGeometry(1, 1, 1, 8, 1, true);
+        this.material = new THREE.MeshBasicMaterial({
+            color: 0xff0000,       // Red for debugging
+            transparent: true,
+            opacity: 0.5,
+            depthWrite: true,      // Write to depth buffer (blocks objects)
+            depthTest: true,
+            side: THREE.DoubleSide
+        });
+
+        // Reused in update()
+        this.points = Array.from({ length: LANDMARK_COUNT }, () => new THREE.Vector3());
+        this.matrix = new THREE.Matrix4();
+        this.quaternion = new THREE.Quaternion();
+        this.scale = new THREE.Vector3();
+        this.direction = new THREE.Vector3();
+        this.midpoint = new THREE.Vector3();
+        this.normal = new THREE.Vector3();
+        this.up = new THREE.Vector3(0, 1, 0);
+
+        this.hands = [];
+        for (let i = 0; i < this.maxHands; i++) {
+            this.hands.push(this.createHand());
+        }
+
+        this.setDepthOnly(this.depthOnly);
+    }
+
+    createHand() {
+        const group = new THREE.Group();
+        group.visible = false;
+
+        const joints = new THREE.InstancedMesh(this.jointGeometry, this.material, LANDMARK_COUNT);
+        const bones = new THREE.InstancedMesh(this.boneGeometry, this.material, HAND_CONNECTIONS.length);
+
+        // Front and back copies of the palm outline, stitched together
+        const palmGeometry = new THREE.BufferGeometry();
+        palmGeometry.setAttribute(
+            'position',
+            new THREE.BufferAttribute(new Float32Array(PALM_LANDMARKS.length * 2 * 3), 3).setUsage(THREE.DynamicDrawUsage)
+        );
+        palmGeometry.setIndex(PALM_INDICES);
+        const palm = new THREE.Mesh(palmGeometry, this.material);
+
+        // Same render order as the face occluder: before the content it hides
+        for (const object of [joints, bones, palm]) {
+            object.renderOrder = 0;
+            object.frustumCulled = false;
+        }
+
+        group.add(joints, bones, palm);
+        this.scene.add(group);
+
+        return { group, joints, bones, palm };
+    }
+
+    setDepthOnly(depthOnly) {
+        this.depthOnly = depthOnly;
+        this.material.colorWrite = !depthOnly;
+        this.material.transparent = !depthOnly;
+        this.material.opacity = depthOnly ? 1.0 : 0.5;
+        this.material.needsUpdate = true;
+    }
+
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        if (!enabled) {
+            this.hands.forEach(hand => hand.group.visible = false);
+        }
+    }
+
+    /**
+     * @param {Object} results - HandTracker results (multiHandLandmarks)
+     * @param {THREE.PerspectiveCamera} camera
+     * @param {Object} calibration - { offsetY, scale, depthScale } from SceneManager
+     */
+    update(results, camera, calibration) {
+        this.hands.forEach(hand => hand.group.visible = false);
+        if (!this.enabled || !results.multiHandLandmarks) return;
+
+        const radius = this.fingerRadius * calibration.scale;
+        const halfThickness = this.palmThickness * calibration.scale / 2;
+
+        results.multiHandLandmarks.forEach((landmarks, h) => {
+            const hand = this.hands[h];
+            if (!hand || landmarks.length < LANDMARK_COUNT) return;
+
+            landmarks.forEach((landmark, i) => {
+                handLandmarkToWorld(landmark, camera, calibration, this.points[i]);
+            });
+
+            // Spheres at the joints round off the bone cylinders into capsules
+            this.scale.setScalar(radius);
+            this.quaternion.identity();
+            for (let i = 0; i < LANDMARK_COUNT; i++) {
+                this.matrix.compose(this.points[i], this.quaternion, this.scale);
+                hand.joints.setMatrixAt(i, this.matrix);
+            }
+            hand.joints.instanceMatrix.needsUpdate = true;
+
+            HAND_CONNECTIONS.forEach(([a, b], i) => {
+                const start = this.points[a];
+                const end = this.points[b];
+                this.direction.subVectors(end, start);
+                const length = this.direction.length();
+                this.midpoint.addVectors(start, end).multiplyScalar(0.5);
+                this.quaternion.setFromUnitVectors(this.up, this.direction.divideScalar(Math.max(length, 1e-6)));
+                this.scale.set(radius, length, radius);
+                this.matrix.compose(this.midpoint, this.quaternion, this.scale);
+                hand.bones.setMatrixAt(i, this.matrix);
+            });
+            hand.bones.instanceMatrix.needsUpdate = true;
+
+            this.updatePalm(hand.palm, halfThickness);
+
+            hand.group.visible = true;
+        });
+    }
+
+    // Palm outline pushed out both ways along the palm normal
+    updatePalm(palm, halfThickness) {
+        const wrist = this.points[HAND_LANDMARKS.wrist];
+        const index = this.points[HAND_LANDMARKS.indexMcp];
+        const pinky = this.points[HAND_LANDMARKS.pinkyMcp];
+        this.direction.subVectors(index, wrist);
+        this.normal.subVectors(pinky, wrist).cross(this.direction);
+        if (this.normal.lengthSq() < 1e-12) {
+            this.normal.set(0, 0, 1);
+        }
+        this.normal.normalize().multiplyScalar(halfThickness);
+
+        const positions = palm.geometry.attributes.position.array;
+        const count = PALM_LANDMARKS.length;
+        PALM_LANDMARKS.forEach((landmark, i) => {
+            const point = this.points[landmark];
+            this.midpoint.addVectors(point, this.normal).toArray(positions, i * 3);
+            this.midpoint.subVectors(point, this.normal).toArray(positions, (i + count) * 3);
+        });
+        palm.geometry.attributes.position.needsUpdate = true;
+    }
+
+    dispose() {
+        for (const hand of this.hands) {
+            this.scene.remove(hand.group);
+            hand.palm.geometry.dispose();
+            hand.joints.dispose();
+            hand.bones.dispose();
+        }
+        this.hands = [];
+        this.jointGeometry.dispose();
+        this.boneGeometry.dispose();
+        this.material.dispose();
+    }
+}
+
+// Closed prism over a convex outline of `count` points: front fan (0..count-1),
+// back fan (count..2*count-1) and a quad per side
+function createPalmIndices(count) {
+    const indices = [];
+    for (let i = 1; i < count - 1; i++) {
+        indices.push(0, i, i + 1);
+        indices.push(count, count + i + 1, count + i);
+    }
+    for (let i = 0; i < count; i++) {
+        const next = (i + 1) % count;
+        indices.push(i, next, count + next, i, count + next, count + i);
+    }
+    return indices;
+}
+
+export class HandOccluderEffect extends Effect {
+    static id = 'handOccluder';
+    static label = '✋ Oclusor de manos';
+    static order = 20;
+
+    init(context) {
+        super.init(context);
+        this.occluder = new HandOccluder(context.scene);
+    }
+
+    configure({ depthOnly, fingerRadius, palmThickness }) {
+        if (depthOnly !== undefined) this.occluder.setDepthOnly(depthOnly);
+        if (fingerRadius !== undefined) this.occluder.fingerRadius = fingerRadius;
+        if (palmThickness !== undefined) this.occluder.palmThickness = palmThickness;
+    }
+
+    onHands(results) {
+        const { camera, sceneManager } = this.context;
+        this.occluder.update(results, camera, sceneManager.handCalibration);
+    }
+
+    setEnabled(enabled) {
+        super.setEnabled(enabled);
+        this.occluder.setEnabled(enabled);
+    }
+
+    dispose() {
+        this.occluder.dispose();
+    }
+}
@@ -0,0 +1,270 @@
+import * as THREE from 'three';
+import { HAND_CONNECTIONS } from '@mediapipe/hands';
+import { HAND_LANDMARKS, getHandSide, handLandmarkToWorld } from '../core/handLandmarks.js';
+import { Effect } from './Effect.js';
+
+export const HAND_STYLES = ['skeleton', 'glove', 'hidden'];
+
+// Wrist, thumb base and finger bases, used to fill the palm of the glove
+const PALM_LANDMARKS = [
+    HAND_LANDMARKS.wrist, HAND_LANDMARKS.thumbCmc, HAND_LANDMARKS.indexMcp,
+    HAND_LANDMARKS.middleMcp, HAND_LANDMARKS.ringMcp, HAND_LANDMARKS.pinkyMcp
+];
+const PALM_TRIANGLES = [0, 1, 2, 0, 2, 3, 0, 3, 4, 0, 4, 5];
+
+const LANDMARK_COUNT = 21;
+
+/**
+ * Draws tracked hands: joints, bones along HAND_CONNECTIONS and a label per
+ * hand, colored by handedness. Joints closer to the camera are drawn bigger.
+ *
+ * Styles:
+ * - 'skeleton': small joints and thin bones
+ * - 'glove': thick capsule-like fingers and a filled palm
+ * - 'hidden': nothing is drawn
+ */
+export class HandVisualizer {
+    constructor(scene, options = {}) {
+        this.scene = scene;
+
+        this.style = options.style ?? 'skeleton';
+        this.showLabels = options.showLabels ?? true;
+        this.maxHands = options.maxHands ?? 2;
+        this.depthSizeFactor = options.depthSizeFactor ?? 5; // Size gain per unit of MediaPipe z
+        // Keyed by the user's real hand (see getHandSide)
+        this.colors = {
+            left: new THREE.Color(options.leftColor ?? 0x2196f3),
+            right: new THREE.Color(options.rightColor ?? 0xff9800)
+        };
+
+        this.hands = [];
+
+        // Shared geometry, one material per hand so each can take its side's color
+        this.jointGeometry = new THREE.SphereGeometry(1, 12, 12);
+        this.boneGeometry = new THREE.CylinderGeometry(1, 1, 1, 8);
+        this.labelTextures = {
+            left: createLabelTexture('Izq.'),
+            right: createLabelTexture('Der.')
+        };
+
+        // Reused in update()
+        this.points = Array.from({ length: LANDMARK_COUNT }, () => new THREE.Vector3());
+        this.matrix = new THREE.Matrix4();
+        this.quaternion = new THREE.Quaternion();
+        this.scale = new THREE.Vector3();
+        this.direction = new THREE.Vector3();
+        this.midpoint = new THREE.Vector3();
+        this.up = new THREE.Vector3(0, 1, 0);
+
+        for (let i = 0; i < this.maxHands; i++) {
+            this.hands.push(this.createHand());
+        }
+    }
+
+    createHand() {
+        const group = new THREE.Group();
+        group.visible = false;
+
+        const material = new THREE.MeshStandardMaterial({
+            depthTest: true,
+            depthWrite: true
+        });
+
+        const joints = new THREE.InstancedMesh(this.jointGeometry, material, LANDMARK_COUNT);
+        const bones = new THREE.InstancedMesh(this.boneGeometry, material, HAND_CONNECTIONS.length);
+
+        const palmGeometry = new THREE.BufferGeometry();
+        palmGeometry.setAttribute(
+            'position',
+            new THREE.BufferAttribute(new Float32Array(PALM_LANDMARKS.length * 3), 3).setUsage(THREE.DynamicDrawUsage)
+        );
+        palmGeometry.setIndex(PALM_TRIANGLES);
+        const palmMaterial = new THREE.MeshStandardMaterial({
+            side: THREE.DoubleSide
+        });
+        const palm = new THREE.Mesh(palmGeometry, palmMaterial);
+
+        const label = new THREE.Sprite(new THREE.SpriteMaterial({
+            depthTest: false,
+            depthWrite: false
+        }));
+        label.scale.set(0.5, 0.25, 1);
+        label.renderOrder = 10;
+
+        // Render before the occluders (renderOrder = 0): the hand occluder
+        // encloses the drawn hand and would otherwise hide it. renderOrder
+        // only sorts within the opaque and the transparent passes, and
+        // transparent objects always come after the occluders, so every
+        // part of the hand (the glove palm included) must stay opaque
+        for (const object of [joints, bones, palm]) {
+            object.renderOrder = -1;
+            object.frustumCulled = false;
+        }
+
+        group.add(joints, bones, palm, label);
+        this.scene.add(group);
+
+        return { group, material, palmMaterial, joints, bones, palm, label };
+    }
+
+    /**
+     * @param {string} style - One of HAND_STYLES: skeleton, glove, hidden
+     */
+    setStyle(style) {
+        if (!HAND_STYLES.includes(style)) {
+            console.warn(`⚠️ Unknown hand style "${style}"`);
+            return;
+        }
+        this.style = style;
+        if (style === 'hidden') {
+            this.hands.forEach(hand => hand.group.visible = false);
+        }
+    }
+
+    setShowLabels(showLabels) {
+        this.showLabels = showLabels;
+    }
+
+    /**
+     * @param {Object} results - HandTracker results (multiHandLandmarks, multiHandedness)
+     * @param {THREE.PerspectiveCamera} camera
+     * @param {Object} calibration - { offsetY, scale, depthScale } from SceneManager
+     */
+    update(results, camera, calibration) {
+        this.hands.forEach(hand => hand.group.visible = false);
+        if (this.style === 'hidden' || !results.multiHandLandmarks) return;
+
+        const glove = this.style === 'glove';
+        const jointRadius = (glove ? 0.09 : 0.05) * calibration.scale;
+        const boneRadius = (glove ? 0.08 : 0.02) * calibration.scale;
+
+        results.multiHandLandmarks.forEach((landmarks, h) => {
+            const hand = this.hands[h];
+            if (!hand || landmarks.length < LANDMARK_COUNT) return;
+
+            const side = getHandSide(results.multiHandedness?.[h]);
+            hand.material.color.copy(this.colors[side]);
+            hand.palmMaterial.color.copy(this.colors[side]);
+
+            // Same mapping as the rest of the scene: mirrored X, calibrated offset/scale/depth
+            const sizes = [];
+            landmarks.forEach((landmark, i) => {
+                handLandmarkToWorld(landmark, camera, calibration, this.points[i]);
+                // Negative z in MediaPipe means closer to the camera
+                sizes.push(THREE.MathUtils.clamp(1 - landmark.z * this.depthSizeFactor, 0.5, 2));
+            });
+
+            // Joints
+            for (let i = 0; i < LANDMARK_COUNT; i++) {
+                this.scale.setScalar(jointRadius * sizes[i]);
+                this.quaternion.identity();
+                this.matrix.compose(this.points[i], this.quaternion, this.scale);
+                hand.joints.setMatrixAt(i, this.matrix);
+            }
+            hand.joints.instanceMatrix.needsUpdate = true;
+
+            // Bones: unit cylinders stretched between the two joints
+            HAND_CONNECTIONS.forEach(([a, b], i) => {
+                const start = this.points[a];
+                const end = this.points[b];
+                this.direction.subVectors(end, start);
+                const length = this.direction.length();
+                this.midpoint.addVectors(start, end).multiplyScalar(0.5);
+                this.quaternion.setFromUnitVectors(this.up, this.direction.divideScalar(Math.max(length, 1e-6)));
+                const radius = boneRadius * (sizes[a] + sizes[b]) / 2;
+                this.scale.set(radius, length, radius);
+                this.matrix.compose(this.midpoint, this.quaternion, this.scale);
+                hand.bones.setMatrixAt(i, this.matrix);
+            });
+            hand.bones.instanceMatrix.needsUpdate = true;
+
+            // Palm (glove only)
+            hand.palm.visible = glove;
+            if (glove) {
+                const positions = hand.palm.geometry.attributes.position.array;
+                PALM_LANDMARKS.forEach((index, i) => {
+                    this.points[index].toArray(positions, i * 3);
+                });
+                hand.palm.geometry.attributes.position.needsUpdate = true;
+                hand.palm.geometry.computeVertexNormals();
+            }
+
+            // Label above the wrist
+            hand.label.visible = this.showLabels;
+            if (this.showLabels) {
+                if (hand.label.material.map !== this.labelTextures[side]) {
+                    hand.label.material.map = this.labelTextures[side];
+                    hand.label.material.needsUpdate = true;
+                }
+                const wrist = this.points[HAND_LANDMARKS.wrist];
+                hand.label.position.set(wrist.x, wrist.y - 0.35, wrist.z);
+            }
+
+            hand.group.visible = true;
+        });
+    }
+
+    dispose() {
+        for (const hand of this.hands) {
+            this.scene.remove(hand.group);
+            hand.material.dispose();
+            hand.palmMaterial.dispose();
+            hand.palm.geometry.dispose();
+            hand.label.material.dispose();
+            hand.joints.dispose();
+            hand.bones.dispose();
+        }
+        this.hands = [];
+        this.jointGeometry.dispose();
+        this.boneGeometry.dispose();
+        Object.values(this.labelTextures).forEach(texture => texture.dispose());
+    }
+}
+
+function createLabelTexture(text) {
+    const canvas = document.createElement('canvas');
+    canvas.width = 128;
+    canvas.height = 64;
+    const ctx = canvas.getContext('2d');
+    ctx.fillStyle = 'rgba(0, 0, 0, 0.6)';
+    ctx.fillRect(0, 0, canvas.width, canvas.height);
+    ctx.fillStyle = 'white';
+    ctx.font = 'bold 36px Arial';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(text, canvas.width / 2, canvas.height / 2);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.colorSpace = THREE.SRGBColorSpace;
+    return texture;
+}
+
+export class HandVisualizerEffect extends Effect {
+    static id = 'handVisualizer';
+    static label = '🖐️ Manos';
+    static order = 30;
+
+    init(context) {
+        super.init(context);
+        this.visualizer = new HandVisualizer(context.scene);
+    }
+
+    configure({ style, showLabels }) {
+        if (style !== undefined) this.visualizer.setStyle(style);
+        if (showLabels !== undefined) this.visualizer.setShowLabels(showLabels);
+    }
+
+    onHands(results) {
+        const { camera, sceneManager } = this.context;
+        this.visualizer.update(results, camera, sceneManager.handCalibration);
+    }
+
+    setEnabled(enabled) {
+        super.setEnabled(enabled);
+        if (!enabled) this.visualizer.hands.forEach(hand => hand.group.visible = false);
+    }
+
+    dispose() {
+        this.visualizer.dispose();
+    }
+}
@@ -0,0 +1,702 @@
+import * as THREE from 'three';
+import { MeshSurfaceSampler } from 'three/examples/jsm/math/MeshSurfaceSampler.js';
+import particleImageUrl from '../particleImage/particle-a.png';
+import { Effect } from './Effect.js';
+import { PARTICLE_PRESETS } from './particlePresets.js';
+import { validateAnchor } from '../core/SceneDescription.js';
+
+// Values of the *-over-life curves sent to the shader, evenly spaced in life
+const CURVE_POINTS = 4;
+
+const SHAPES = ['point', 'box', 'sphere', 'ring', 'mesh'];
+
+export const PARTICLE_EMITTER_DEFAULTS = {
+    maxParticles: 500,   // Oldest particles are replaced when more are emitted
+    rate: 30,            // Particles per second from every source
+    burst: 0,            // Particles per burst()
+    lifetime: [1, 2],    // Seconds
+    shape: { type: 'point' },
+    direction: [0, 1, 0],
+    spread: 30,          // Degrees around direction
+    speed: [0.5, 1],     // World units per second
+    gravity: [0, -1, 0], // World units per second²
+    wind: [0, 0, 0],     // Same, added to gravity
+    turbulence: 0,       // World units of wobble
+    turbulenceFrequency: 1,
+    spin: [0, 0],        // Degrees per second
+    size: [0.1],         // World units, over life
+    color: ['#ffffff'],  // Over life
+    opacity: [1, 0],     // Over life
+    palette: null,       // Colors picked at random per particle (times color)
+    texture: 'dot',
+    spriteSheet: null,   // { columns, rows, frames, fps }, fps 0 = one loop per life
+    billboard: true,     // Face the camera, else tumble in 3D
+    blending: 'normal'   // 'normal' or 'additive'
+};
+
+// Built-in textures, drawn once on a canvas. `sheet` is their sprite layout
+const BUILTIN_TEXTURES = {
+    dot: { draw: drawDot },
+    square: { draw: (ctx, size) => ctx.fillRect(size * 0.1, size * 0.25, size * 0.8, size * 0.5) },
+    heart: { draw: drawHeart },
+    snowflake: { draw: drawSnowflake },
+    spark: { draw: (ctx, size) => drawStar(ctx, size / 2, size / 2, size / 2, 1) },
+    sparkle: {
+        draw: drawSparkleSheet,
+        sheet: { columns: 4, rows: 1, frames: 4, fps: 12 },
+        width: 4
+    }
+};
+
+const textureCache = new Map();
+
+const VERTEX_SHADER = /* glsl */ `
+uniform float uTime;
+uniform vec3 uAcceleration;
+uniform vec2 uTurbulence;   // amplitude, frequency
+uniform float uSize[${CURVE_POINTS}];
+uniform float uOpacity[${CURVE_POINTS}];
+uniform vec3 uColor[${CURVE_POINTS}];
+uniform vec4 uSheet;        // columns, rows, frames, fps
+uniform bool uBillboard;
+
+attribute vec3 aOrigin;
+attribute vec3 aVelocity;
+attribute vec4 aLife;       // birth time, lifetime, seed, spin (radians per second)
+attribute vec3 aColor;
+
+varying vec2 vUv;
+varying vec4 vColor;
+
+float curve(float values[${CURVE_POINTS}], float t) {
+    float x = t * float(${CURVE_POINTS - 1});
+    int i = int(min(floor(x), float(${CURVE_POINTS - 2})));
+    return mix(values[i], values[i + 1], x - float(i));
+}
+
+vec3 curve(vec3 values[${CURVE_POINTS}], float t) {
+    float x = t * float(${CURVE_POINTS - 1});
+    int i = int(min(floor(x), float(${CURVE_POINTS - 2})));
+    return mix(values[i], values[i + 1], x - float(i));
+}
+
+vec3 rotateAround(vec3 v, vec3 axis, float angle) {
+    return v * cos(angle) + cross(axis, v) * sin(angle) + axis * dot(axis, v) * (1.0 - cos(angle));
+}
+
+void main() {
+    float age = uTime - aLife.x;
+    float life = age / aLife.y;
+    if (life < 0.0 || life > 1.0) {
+        // Dead or not born yet: outside the clip volume
+        gl_Position = vec4(0.0, 0.0, 2.0, 1.0);
+        return;
+    }
+    float seed = aLife.z;
+
+    vec3 center = aOrigin + aVelocity * age + 0.5 * uAcceleration * age * age;
+    vec3 phase = vec3(seed, fract(seed * 7.13), fract(seed * 3.71)) * 6.2832;
+    vec3 wave = age * uTurbulence.y * vec3(1.0, 1.3, 0.7) + phase;
+    center += uTurbulence.x * (sin(wave) - sin(phase));
+
+    float angle = phase.x + aLife.w * age;
+    vec2 corner = position.xy * curve(uSize, life);
+
+    vec4 mvPosition;
+    if (uBillboard) {
+        float c = cos(angle);
+        float s = sin(angle);
+        mvPosition = viewMatrix * vec4(center, 1.0);
+        mvPosition.xy += vec2(c * corner.x - s * corner.y, s * corner.x + c * corner.y);
+    } else {
+        vec3 axis = normalize(vec3(phase.y - 3.1416, phase.z - 3.1416, 1.0));
+        mvPosition = viewMatrix * vec4(center + rotateAround(vec3(corner, 0.0), axis, angle), 1.0);
+    }
+    gl_Position = projectionMatrix * mvPosition;
+
+    // Sprite sheet frame, over time (fps) or over life
+    float frame = uSheet.w > 0.0 ? floor(age * uSheet.w) : floor(life * uSheet.z);
+    frame = mod(frame, uSheet.z);
+    vec2 cell = vec2(mod(frame, uSheet.x), uSheet.y - 1.0 - floor(frame / uSheet.x));
+    vUv = (uv + cell) / uSheet.xy;
+
+    vColor = vec4(aColor * curve(uColor, life), curve(uOpacity, life));
+}
+`;
+
+const FRAGMENT_SHADER = /* glsl */ `
+uniform sampler2D uMap;
+
+varying vec2 vUv;
+varying vec4 vColor;
+
+void main() {
+    vec4 color = texture2D(uMap, vUv) * vColor;
+    if (color.a < 0.01) discard;
+    gl_FragColor = color;
+    #include <colorspace_fragment>
+}
+`;
+
+/**
+ * Configurable particle emitter: spawn shapes, velocity cones, wind and
+ * turbulence, spin, lifetime, size / color / opacity over life, sprite
+ * sheets, billboards or tumbling quads, continuous rate and bursts.
+ *
+ * Particles are emitted from sources (any Object3D: a group following a
+ * hand landmark, a face anchor...) and keep moving in world space, so moving
+ * sources leave trails. As in GPUParticleRain the motion is worked out in the
+ * vertex shader: the CPU only writes a particle when it is emitted. Depth
+ * testing is on, so occluders hide particles behind the user.
+ *
+ * Usage:
+ *   const emitter = new ParticleEmitter(scene, PARTICLE_PRESETS.sparks);
+ *   emitter.addSource(fingertipGroup);
+ *   emitter.update(dt); // every frame
+ *
+ * Config keys and defaults are in PARTICLE_EMITTER_DEFAULTS. `[min, max]`
+ * values are picked per particle; size, color and opacity lists are keyframes
+ * evenly spaced over life. Shapes:
+ * - { type: 'point' }
+ * - { type: 'box', size: [x, y, z] }
+ * - { type: 'sphere', radius, surface: true|false }
+ * - { type: 'ring', radius, thickness } (around the source's Z axis)
+ * - { type: 'mesh', mesh: Object3D or name of an object in the scene }
+ * Shapes are in the source's space; `texture` is a built-in name (dot,
+ * square, heart, snowflake, spark, sparkle, particle) or an image URL.
+ */
+export class ParticleEmitter {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {Object} [config]
+     * @param {string} [baseUrl] - What texture URLs are resolved against
+     */
+    constructor(scene, config = {}, baseUrl = window.location.href) {
+        this.scene = scene;
+        this.config = { ...PARTICLE_EMITTER_DEFAULTS, ...config };
+        this.baseUrl = baseUrl;
+
+        this.sources = [];
+        this.time = 0;
+        // Fraction of a particle left over from the last frame's rate
+        this.pending = 0;
+        // Next slot of the ring buffer, and the slots written this frame
+        this.cursor = 0;
+        this.written = null;
+
+        this.sampler = null;
+        this.samplerMesh = null;
+        this.position = new THREE.Vector3();
+        this.velocity = new THREE.Vector3();
+        this.quaternion = new THREE.Quaternion();
+        this.color = new THREE.Color();
+
+        this.init();
+    }
+
+    init() {
+        const { maxParticles } = this.config;
+        const plane = new THREE.PlaneGeometry(1, 1);
+        const geometry = new THREE.InstancedBufferGeometry().copy(plane);
+        plane.dispose();
+        geometry.instanceCount = maxParticles;
+
+        this.attributes = {
+            aOrigin: new THREE.InstancedBufferAttribute(new Float32Array(maxParticles * 3), 3),
+            aVelocity: new THREE.InstancedBufferAttribute(new Float32Array(maxParticles * 3), 3),
+            aLife: new THREE.InstancedBufferAttribute(new Float32Array(maxParticles * 4), 4),
+            aColor: new THREE.InstancedBufferAttribute(new Float32Array(maxParticles * 3).fill(1), 3)
+        };
+        for (const [name, attribute] of Object.entries(this.attributes)) {
+            attribute.setUsage(THREE.DynamicDrawUsage);
+            geometry.setAttribute(name, attribute);
+        }
+        // Nothing alive yet: born long ago
+        for (let i = 0; i < maxParticles; i++) {
+            this.attributes.aLife.setXYZW(i, -1e6, 1, 0, 0);
+        }
+
+        const { texture, sheet } = this.loadTexture();
+        const spriteSheet = this.config.spriteSheet ?? sheet ?? { columns: 1, rows: 1, frames: 1, fps: 0 };
+
+        this.uniforms = {
+            uTime: { value: 0 },
+            uAcceleration: { value: new THREE.Vector3().fromArray(this.config.gravity).add(new THREE.Vector3().fromArray(this.config.wind)) },
+            uTurbulence: { value: new THREE.Vector2(this.config.turbulence, this.config.turbulenceFrequency) },
+            uSize: { value: resampleCurve(this.config.size.map(value => [value])).map(([value]) => value) },
+            uOpacity: { value: resampleCurve(this.config.opacity.map(value => [value])).map(([value]) => value) },
+            uColor: { value: resampleCurve(this.config.color.map(value => new THREE.Color(value).toArray())).map(rgb => new THREE.Vector3(...rgb)) },
+            uSheet: {
+                value: new THREE.Vector4(
+                    spriteSheet.columns ?? 1,
+                    spriteSheet.rows ?? 1,
+                    spriteSheet.frames ?? (spriteSheet.columns ?? 1) * (spriteSheet.rows ?? 1),
+                    spriteSheet.fps ?? 0
+                )
+            },
+            uBillboard: { value: this.config.billboard },
+            uMap: { value: texture }
+        };
+
+        const material = new THREE.ShaderMaterial({
+            uniforms: this.uniforms,
+            vertexShader: VERTEX_SHADER,
+            fragmentShader: FRAGMENT_SHADER,
+            transparent: true,
+            depthTest: true,   // Occluders (renderOrder 0) hide particles behind the user
+            depthWrite: false, // Particles do not hide each other
+            blending: this.config.blending === 'additive' ? THREE.AdditiveBlending : THREE.NormalBlending,
+            side: THREE.DoubleSide
+        });
+
+        this.particles = new THREE.Mesh(geometry, material);
+        // Positions only exist on the GPU
+        this.particles.frustumCulled = false;
+        this.particles.renderOrder = 1;
+        this.scene.add(this.particles);
+    }
+
+    // Built-in textures are shared between emitters, images are loaded per emitter
+    loadTexture() {
+        const name = this.config.texture;
+        if (name === 'particle') {
+            this.ownTexture = new THREE.TextureLoader().load(particleImageUrl);
+            return { texture: this.ownTexture };
+        }
+
+        const builtin = BUILTIN_TEXTURES[name];
+        if (!builtin) {
+            const url = new URL(name, this.baseUrl).href;
+            this.ownTexture = new THREE.TextureLoader().load(url, undefined, undefined,
+                (error) => console.error(`❌ Error loading particle texture ${url}:`, error));
+            this.ownTexture.colorSpace = THREE.SRGBColorSpace;
+            return { texture: this.ownTexture };
+        }
+
+        if (!textureCache.has(name)) {
+            const size = 64;
+            const canvas = document.createElement('canvas');
+            canvas.width = size * (builtin.width ?? 1);
+            canvas.height = size;
+            const ctx = canvas.getContext('2d');
+            ctx.fillStyle = ctx.strokeStyle = '#ffffff';
+            builtin.draw(ctx, size);
+            textureCache.set(name, new THREE.CanvasTexture(canvas));
+        }
+        return { texture: textureCache.get(name), sheet: builtin.sheet };
+    }
+
+    /**
+     * Emit from an object's position and orientation (while it is shown).
+     * @param {THREE.Object3D} object
+     */
+    addSource(object) {
+        if (!this.sources.includes(object)) this.sources.push(object);
+    }
+
+    removeSource(object) {
+        const index = this.sources.indexOf(object);
+        if (index >= 0) this.sources.splice(index, 1);
+    }
+
+    /**
+     * @param {number} dt - Seconds since the last frame
+     */
+    update(dt) {
+        this.time += dt;
+        this.uniforms.uTime.value = this.time;
+
+        this.pending += this.config.rate * dt;
+        // After a long frame (e.g. a hidden tab) only the last maxParticles
+        // would survive the ring buffer: drop the rest instead of spawning them
+        const count = Math.min(Math.floor(this.pending), this.config.maxParticles);
+        this.pending = count === this.config.maxParticles ? 0 : this.pending - count;
+        if (count > 0) this.emit(count);
+
+        this.flush();
+    }
+
+    /**
+     * Emit a number of particles at once from every shown source.
+     * @param {number} [count] - Defaults to the configured burst
+     */
+    burst(count = this.config.burst) {
+        this.emit(count);
+        this.flush();
+    }
+
+    emit(count) {
+        for (const source of this.sources) {
+            if (!isShown(source)) continue;
+            source.updateWorldMatrix(true, false);
+            for (let i = 0; i < count; i++) this.spawn(source);
+        }
+    }
+
+    // Write one particle into the next ring buffer slot
+    spawn(source) {
+        const config = this.config;
+        const index = this.cursor;
+        this.cursor = (this.cursor + 1) % config.maxParticles;
+        this.written = this.written
+            ? { start: Math.min(this.written.start, index), end: Math.max(this.written.end, index) }
+            : { start: index, end: index };
+
+        const position = this.position;
+        if (!this.sampleShape(position, source)) return;
+
+        // Direction within the cone, in the source's orientation
+        source.getWorldQuaternion(this.quaternion);
+        randomInCone(this.velocity, config.direction, THREE.MathUtils.degToRad(config.spread))
+            .applyQuaternion(this.quaternion)
+            .multiplyScalar(range(config.speed));
+
+        this.attributes.aOrigin.setXYZ(index, position.x, position.y, position.z);
+        this.attributes.aVelocity.setXYZ(index, this.velocity.x, this.velocity.y, this.velocity.z);
+        this.attributes.aLife.setXYZW(
+            index,
+            this.time,
+            range(config.lifetime),
+            Math.random(),
+            THREE.MathUtils.degToRad(range(config.spin))
+        );
+        if (config.palette) {
+            this.color.set(config.palette[Math.floor(Math.random() * config.palette.length)]);
+            this.attributes.aColor.setXYZ(index, this.color.r, this.color.g, this.color.b);
+        }
+    }
+
+    // Random point of the spawn shape, in world space. False if there is nothing to sample yet
+    sampleShape(target, source) {
+        const shape = this.config.shape;
+        switch (shape.type) {
+            case 'box': {
+                const [x, y, z] = shape.size ?? [1, 1, 1];
+                target.set((Math.random() - 0.5) * x, (Math.random() - 0.5) * y, (Math.random() - 0.5) * z);
+                break;
+            }
+            case 'sphere': {
+                const radius = (shape.radius ?? 0.5) * (shape.surface ? 1 : Math.cbrt(Math.random()));
+                target.randomDirection().multiplyScalar(radius);
+                break;
+            }
+            case 'ring': {
+                const angle = Math.random() * Math.PI * 2;
+                const radius = (shape.radius ?? 0.5) + (Math.random() - 0.5) * (shape.thickness ?? 0);
+                target.set(Math.cos(angle) * radius, Math.sin(angle) * radius, 0);
+                break;
+            }
+            case 'mesh': {
+                const mesh = this.getSamplerMesh();
+                if (!mesh) return false;
+                this.sampler.sample(target);
+                mesh.updateWorldMatrix(true, false);
+                target.applyMatrix4(mesh.matrixWorld);
+                return true;
+            }
+            default:
+                target.set(0, 0, 0);
+        }
+        target.applyMatrix4(source.matrixWorld);
+        return true;
+    }
+
+    // First mesh of the shape's object (looked up by name until it is loaded)
+    getSamplerMesh() {
+        if (this.samplerMesh) return this.samplerMesh;
+
+        const { mesh } = this.config.shape;
+        const object = typeof mesh === 'string' ? this.scene.getObjectByName(mesh) : mesh;
+        let found = null;
+        object?.traverse(child => {
+            if (!found && child.isMesh) found = child;
+        });
+        if (!found) return null;
+
+        this.samplerMesh = found;
+        this.sampler = new MeshSurfaceSampler(found).build();
+        return found;
+    }
+
+    // Upload only the slots written (the renderer clears the ranges once uploaded)
+    flush() {
+        if (!this.written) return;
+        const { start, end } = this.written;
+        for (const attribute of Object.values(this.attributes)) {
+            attribute.addUpdateRange(start * attribute.itemSize, (end - start + 1) * attribute.itemSize);
+            attribute.needsUpdate = true;
+        }
+        this.written = null;
+    }
+
+    setVisible(visible) {
+        this.particles.visible = visible;
+    }
+
+    dispose() {
+        this.scene.remove(this.particles);
+        this.particles.geometry.dispose();
+        this.particles.material.dispose();
+        this.ownTexture?.dispose();
+        this.sources = [];
+    }
+}
+
+/**
+ * Particle emitters placed like scene models, from the scene description:
+ *
+ *   "particleEmitters": { "emitters": [
+ *     { "preset": "sparks", "anchor": { "type": "hand", "hand": "right", "landmark": "indexTip" } },
+ *     { "preset": "snow", "rate": 100, "position": [0, 4, -1] }
+ *   ] }
+ *
+ * Each entry starts from a preset (see particlePresets.js) or the defaults,
+ * and overrides any emitter parameter. Anchor and position default to the
+ * preset's; face anchors emit from every tracked face. Bursts fire when an
+ * emitter is added and with the scene's burst action.
+ */
+export class ParticleEmittersEffect extends Effect {
+    static id = 'particleEmitters';
+    static label = '🎆 Emisores de partículas';
+    static order = 55;
+
+    init(context) {
+        super.init(context);
+        // { emitter, anchor, position, sources: Map of key (face ID, 'world', 'hand') -> Object3D }
+        this.entries = [];
+
+        context.sceneManager.onFaceAdded((faceId, face) => {
+            for (const entry of this.entries) {
+                if (entry.anchor.type === 'face') this.addFaceSource(entry, faceId, face);
+            }
+        });
+    }
+
+    configure({ emitters = [], ...rest }) {
+        if (Object.keys(rest).length > 0) {
+            console.warn(`⚠️ particleEmitters: unknown parameters ${Object.keys(rest).join(', ')}`);
+        }
+        this.clear();
+        emitters.forEach(settings => this.addEmitter(settings));
+    }
+
+    /**
+     * @param {Object} settings - { preset, anchor, position, ...emitter parameters }
+     * @returns {ParticleEmitter|null} Null if the settings are unusable
+     */
+    addEmitter({ preset, anchor, position, ...overrides } = {}) {
+        const base = preset === undefined ? {} : PARTICLE_PRESETS[preset];
+        if (!base) {
+            console.warn(`⚠️ particleEmitters: unknown preset "${preset}" (${Object.keys(PARTICLE_PRESETS).join(', ')})`);
+            return null;
+        }
+        const { label, anchor: presetAnchor = { type: 'world' }, position: presetPosition = [0, 0, 0], ...config } = base;
+
+        const problems = checkEmitterConfig(overrides);
+        const placement = validateAnchor(anchor ?? presetAnchor, 'anchor', problems);
+        if (placement.type === 'image') problems.push('anchor: image targets are only used on the image tracking page');
+        if (problems.length > 0) {
+            console.warn(`⚠️ particleEmitters (${preset ?? 'custom'}):\n- ${problems.join('\n- ')}`);
+            if (placement.type === 'image') return null;
+        }
+
+        const { scene, sceneManager } = this.context;
+        const emitter = new ParticleEmitter(scene, { ...config, ...overrides }, sceneManager.description.baseUrl);
+        emitter.setVisible(this.enabled);
+        const entry = { emitter, anchor: placement, position: position ?? presetPosition, sources: new Map() };
+        this.entries.push(entry);
+
+        if (placement.type === 'face') {
+            sceneManager.faces.forEach((face, faceId) => this.addFaceSource(entry, faceId, face));
+        } else {
+            const source = this.createSource(entry);
+            if (placement.type === 'hand') {
+                sceneManager.attachToHand(source, placement.landmark, placement.hand);
+            } else {
+                scene.add(source);
+            }
+            entry.sources.set(placement.type, source);
+            emitter.addSource(source);
+        }
+
+        if (emitter.config.burst > 0) emitter.burst();
+        console.log(`🎆 Emitter ${preset ?? 'custom'} added (${placement.type})`);
+        return emitter;
+    }
+
+    createSource(entry) {
+        const source = new THREE.Group();
+        source.position.fromArray(entry.position);
+        return source;
+    }
+
+    addFaceSource(entry, faceId, face) {
+        const source = this.createSource(entry);
+        face.headPose.attach(source, entry.anchor.point);
+        entry.sources.set(faceId, source);
+        entry.emitter.addSource(source);
+    }
+
+    clear() {
+        const { sceneManager } = this.context;
+        for (const { emitter, anchor, sources } of this.entries) {
+            for (const source of sources.values()) {
+                if (anchor.type === 'hand') sceneManager.detachFromHand(source);
+                else source.removeFromParent();
+            }
+            emitter.dispose();
+        }
+        this.entries = [];
+    }
+
+    burst() {
+        this.entries.forEach(({ emitter }) => emitter.burst());
+    }
+
+    update(dt) {
+        this.entries.forEach(({ emitter }) => emitter.update(dt));
+    }
+
+    onFaceRemoved(faceId) {
+        for (const { emitter, sources } of this.entries) {
+            const source = sources.get(faceId);
+            if (!source) continue;
+            emitter.removeSource(source);
+            sources.delete(faceId);
+        }
+    }
+
+    setEnabled(enabled) {
+        super.setEnabled(enabled);
+        this.entries.forEach(({ emitter }) => emitter.setVisible(enabled));
+    }
+
+    dispose() {
+        this.clear();
+    }
+}
+
+/**
+ * Check an emitter config against the known keys and shapes.
+ * @param {Object} config
+ * @returns {Array<string>} Problems found, empty if none
+ */
+export function checkEmitterConfig(config) {
+    const problems = Object.keys(config)
+        .filter(key => !(key in PARTICLE_EMITTER_DEFAULTS))
+        .map(key => `unknown parameter ${key}`);
+    if (config.shape && !SHAPES.includes(config.shape.type)) {
+        problems.push(`shape.type: expected one of ${SHAPES.join(', ')}`);
+    }
+    for (const key of ['size', 'color', 'opacity']) {
+        if (config[key] !== undefined && (!Array.isArray(config[key]) || config[key].length === 0)) {
+            problems.push(`${key}: expected a list of values over life`);
+        }
+    }
+    return problems;
+}
+
+// Number, or random in [min, max]
+function range(value) {
+    if (!Array.isArray(value)) return value;
+    const [min, max = min] = value;
+    return min + Math.random() * (max - min);
+}
+
+// Keyframes (each an array of components) resampled to CURVE_POINTS evenly spaced values
+function resampleCurve(values) {
+    return Array.from({ length: CURVE_POINTS }, (_, i) => {
+        const x = (i / (CURVE_POINTS - 1)) * (values.length - 1);
+        const a = values[Math.floor(x)];
+        const b = values[Math.min(Math.floor(x) + 1, values.length - 1)];
+        return a.map((component, j) => component + (b[j] - component) * (x - Math.floor(x)));
+    });
+}
+
+const _axis = new THREE.Vector3();
+const _rotation = new THREE.Quaternion();
+const _up = new THREE.Vector3(0, 0, 1);
+
+// Random unit vector within `angle` radians of `direction`
+function randomInCone(target, direction, angle) {
+    const cosTheta = 1 - Math.random() * (1 - Math.cos(angle));
+    const sinTheta = Math.sqrt(1 - cosTheta * cosTheta);
+    const phi = Math.random() * Math.PI * 2;
+    target.set(Math.cos(phi) * sinTheta, Math.sin(phi) * sinTheta, cosTheta);
+    _axis.fromArray(direction).normalize();
+    return target.applyQuaternion(_rotation.setFromUnitVectors(_up, _axis));
+}
+
+// Visible and in the scene (sources of a face that left are not)
+function isShown(object) {
+    for (let node = object; node; node = node.parent) {
+        if (!node.visible) return false;
+        if (node.isScene) return true;
+    }
+    return false;
+}
+
+function drawDot(ctx, size) {
+    const gradient = ctx.createRadialGradient(size / 2, size / 2, 0, size / 2, size / 2, size / 2);
+    gradient.addColorStop(0, 'rgba(255,255,255,1)');
+    gradient.addColorStop(0.4, 'rgba(255,255,255,0.6)');
+    gradient.addColorStop(1, 'rgba(255,255,255,0)');
+    ctx.fillStyle = gradient;
+    ctx.fillRect(0, 0, size, size);
+}
+
+function drawHeart(ctx, size) {
+    const s = size / 64;
+    ctx.beginPath();
+    ctx.moveTo(32 * s, 56 * s);
+    ctx.bezierCurveTo(4 * s, 36 * s, 4 * s, 10 * s, 20 * s, 10 * s);
+    ctx.bezierCurveTo(28 * s, 10 * s, 32 * s, 18 * s, 32 * s, 18 * s);
+    ctx.bezierCurveTo(32 * s, 18 * s, 36 * s, 10 * s, 44 * s, 10 * s);
+    ctx.bezierCurveTo(60 * s, 10 * s, 60 * s, 36 * s, 32 * s, 56 * s);
+    ctx.fill();
+}
+
+function drawSnowflake(ctx, size) {
+    ctx.lineWidth = size / 16;
+    ctx.lineCap = 'round';
+    ctx.translate(size / 2, size / 2);
+    for (let i = 0; i < 6; i++) {
+        ctx.beginPath();
+        ctx.moveTo(0, 0);
+        ctx.lineTo(0, -size * 0.42);
+        ctx.moveTo(0, -size * 0.25);
+        ctx.lineTo(size * 0.1, -size * 0.33);
+        ctx.moveTo(0, -size * 0.25);
+        ctx.lineTo(-size * 0.1, -size * 0.33);
+        ctx.stroke();
+        ctx.rotate(Math.PI / 3);
+    }
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+}
+
+// Four-pointed star with a soft glow, `scale` of the cell
+function drawStar(ctx, x, y, radius, scale) {
+    const r = radius * scale;
+    const glow = ctx.createRadialGradient(x, y, 0, x, y, r);
+    glow.addColorStop(0, 'rgba(255,255,255,1)');
+    glow.addColorStop(0.3, 'rgba(255,255,255,0.35)');
+    glow.addColorStop(1, 'rgba(255,255,255,0)');
+    ctx.fillStyle = glow;
+    ctx.fillRect(x - r, y - r, r * 2, r * 2);
+
+    ctx.fillStyle = '#ffffff';
+    ctx.beginPath();
+    ctx.moveTo(x, y - r);
+    ctx.quadraticCurveTo(x, y, x + r, y);
+    ctx.quadraticCurveTo(x, y, x, y + r);
+    ctx.quadraticCurveTo(x, y, x - r, y);
+    ctx.quadraticCurveTo(x, y, x, y - r);
+    ctx.fill();
+}
+
+// Four frames of a twinkling star, side by side
+function drawSparkleSheet(ctx, size) {
+    [1, 0.7, 0.45, 0.7].forEach((scale, frame) => {
+        drawStar(ctx, size * frame + size / 2, size / 2, size / 2, scale);
+    });
+}
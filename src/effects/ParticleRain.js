@@ -1,27 +1,67 @@
 import * as THREE from 'three';
 import particleImageUrl from '../particleImage/particle-a.png';
+import { Effect } from './Effect.js';
+import { GPUParticleRain } from './GPUParticleRain.js';
+import { createFaceColliders, createHandColliders } from '../core/bodyColliders.js';
 
+// Default configuration, shared with GPUParticleRain (which ignores the collision keys)
+export const RAIN_DEFAULTS = {
+    particleSize: 0.416,  // Size of the sprite (30% larger than 0.32)
+    fallSpeed: 0.100,  // 1.7x faster fall speed
+    spawnAreaWidth: 7,   // Increased from 4 to 7 to expand to sides
+    spawnAreaHeight: 8,
+    // Adjusted depth to match hand tracking range (around z=0)
+    // Face occluder is at z≈0.0, so particles should be strictly behind
+    spawnDepth: -5.0,  // Pushed back even further to -5.0
+    depthRange: 1.0,   // Range of depth variation
+    resetHeight: 5,    // Top of spawn area
+    // Used while collisions are enabled: rain falls in the user's space
+    interactiveDepth: 0.0,
+    interactiveDepthRange: 1.5,
+    gravity: 0.01,     // Per 1/60 s, until back at fall speed after a bounce
+    drag: 0.95,        // Per 1/60 s, on sideways speed
+    bounce: 0.3,       // Fraction of the normal speed kept on impact
+    friction: 0.85,    // Fraction of the tangential speed kept on impact
+    restNormal: 0.7,   // Surfaces whose normal y is above this can hold particles
+    restTime: 1500     // Milliseconds a particle piles up before sliding off
+};
+
+/**
+ * Falling sprite particles.
+ *
+ * With collisions enabled the rain falls around the user (z near 0) instead
+ * of on a backdrop plane, and reacts to body colliders (see bodyColliders.js):
+ * particles bounce off them, slide along their surface and pile up on top of
+ * them for a moment. Colliders flagged `catch` (palms facing up) hold the
+ * particles that land on them for as long as they keep catching.
+ */
 export class ParticleRain {
-    constructor(scene, particleCount = 28) {
+    /**
+     * @param {THREE.Scene} scene
+     * @param {number} [particleCount]
+     * @param {Object} [config] - Overrides for RAIN_DEFAULTS
+     */
+    constructor(scene, particleCount = 28, config = {}) {
         this.scene = scene;
         this.particleCount = particleCount;
         this.particles = null;
         this.velocities = [];
         this.textureLoader = new THREE.TextureLoader();
 
-        // Configuration
         this.config = {
-            particleSize: 0.416,  // Size of the sprite (30% larger than 0.32)
-            fallSpeed: 0.100,  // 1.7x faster fall speed
-            spawnAreaWidth: 7,   // Increased from 4 to 7 to expand to sides
-            spawnAreaHeight: 8,
-            // Adjusted depth to match hand tracking range (around z=0)
-            // Face occluder is at z≈0.0, so particles should be strictly behind
-            spawnDepth: -5.0,  // Pushed back even further to -5.0
-            depthRange: 1.0,   // Range of depth variation
-            resetHeight: 5     // Top of spawn area
+            ...RAIN_DEFAULTS,
+            ...config
         };
 
+        this.collisions = false;
+        // Collider lists by source (e.g. 'face:0', 'hands'), see setColliders
+        this.colliderGroups = new Map();
+        // Per particle: { id, offset } while resting on a collider, else null
+        this.resting = [];
+        this.normal = new THREE.Vector3();
+        // Milliseconds of simulated time, for the rest timers
+        this.time = 0;
+
         this.dummy = new THREE.Object3D();
         this.init();
     }
@@ -73,7 +113,7 @@ export class ParticleRain {
             const x = (Math.random() - 0.5) * this.config.spawnAreaWidth;
             const y = Math.random() * this.config.spawnAreaHeight - this.config.spawnAreaHeight / 2;
             // Depth range: spawnDepth ± depthRange/2
-            const z = this.config.spawnDepth + (Math.random() - 0.5) * this.config.depthRange;
+            const z = this.randomDepth();
 
             this.dummy.position.set(x, y, z);
 
@@ -83,9 +123,9 @@ export class ParticleRain {
             this.particles.setMatrixAt(i, this.dummy.matrix);
 
             // Random fall speed variation
-            this.velocities.push({
-                y: -(this.config.fallSpeed + Math.random() * 0.01)
-            });
+            const fallSpeed = this.config.fallSpeed + Math.random() * 0.01;
+            this.velocities.push({ x: 0, y: -fallSpeed, z: 0, fallSpeed });
+            this.resting.push(null);
         }
 
         this.particles.instanceMatrix.needsUpdate = true;
@@ -97,21 +137,89 @@ export class ParticleRain {
         this.scene.add(this.particles);
     }
 
-    update() {
+    randomDepth() {
+        return this.collisions
+            ? this.config.interactiveDepth + (Math.random() - 0.5) * this.config.interactiveDepthRange
+            : this.config.spawnDepth + (Math.random() - 0.5) * this.config.depthRange;
+    }
+
+    /**
+     * Turn collisions with the user's face and hands on or off. Respawns the
+     * rain so it moves between the backdrop and the user's space at once.
+     */
+    setCollisions(enabled) {
+        this.collisions = enabled;
+        if (!enabled) {
+            this.colliderGroups.clear();
+        }
+        this.burst();
+    }
+
+    /**
+     * Replace the colliders coming from one source. Pass an empty array when
+     * the source (a face, the hands) is gone.
+     * @param {string} source
+     * @param {Array<Object>} colliders - { id, center, radii, catch }, see bodyColliders.js
+     */
+    setColliders(source, colliders) {
+        if (colliders.length === 0) {
+            this.colliderGroups.delete(source);
+        } else {
+            this.colliderGroups.set(source, colliders);
+        }
+    }
+
+    /**
+     * @param {number} dt - Seconds since the last update. Speeds, gravity
+     *   and drag are per 1/60 s, as in GPUParticleRain
+     */
+    update(dt) {
+        const colliders = new Map();
+        if (this.collisions) {
+            for (const group of this.colliderGroups.values()) {
+                for (const collider of group) colliders.set(collider.id, collider);
+            }
+        }
+        const frames = dt * 60;
+        const drag = this.config.drag ** frames;
+        this.time += dt * 1000;
+        const now = this.time;
+
         for (let i = 0; i < this.particleCount; i++) {
             // Get current matrix
             this.particles.getMatrixAt(i, this.dummy.matrix);
             this.dummy.matrix.decompose(this.dummy.position, this.dummy.quaternion, this.dummy.scale);
+            const position = this.dummy.position;
+            const velocity = this.velocities[i];
+
+            // Resting particles ride along with their collider
+            const rest = this.resting[i];
+            const support = rest && colliders.get(rest.id);
+            if (support && (support.catch || now < rest.until)) {
+                position.addVectors(support.center, rest.offset);
+            } else {
+                if (rest) {
+                    // Slide off from standstill
+                    this.resting[i] = null;
+                    velocity.x = velocity.y = velocity.z = 0;
+                }
 
-            // Update position (fall down)
-            this.dummy.position.y += this.velocities[i].y;
+                // Update position (fall down, back to fall speed after a bounce)
+                velocity.y = Math.max(velocity.y - this.config.gravity * frames, -velocity.fallSpeed);
+                velocity.x *= drag;
+                velocity.z *= drag;
+                position.x += velocity.x * frames;
+                position.y += velocity.y * frames;
+                position.z += velocity.z * frames;
+
+                for (const collider of colliders.values()) {
+                    if (this.collide(i, position, velocity, collider, now)) break;
+                }
+            }
 
             // Reset particle if it falls below the screen
-            if (this.dummy.position.y < -this.config.spawnAreaHeight / 2 - 1) {
-                this.dummy.position.y = this.config.resetHeight;
-                this.dummy.position.x = (Math.random() - 0.5) * this.config.spawnAreaWidth;
-                // Reset with new random depth
-                this.dummy.position.z = this.config.spawnDepth + (Math.random() - 0.5) * this.config.depthRange;
+            if (position.y < -this.config.spawnAreaHeight / 2 - 1) {
+                this.respawn(i, position, this.config.resetHeight);
             }
 
             // Update matrix
@@ -122,11 +230,182 @@ export class ParticleRain {
         this.particles.instanceMatrix.needsUpdate = true;
     }
 
+    // Push a particle inside an ellipsoid collider back to its surface and bounce it
+    collide(i, position, velocity, collider, now) {
+        const { center, radii } = collider;
+        const qx = (position.x - center.x) / radii.x;
+        const qy = (position.y - center.y) / radii.y;
+        const qz = (position.z - center.z) / radii.z;
+        const distance = Math.hypot(qx, qy, qz);
+        if (distance >= 1 || distance < 1e-6) return false;
+
+        // Onto the surface along the same direction from the center
+        position.set(
+            center.x + (qx / distance) * radii.x,
+            center.y + (qy / distance) * radii.y,
+            center.z + (qz / distance) * radii.z
+        );
+
+        // Ellipsoid gradient
+        const normal = this.normal.set(qx / radii.x, qy / radii.y, qz / radii.z).normalize();
+
+        // Landing on top: pile up for a while (or until the palm turns over)
+        if (normal.y > this.config.restNormal) {
+            this.resting[i] = {
+                id: collider.id,
+                offset: position.clone().sub(center),
+                until: now + this.config.restTime * (0.5 + Math.random())
+            };
+            velocity.x = velocity.y = velocity.z = 0;
+            return true;
+        }
+
+        // Otherwise bounce off: damp the normal part, keep most of the tangential part
+        const normalSpeed = velocity.x * normal.x + velocity.y * normal.y + velocity.z * normal.z;
+        if (normalSpeed < 0) {
+            const tangentScale = this.config.friction;
+            const normalScale = -this.config.bounce;
+            velocity.x = (velocity.x - normalSpeed * normal.x) * tangentScale + normalSpeed * normal.x * normalScale;
+            velocity.y = (velocity.y - normalSpeed * normal.y) * tangentScale + normalSpeed * normal.y * normalScale;
+            velocity.z = (velocity.z - normalSpeed * normal.z) * tangentScale + normalSpeed * normal.z * normalScale;
+        }
+        return true;
+    }
+
+    respawn(i, position, height) {
+        position.y = height;
+        position.x = (Math.random() - 0.5) * this.config.spawnAreaWidth;
+        // Reset with new random depth
+        position.z = this.randomDepth();
+
+        const velocity = this.velocities[i];
+        velocity.x = velocity.z = 0;
+        velocity.y = -velocity.fallSpeed;
+        this.resting[i] = null;
+    }
+
+    // Respawn every particle just above the top so a new shower falls at once
+    burst() {
+        for (let i = 0; i < this.particleCount; i++) {
+            this.particles.getMatrixAt(i, this.dummy.matrix);
+            this.dummy.matrix.decompose(this.dummy.position, this.dummy.quaternion, this.dummy.scale);
+
+            this.respawn(i, this.dummy.position, this.config.resetHeight + Math.random() * 2);
+
+            this.dummy.updateMatrix();
+            this.particles.setMatrixAt(i, this.dummy.matrix);
+        }
+
+        this.particles.instanceMatrix.needsUpdate = true;
+    }
+
     dispose() {
         if (this.particles) {
             this.scene.remove(this.particles);
             this.particles.geometry.dispose();
+            this.particles.material.map?.dispose();
             this.particles.material.dispose();
         }
     }
 }
+
+// ParticleRain updates every particle on the CPU, keep collision rain small
+const MAX_COLLISION_PARTICLES = 2000;
+
+/**
+ * Particle rain. Runs on the GPU (GPUParticleRain) and switches to
+ * ParticleRain while collisions are on, fed with the tracked face, shoulders
+ * and hands as colliders.
+ */
+export class ParticleRainEffect extends Effect {
+    static id = 'particleRain';
+    static label = '🌧️ Lluvia de partículas';
+    static order = 50;
+
+    init(context) {
+        super.init(context);
+        this.particleCount = 28;
+        this.config = {};
+        this.collisions = false;
+        this.rain = null;
+        this.createRain();
+    }
+
+    createRain() {
+        const { scene } = this.context;
+        this.rain?.dispose();
+        if (this.collisions) {
+            const count = Math.min(this.particleCount, MAX_COLLISION_PARTICLES);
+            if (count < this.particleCount) {
+                console.warn(`⚠️ particleRain: ${count} of ${this.particleCount} particles while collisions are on`);
+            }
+            this.rain = new ParticleRain(scene, count, this.config);
+            this.rain.setCollisions(true);
+        } else {
+            this.rain = new GPUParticleRain(scene, this.particleCount, this.config);
+        }
+        this.rain.particles.visible = this.enabled;
+    }
+
+    /**
+     * Rebuild the rain with scene parameters: particleCount and any key of
+     * RAIN_DEFAULTS (particleSize, fallSpeed, spawnAreaWidth...).
+     */
+    configure({ particleCount = this.particleCount, ...config }) {
+        const unknown = Object.keys(config).filter(key => !(key in RAIN_DEFAULTS));
+        if (unknown.length > 0) {
+            console.warn(`⚠️ particleRain: unknown parameters ${unknown.join(', ')}`);
+        }
+
+        this.particleCount = particleCount;
+        this.config = { ...this.config, ...config };
+        this.createRain();
+    }
+
+    /**
+     * Move the rain between the backdrop (GPU) and the user's space, where
+     * it reacts to the face and hands. Either way a new shower starts.
+     */
+    setCollisions(enabled) {
+        if (enabled === this.collisions) return;
+        this.collisions = enabled;
+        this.createRain();
+        if (!enabled) this.rain.burst();
+    }
+
+    update(dt) {
+        this.rain.update(dt);
+    }
+
+    onFace(faceId, landmarks) {
+        if (!this.collisions) return;
+        const { camera, sceneManager } = this.context;
+        this.rain.setColliders(
+            `face:${faceId}`,
+            createFaceColliders(landmarks, camera, sceneManager.faceCalibration.offsetX, faceId)
+        );
+    }
+
+    onFaceRemoved(faceId) {
+        if (this.collisions) this.rain.setColliders(`face:${faceId}`, []);
+    }
+
+    onHands(results) {
+        if (!this.collisions) return;
+        const { camera, sceneManager } = this.context;
+        this.rain.setColliders('hands', createHandColliders(results, camera, sceneManager.handCalibration, {
+            aspect: sceneManager.videoAspect
+        }));
+    }
+
+    setEnabled(enabled) {
+        super.setEnabled(enabled);
+        this.rain.particles.visible = enabled;
+        // Colliders are sent again with the next detection
+        if (!enabled && this.collisions) this.rain.colliderGroups.clear();
+    }
+
+    dispose() {
+        this.rain.dispose();
+    }
+}
@@ -0,0 +1,15 @@
+import { Effect } from './Effect.js';
+
+// Every module in this folder, so new effects only need a file here
+const modules = import.meta.glob(['./*.js', '!./index.js'], { eager: true });
+
+/**
+ * Effect classes exported from src/effects (those with their own static id),
+ * sorted by their default order. SceneManager registers them all at startup.
+ */
+export const EFFECTS = Object.values(modules)
+    .flatMap(module => Object.values(module))
+    .filter(value => typeof value === 'function' &&
+        value.prototype instanceof Effect &&
+        Object.hasOwn(value, 'id'))
+    .sort((a, b) => a.order - b.order);
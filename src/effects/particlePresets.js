@@ -0,0 +1,87 @@
+/**
+ * Bundled ParticleEmitter presets. Scene descriptions and the panel start
+ * from one of these and override any key (see ParticleEmitter for the full
+ * list). Each preset comes with the anchor it was tuned for; shapes are in
+ * that anchor's space (world units, or centimeters of face for face anchors).
+ */
+export const PARTICLE_PRESETS = {
+    snow: {
+        label: '❄️ Nieve',
+        anchor: { type: 'world' },
+        maxParticles: 800,
+        rate: 60,
+        lifetime: [8, 12],
+        shape: { type: 'box', size: [9, 0.5, 3] },
+        position: [0, 5, -2],
+        direction: [0, -1, 0],
+        spread: 15,
+        speed: [0.3, 0.6],
+        gravity: [0, -0.05, 0],
+        wind: [0.15, 0, 0],
+        turbulence: 0.3,
+        turbulenceFrequency: 0.8,
+        spin: [-40, 40],
+        size: [0.08, 0.12],
+        opacity: [0, 1, 1, 0],
+        texture: 'snowflake'
+    },
+    confetti: {
+        label: '🎊 Confeti',
+        anchor: { type: 'world' },
+        position: [0, -2, 0],
+        maxParticles: 600,
+        rate: 0,
+        burst: 200,
+        lifetime: [2.5, 3.5],
+        shape: { type: 'sphere', radius: 0.1 },
+        direction: [0, 1, 0],
+        spread: 35,
+        speed: [3, 5],
+        gravity: [0, -4, 0],
+        turbulence: 0.15,
+        turbulenceFrequency: 3,
+        spin: [-540, 540],
+        size: [0.09],
+        opacity: [1, 1, 1, 0],
+        palette: ['#ff4d6d', '#ffd166', '#06d6a0', '#118ab2', '#c77dff'],
+        texture: 'square',
+        billboard: false
+    },
+    sparks: {
+        label: '✨ Chispas',
+        anchor: { type: 'hand', hand: 'right', landmark: 'indexTip' },
+        maxParticles: 400,
+        rate: 80,
+        lifetime: [0.4, 0.8],
+        shape: { type: 'sphere', radius: 0.03 },
+        spread: 180,
+        speed: [0.05, 0.3],
+        gravity: [0, -0.4, 0],
+        turbulence: 0.03,
+        turbulenceFrequency: 6,
+        size: [0.12, 0.06, 0],
+        color: ['#ffffcc', '#ffcc44', '#ff6600'],
+        texture: 'sparkle',
+        blending: 'additive'
+    },
+    hearts: {
+        label: '💗 Corazones',
+        anchor: { type: 'face', point: 'forehead' },
+        maxParticles: 100,
+        rate: 4,
+        burst: 12,
+        lifetime: [2, 3],
+        shape: { type: 'ring', radius: 6, thickness: 1 },
+        direction: [0, 1, 0],
+        spread: 25,
+        speed: [0.3, 0.5],
+        gravity: [0, 0.1, 0],
+        turbulence: 0.08,
+        turbulenceFrequency: 2,
+        spin: [-30, 30],
+        size: [0.1, 0.2, 0.2],
+        opacity: [0, 1, 1, 0],
+        color: ['#ff5c8a', '#ff99bb'],
+        texture: 'heart'
+    }
+};
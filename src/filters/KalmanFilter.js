@@ -0,0 +1,66 @@
+/**
+ * Constant-velocity Kalman filter for a single scalar signal.
+ *
+ * - processNoise: how much the velocity is allowed to change (acceleration
+ *   noise). Higher = follows fast moves, more jitter
+ * - measurementNoise: variance of the raw samples. Higher = smoother, more lag
+ */
+export class KalmanFilter {
+    constructor({ processNoise = 1.0, measurementNoise = 1e-5 } = {}) {
+        this.setParams({ processNoise, measurementNoise });
+        this.reset();
+    }
+
+    setParams({ processNoise = this.processNoise, measurementNoise = this.measurementNoise } = {}) {
+        this.processNoise = processNoise;
+        this.measurementNoise = measurementNoise;
+    }
+
+    reset() {
+        this.value = null;
+        this.velocity = 0;
+        // Covariance [[p00, p01], [p01, p11]]
+        this.p00 = 1;
+        this.p01 = 0;
+        this.p11 = 1;
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * @param {number} value - Raw sample
+     * @param {number} timestamp - Milliseconds
+     * @returns {number} Filtered sample
+     */
+    filter(value, timestamp) {
+        if (this.value === null) {
+            this.value = value;
+            this.lastTimestamp = timestamp;
+            return value;
+        }
+
+        const dt = Math.max((timestamp - this.lastTimestamp) / 1000, 1e-3);
+        this.lastTimestamp = timestamp;
+
+        // Predict: x += v * dt, P = F P F^T + Q (white-acceleration model)
+        this.value += this.velocity * dt;
+        const q = this.processNoise;
+        const p00 = this.p00 + dt * (2 * this.p01 + dt * this.p11) + q * dt ** 4 / 4;
+        const p01 = this.p01 + dt * this.p11 + q * dt ** 3 / 2;
+        const p11 = this.p11 + q * dt ** 2;
+
+        // Update with the measurement
+        const innovation = value - this.value;
+        const s = p00 + this.measurementNoise;
+        const k0 = p00 / s;
+        const k1 = p01 / s;
+
+        this.value += k0 * innovation;
+        this.velocity += k1 * innovation;
+
+        this.p00 = (1 - k0) * p00;
+        this.p01 = (1 - k0) * p01;
+        this.p11 = p11 - k1 * p01;
+
+        return this.value;
+    }
+}
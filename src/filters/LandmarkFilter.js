@@ -0,0 +1,89 @@
+import { OneEuroFilter } from './OneEuroFilter.js';
+import { KalmanFilter } from './KalmanFilter.js';
+
+const FILTER_TYPES = {
+    oneEuro: OneEuroFilter,
+    kalman: KalmanFilter
+};
+
+/**
+ * Per-landmark smoothing for MediaPipe landmark streams.
+ *
+ * Each stream (one face ID, one hand...) keeps one scalar filter per landmark
+ * axis. Streams that have not been updated for `resetAfterMs` start fresh,
+ * so a hand that reappears somewhere else does not glide across the screen.
+ *
+ * Usage:
+ *   const filter = new LandmarkFilter({ type: 'oneEuro', minCutoff: 1, beta: 40 });
+ *   const smoothed = filter.filter('face-0', landmarks, performance.now());
+ */
+export class LandmarkFilter {
+    constructor(config = {}) {
+        this.config = {
+            type: 'oneEuro',      // 'oneEuro', 'kalman' or 'none'
+            // One Euro
+            minCutoff: 1.0,
+            beta: 40.0,
+            dCutoff: 1.0,
+            // Kalman
+            processNoise: 1.0,
+            measurementNoise: 1e-5,
+            resetAfterMs: 500,
+            ...config
+        };
+
+        this.streams = new Map();
+    }
+
+    setConfig(config) {
+        const typeChanged = config.type !== undefined && config.type !== this.config.type;
+        Object.assign(this.config, config);
+
+        if (typeChanged) {
+            this.resetAll();
+            return;
+        }
+
+        // Retune live filters in place so the output does not jump
+        for (const stream of this.streams.values()) {
+            stream.filters.forEach(filter => filter.setParams(this.config));
+        }
+    }
+
+    /**
+     * @param {string|number} streamId - Identifies the landmark set across frames
+     * @param {Array<{x: number, y: number, z: number}>} landmarks
+     * @param {number} [timestamp] - Milliseconds
+     * @returns {Array} Filtered copies of the landmarks
+     */
+    filter(streamId, landmarks, timestamp = performance.now()) {
+        const FilterClass = FILTER_TYPES[this.config.type];
+        if (!FilterClass || !landmarks) return landmarks;
+
+        let stream = this.streams.get(streamId);
+        if (!stream || stream.filters.length !== landmarks.length * 3 ||
+            timestamp - stream.lastTimestamp > this.config.resetAfterMs) {
+            stream = {
+                filters: Array.from({ length: landmarks.length * 3 }, () => new FilterClass(this.config)),
+                lastTimestamp: timestamp
+            };
+            this.streams.set(streamId, stream);
+        }
+        stream.lastTimestamp = timestamp;
+
+        return landmarks.map((landmark, i) => ({
+            ...landmark,
+            x: stream.filters[i * 3].filter(landmark.x, timestamp),
+            y: stream.filters[i * 3 + 1].filter(landmark.y, timestamp),
+            z: stream.filters[i * 3 + 2].filter(landmark.z, timestamp)
+        }));
+    }
+
+    reset(streamId) {
+        this.streams.delete(streamId);
+    }
+
+    resetAll() {
+        this.streams.clear();
+    }
+}
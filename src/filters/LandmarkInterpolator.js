@@ -0,0 +1,115 @@
+export const INTERPOLATION_MODES = ['interpolate', 'extrapolate', 'off'];
+
+/**
+ * Render-rate landmarks from detections that arrive at a lower (and uneven)
+ * rate, so content follows the face and hands smoothly between detections.
+ *
+ * Modes:
+ * - 'interpolate': blend from the previous to the latest detection over one
+ *   detection interval. Smooth, but one interval behind.
+ * - 'extrapolate': continue the latest motion for up to `maxLead` intervals.
+ *   No extra latency, but can overshoot when the motion stops.
+ * - 'off': always the latest detection.
+ *
+ * Usage:
+ *   interpolator.push('face-0', landmarks, detectionTime);
+ *   const landmarks = interpolator.sample('face-0', performance.now());
+ */
+export class LandmarkInterpolator {
+    constructor(config = {}) {
+        this.config = {
+            mode: 'interpolate',
+            maxLead: 1,          // Extrapolate at most this many detection intervals
+            resetAfterMs: 500,   // Longer gaps between detections are not blended
+            ...config
+        };
+
+        // key -> { previous, latest, previousTime, latestTime, output, sampled }
+        this.streams = new Map();
+    }
+
+    setConfig(config) {
+        Object.assign(this.config, config);
+    }
+
+    /**
+     * @param {string} key - Stream ID (one face, one hand...)
+     * @param {Array<{x: number, y: number, z: number}>} landmarks
+     * @param {number} timestamp - Milliseconds
+     */
+    push(key, landmarks, timestamp) {
+        let stream = this.streams.get(key);
+        if (!stream) {
+            stream = { previous: null, latest: null, previousTime: 0, latestTime: 0, output: [], sampled: null };
+            this.streams.set(key, stream);
+        }
+
+        const fresh = !stream.latest ||
+            stream.latest.length !== landmarks.length ||
+            timestamp - stream.latestTime > this.config.resetAfterMs;
+        stream.previous = fresh ? null : stream.latest;
+        stream.previousTime = stream.latestTime;
+        stream.latest = landmarks;
+        stream.latestTime = timestamp;
+    }
+
+    /**
+     * @param {string} key
+     * @param {number} time - Render time, milliseconds
+     * @returns {Array|null} Landmarks at `time` (reused between calls), or null for unknown streams
+     */
+    sample(key, time) {
+        const stream = this.streams.get(key);
+        if (!stream) return null;
+
+        const { previous, latest } = stream;
+        const alpha = this.getAlpha(stream, time);
+        stream.sampled = { latestTime: stream.latestTime, alpha };
+        if (alpha === null) return latest;
+
+        const output = stream.output;
+        for (let i = 0; i < latest.length; i++) {
+            const a = previous[i];
+            const b = latest[i];
+            if (!output[i]) output[i] = { x: 0, y: 0, z: 0 };
+            output[i].x = a.x + (b.x - a.x) * alpha;
+            output[i].y = a.y + (b.y - a.y) * alpha;
+            output[i].z = a.z + (b.z - a.z) * alpha;
+        }
+        output.length = latest.length;
+        return output;
+    }
+
+    /**
+     * Whether sample() would return something different from the last call,
+     * so callers can skip work once the blend has settled.
+     * @param {string} key
+     * @param {number} time
+     * @returns {boolean}
+     */
+    needsUpdate(key, time) {
+        const stream = this.streams.get(key);
+        if (!stream) return false;
+        if (!stream.sampled || stream.sampled.latestTime !== stream.latestTime) return true;
+        return this.getAlpha(stream, time) !== stream.sampled.alpha;
+    }
+
+    // Blend weight of the latest detection at `time`, or null to use it as is
+    getAlpha(stream, time) {
+        const interval = stream.latestTime - stream.previousTime;
+        if (!stream.previous || this.config.mode === 'off' || interval <= 0) return null;
+
+        const progress = Math.max((time - stream.latestTime) / interval, 0);
+        return this.config.mode === 'extrapolate'
+            ? 1 + Math.min(progress, this.config.maxLead)
+            : Math.min(progress, 1);
+    }
+
+    remove(key) {
+        this.streams.delete(key);
+    }
+
+    clear() {
+        this.streams.clear();
+    }
+}
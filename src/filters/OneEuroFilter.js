@@ -0,0 +1,56 @@
+/**
+ * One Euro filter (Casiez et al., CHI 2012) for a single scalar signal.
+ *
+ * Adaptive low-pass: heavy smoothing when the signal is still, little lag when
+ * it moves fast.
+ * - minCutoff: cutoff frequency (Hz) at rest. Lower = less jitter, more lag
+ * - beta: how fast the cutoff grows with speed. Higher = less lag on fast moves
+ * - dCutoff: cutoff (Hz) used to smooth the speed estimate
+ */
+export class OneEuroFilter {
+    constructor({ minCutoff = 1.0, beta = 40.0, dCutoff = 1.0 } = {}) {
+        this.setParams({ minCutoff, beta, dCutoff });
+        this.reset();
+    }
+
+    setParams({ minCutoff = this.minCutoff, beta = this.beta, dCutoff = this.dCutoff } = {}) {
+        this.minCutoff = minCutoff;
+        this.beta = beta;
+        this.dCutoff = dCutoff;
+    }
+
+    reset() {
+        this.value = null;
+        this.derivative = 0;
+        this.lastTimestamp = null;
+    }
+
+    /**
+     * @param {number} value - Raw sample
+     * @param {number} timestamp - Milliseconds
+     * @returns {number} Filtered sample
+     */
+    filter(value, timestamp) {
+        if (this.value === null) {
+            this.value = value;
+            this.lastTimestamp = timestamp;
+            return value;
+        }
+
+        // Guard against duplicate or out-of-order timestamps
+        const dt = Math.max((timestamp - this.lastTimestamp) / 1000, 1e-3);
+        this.lastTimestamp = timestamp;
+
+        const rawDerivative = (value - this.value) / dt;
+        this.derivative += smoothingFactor(dt, this.dCutoff) * (rawDerivative - this.derivative);
+
+        const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+        this.value += smoothingFactor(dt, cutoff) * (value - this.value);
+        return this.value;
+    }
+}
+
+function smoothingFactor(dt, cutoff) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
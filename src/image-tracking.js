@@ -1,8 +1,10 @@
 import { MindARThree } from 'mind-ar/dist/mindar-image-three.prod.js';
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
 import targetsUrl from './particleImage/targets3.mind?url';
-import objectTestUrl from './models3d/objectTest.glb?url';
+import { CameraSource } from './input/CameraSource.js';
+import { DEFAULT_SCENE, createSceneLights, getSceneModels, loadSceneModel, fitImportedModel } from './core/SceneDescription.js';
+import { ModelAnimations } from './core/ModelAnimator.js';
+import { modelLoader, disposeModel } from './core/ModelLoader.js';
 
 /**
  * MindAR Image Tracker with Advanced Anti-Jitter Stabilization
@@ -37,16 +39,28 @@ import objectTestUrl from './models3d/objectTest.glb?url';
 
 
 export class MindARTracker {
-    constructor() {
+    /**
+     * @param {InputSource} [inputSource] - Defaults to the rear camera, falling back to the front one
+     * @param {Object} [description] - Scene description; its image-anchored models and lights are used
+     */
+    constructor(inputSource = new CameraSource({ facingMode: ['environment', 'user'] }), description = DEFAULT_SCENE) {
         this.container = document.querySelector('#container');
+        this.inputSource = inputSource;
+        this.description = description;
         this.mindarThree = null;
         this.renderer = null;
         this.scene = null;
         this.camera = null;
-        this.anchor = null;
+        this.anchor = null;      // Target 0, smoothed in start()
+        this.anchors = new Map(); // Target index -> MindAR anchor
         this.model = null;
+        this.models = new Map();  // Model ID -> { model, object }
         this.isRunning = false;
 
+        // Clips of the loaded models; 'targetFound' / 'targetLost' trigger them
+        this.animations = new ModelAnimations();
+        this.clock = new THREE.Clock();
+
         // Enhanced smoothing configuration
         this.smoothingFactor = 0.15; // Increased from 0.1 for more stability
         this.targetPosition = new THREE.Vector3();
@@ -76,54 +90,103 @@ export class MindARTracker {
             imageTargetSrc: targetsUrl,
         });
 
+        // Feed MindAR from our input source instead of its built-in getUserMedia
+        this.mindarThree._startVideo = () => this.startVideo();
+
         this.renderer = this.mindarThree.renderer;
         this.scene = this.mindarThree.scene;
         this.camera = this.mindarThree.camera;
+        modelLoader.setRenderer(this.renderer);
 
-        // Add a light
-        const light = new THREE.HemisphereLight(0xffffff, 0xbbbbff, 1);
-        this.scene.add(light);
+        // Lights of the scene description
+        createSceneLights(this.description.lights, 'image').forEach(light => this.scene.add(light));
 
         // Create an anchor
-        this.anchor = this.mindarThree.addAnchor(0);
+        this.anchor = this.getAnchor(0);
 
-        // Load 3D model
-        await this.loadModel();
+        // Load 3D models
+        await this.loadModels();
     }
 
-    async loadModel() {
-        return new Promise((resolve, reject) => {
-            const loader = new GLTFLoader();
-            loader.load(
-                objectTestUrl,
-                (gltf) => {
-                    this.model = gltf.scene;
-                    this.model.position.z = 0.5;
-                    this.model.scale.set(0.5, 0.5, 0.5);
-                    this.anchor.group.add(this.model);
-                    console.log('✅ objectTest.glb loaded successfully in image tracking');
-
-                    // Initialize smoothed values
-                    this.smoothedPosition.copy(this.anchor.group.position);
-                    this.smoothedQuaternion.copy(this.anchor.group.quaternion);
-
-                    resolve();
-                },
-                (progress) => {
-                    console.log(`Loading model: ${(progress.loaded / progress.total * 100).toFixed(2)}%`);
-                },
-                (error) => {
-                    console.error('❌ Error loading objectTest.glb:', error);
-                    // Fallback to cube
-                    const geometry = new THREE.BoxGeometry(1, 1, 1);
-                    const material = new THREE.MeshStandardMaterial({ color: 0x00ff00 });
-                    const cube = new THREE.Mesh(geometry, material);
-                    cube.position.z = 0.5;
-                    this.anchor.group.add(cube);
-                    resolve();
-                }
-            );
+    getAnchor(target) {
+        if (!this.anchors.has(target)) {
+            this.anchors.set(target, this.mindarThree.addAnchor(target));
+        }
+        return this.anchors.get(target);
+    }
+
+    // Same video element setup as MindARThree._startVideo
+    async startVideo() {
+        const video = document.createElement('video');
+        video.setAttribute('autoplay', '');
+        video.setAttribute('muted', '');
+        video.setAttribute('playsinline', '');
+        video.style.position = 'absolute';
+        video.style.top = '0px';
+        video.style.left = '0px';
+        video.style.zIndex = '-2';
+        this.container.appendChild(video);
+        this.mindarThree.video = video;
+
+        await this.inputSource.attach(video);
+        video.setAttribute('width', video.videoWidth);
+        video.setAttribute('height', video.videoHeight);
+    }
+
+    /**
+     * Switch to another input source. Takes effect on the next start().
+     * @param {InputSource} inputSource
+     */
+    setInputSource(inputSource) {
+        this.inputSource.stop();
+        this.inputSource = inputSource;
+    }
+
+    // Scene models anchored to image targets (a fallback box for any that fails)
+    async loadModels() {
+        const models = getSceneModels(this.description, 'image');
+        const objects = await Promise.all(models.map(model => loadSceneModel(model, this.description.baseUrl)));
+        objects.forEach((object, i) => {
+            this.getAnchor(models[i].anchor.target).group.add(object);
+            this.animations.add(models[i], object);
+            this.models.set(models[i].id, { model: models[i], object });
         });
+        this.model = objects[0] ?? null;
+
+        // Only the models on the target that was found or lost react
+        for (const [target, anchor] of this.anchors) {
+            const onTarget = (animator) => models.some(model => model.id === animator.id && model.anchor.target === target);
+            anchor.onTargetFound = () => this.animations.trigger('targetFound', onTarget);
+            anchor.onTargetLost = () => this.animations.trigger('targetLost', onTarget);
+        }
+        console.log(`✅ ${objects.length} model(s) loaded in image tracking`);
+
+        // Initialize smoothed values
+        this.smoothedPosition.copy(this.anchor.group.position);
+        this.smoothedQuaternion.copy(this.anchor.group.quaternion);
+    }
+
+    /**
+     * Show an imported model (see ModelLoader.loadFiles) instead of a scene
+     * model, on the same target and with the same triggers.
+     * @param {string} id - Model ID
+     * @param {THREE.Object3D} imported
+     * @returns {THREE.Object3D|null} The model as placed on the target
+     */
+    replaceModel(id, imported) {
+        const entry = this.models.get(id);
+        if (!entry) return null;
+        const { model, object: replaced } = entry;
+        entry.object = fitImportedModel(imported, model, replaced);
+        replaced.parent.add(entry.object);
+        replaced.removeFromParent();
+        if (this.model === replaced) this.model = entry.object;
+
+        this.animations.remove(id);
+        this.animations.add(model, entry.object);
+        disposeModel(replaced);
+        console.log(`📦 ${id} replaced by an imported model`);
+        return entry.object;
     }
 
     async start() {
@@ -136,6 +199,8 @@ export class MindARTracker {
             this.renderer.setAnimationLoop(() => {
                 if (!this.isRunning) return;
 
+                this.animations.update(this.clock.getDelta());
+
                 // Advanced smoothing with multiple filters
                 if (this.anchor.group.visible) {
                     this.targetPosition.copy(this.anchor.group.position);
@@ -204,6 +269,7 @@ export class MindARTracker {
             } catch (e) {
                 console.warn('Error stopping MindAR (possibly not started yet):', e);
             }
+            this.inputSource.stop();
             if (this.mindarThree.renderer) {
                 this.mindarThree.renderer.setAnimationLoop(null);
             }
@@ -0,0 +1,58 @@
+import { InputSource } from './InputSource.js';
+
+/**
+ * Webcam input.
+ *
+ * Options:
+ * - deviceId: exact camera to open (see listCameras)
+ * - width / height: ideal resolution
+ * - facingMode: 'user', 'environment', or a list tried in order
+ *   (e.g. ['environment', 'user'] for rear camera with front fallback)
+ */
+export class CameraSource extends InputSource {
+    constructor({ deviceId = null, width = 1280, height = 720, facingMode = 'user' } = {}) {
+        super();
+        this.deviceId = deviceId;
+        this.width = width;
+        this.height = height;
+        this.facingModes = Array.isArray(facingMode) ? facingMode : [facingMode];
+        this.label = 'Camera';
+    }
+
+    async start() {
+        if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+            throw new Error('Camera access is not available (requires HTTPS or localhost)');
+        }
+
+        const baseConstraints = {
+            width: { ideal: this.width },
+            height: { ideal: this.height }
+        };
+
+        if (this.deviceId) {
+            this.stream = await navigator.mediaDevices.getUserMedia({
+                audio: false,
+                video: { ...baseConstraints, deviceId: { exact: this.deviceId } }
+            });
+        } else {
+            let lastError = null;
+            for (const facingMode of this.facingModes) {
+                try {
+                    this.stream = await navigator.mediaDevices.getUserMedia({
+                        audio: false,
+                        video: { ...baseConstraints, facingMode }
+                    });
+                    break;
+                } catch (error) {
+                    console.log(`⚠️ Camera with facingMode "${facingMode}" not available, trying next...`);
+                    lastError = error;
+                }
+            }
+            if (!this.stream) throw lastError;
+        }
+
+        const track = this.stream.getVideoTracks()[0];
+        this.label = track ? track.label || 'Camera' : 'Camera';
+        return this.stream;
+    }
+}
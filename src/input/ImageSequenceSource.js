@@ -0,0 +1,113 @@
+import { InputSource } from './InputSource.js';
+
+/**
+ * Turns a list of images into a video stream. Plays at `fps`, or can be
+ * paused and stepped one frame at a time to inspect tracking on a given frame.
+ */
+export class ImageSequenceSource extends InputSource {
+    /**
+     * @param {Array<File|string>} images - Files are sorted by name
+     * @param {Object} [options]
+     * @param {number} [options.fps=30]
+     * @param {boolean} [options.loop=true]
+     */
+    constructor(images, { fps = 30, loop = true } = {}) {
+        super();
+        this.sources = [...images].sort((a, b) =>
+            nameOf(a).localeCompare(nameOf(b), undefined, { numeric: true })
+        );
+        this.fps = fps;
+        this.loop = loop;
+        this.label = `Image sequence (${this.sources.length} frames)`;
+
+        this.images = [];
+        this.frameIndex = 0;
+        this.isPlaying = false;
+        this.timer = null;
+        this.canvas = null;
+        this.ctx = null;
+        this.objectUrls = [];
+    }
+
+    async start() {
+        if (this.sources.length === 0) {
+            throw new Error('Image sequence is empty');
+        }
+
+        this.images = await Promise.all(this.sources.map(source => this.loadImage(source)));
+
+        this.canvas = document.createElement('canvas');
+        this.canvas.width = this.images[0].naturalWidth;
+        this.canvas.height = this.images[0].naturalHeight;
+        this.ctx = this.canvas.getContext('2d');
+
+        this.stream = this.canvas.captureStream(this.fps);
+        this.seek(0);
+        this.play();
+        return this.stream;
+    }
+
+    loadImage(source) {
+        return new Promise((resolve, reject) => {
+            const img = new Image();
+            img.onload = () => resolve(img);
+            img.onerror = () => reject(new Error(`Failed to load image: ${nameOf(source)}`));
+
+            if (typeof source === 'string') {
+                img.src = source;
+            } else {
+                const url = URL.createObjectURL(source);
+                this.objectUrls.push(url);
+                img.src = url;
+            }
+        });
+    }
+
+    drawFrame() {
+        const img = this.images[this.frameIndex];
+        this.ctx.drawImage(img, 0, 0, this.canvas.width, this.canvas.height);
+    }
+
+    seek(index) {
+        this.frameIndex = Math.min(Math.max(index, 0), this.images.length - 1);
+        this.drawFrame();
+    }
+
+    step(delta = 1) {
+        let index = this.frameIndex + delta;
+        if (this.loop) {
+            index = (index + this.images.length) % this.images.length;
+        }
+        this.seek(index);
+    }
+
+    play() {
+        if (this.isPlaying) return;
+        this.isPlaying = true;
+        this.timer = setInterval(() => {
+            if (!this.loop && this.frameIndex >= this.images.length - 1) {
+                this.pause();
+                return;
+            }
+            this.step(1);
+        }, 1000 / this.fps);
+    }
+
+    pause() {
+        this.isPlaying = false;
+        clearInterval(this.timer);
+        this.timer = null;
+    }
+
+    stop() {
+        this.pause();
+        super.stop();
+        this.objectUrls.forEach(url => URL.revokeObjectURL(url));
+        this.objectUrls = [];
+        this.images = [];
+    }
+}
+
+function nameOf(source) {
+    return typeof source === 'string' ? source : source.name;
+}
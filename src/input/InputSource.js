@@ -0,0 +1,104 @@
+/**
+ * Base class for video inputs shared by all trackers.
+ *
+ * Every source produces a MediaStream, so consumers only ever deal with a
+ * <video> element whose srcObject is set: the face/hand page, the MindAR
+ * tracker and the OpenCV tracker all work the same way whether the frames
+ * come from a webcam, a video file or an image sequence.
+ *
+ * Subclasses implement start() (resolve with a MediaStream) and stop().
+ */
+export class InputSource {
+    constructor() {
+        this.stream = null;
+        this.label = 'Input';
+    }
+
+    async start() {
+        throw new Error(`${this.constructor.name} must implement start()`);
+    }
+
+    stop() {
+        if (this.stream) {
+            this.stream.getTracks().forEach(track => track.stop());
+            this.stream = null;
+        }
+    }
+
+    /**
+     * Start the source and play it in a video element.
+     * @param {HTMLVideoElement} video
+     * @returns {Promise<HTMLVideoElement>} Resolves once the video has dimensions
+     */
+    async attach(video) {
+        const stream = await this.start();
+
+        video.muted = true;
+        video.playsInline = true;
+        video.srcObject = stream;
+
+        await new Promise((resolve) => {
+            if (video.videoWidth && video.videoHeight) {
+                resolve();
+            } else {
+                video.addEventListener('loadedmetadata', resolve, { once: true });
+            }
+        });
+        await video.play();
+
+        console.log(`📹 Input started: ${this.label} (${video.videoWidth}x${video.videoHeight})`);
+        return video;
+    }
+}
+
+/**
+ * List the available cameras. Labels are empty until camera permission
+ * has been granted once.
+ * @returns {Promise<Array<{deviceId: string, label: string}>>}
+ */
+export async function listCameras() {
+    if (!navigator.mediaDevices || !navigator.mediaDevices.enumerateDevices) return [];
+
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    return devices
+        .filter(device => device.kind === 'videoinput')
+        .map((device, i) => ({ deviceId: device.deviceId, label: device.label || `Cámara ${i + 1}` }));
+}
+
+/**
+ * Call onFrame for every new video frame, waiting for the previous call to
+ * finish (like @mediapipe/camera_utils). Uses requestVideoFrameCallback when
+ * available so paused inputs don't re-send the same frame.
+ * @param {HTMLVideoElement} video
+ * @param {Function} onFrame - async () => void
+ * @returns {Function} Stops the loop
+ */
+export function startFrameLoop(video, onFrame) {
+    let running = true;
+
+    const scheduleNext = () => {
+        if (!running) return;
+        if (video.requestVideoFrameCallback) {
+            video.requestVideoFrameCallback(step);
+        } else {
+            requestAnimationFrame(step);
+        }
+    };
+
+    const step = async () => {
+        if (!running) return;
+        if (video.readyState >= 2) {
+            try {
+                await onFrame();
+            } catch (error) {
+                console.error('❌ Error processing frame:', error);
+            }
+        }
+        scheduleNext();
+    };
+
+    scheduleNext();
+    return () => {
+        running = false;
+    };
+}
@@ -0,0 +1,73 @@
+import { InputSource } from './InputSource.js';
+
+/**
+ * Plays a local video file (or URL) as if it were a camera, for demos and
+ * reproducible tests with prerecorded clips.
+ */
+export class VideoFileSource extends InputSource {
+    /**
+     * @param {File|string} fileOrUrl
+     * @param {Object} [options]
+     * @param {boolean} [options.loop=true]
+     */
+    constructor(fileOrUrl, { loop = true } = {}) {
+        super();
+        this.fileOrUrl = fileOrUrl;
+        this.loop = loop;
+        this.label = typeof fileOrUrl === 'string' ? fileOrUrl : fileOrUrl.name;
+
+        this.sourceVideo = null;
+        this.objectUrl = null;
+    }
+
+    async start() {
+        const video = document.createElement('video');
+        video.muted = true;
+        video.loop = this.loop;
+        video.playsInline = true;
+
+        if (typeof this.fileOrUrl === 'string') {
+            video.src = this.fileOrUrl;
+        } else {
+            this.objectUrl = URL.createObjectURL(this.fileOrUrl);
+            video.src = this.objectUrl;
+        }
+
+        await new Promise((resolve, reject) => {
+            video.addEventListener('loadeddata', resolve, { once: true });
+            video.addEventListener('error', () => reject(new Error(`Failed to load video: ${this.label}`)), { once: true });
+        });
+        await video.play();
+
+        const capture = video.captureStream || video.mozCaptureStream;
+        if (!capture) {
+            throw new Error('This browser cannot capture a stream from a video element');
+        }
+
+        this.sourceVideo = video;
+        this.stream = capture.call(video);
+        return this.stream;
+    }
+
+    pause() {
+        if (this.sourceVideo) this.sourceVideo.pause();
+    }
+
+    resume() {
+        if (this.sourceVideo) this.sourceVideo.play();
+    }
+
+    stop() {
+        super.stop();
+        if (this.sourceVideo) {
+            this.sourceVideo.pause();
+            this.sourceVideo.removeAttribute('src');
+            this.sourceVideo.load();
+            this.sourceVideo = null;
+        }
+        if (this.objectUrl) {
+            URL.revokeObjectURL(this.objectUrl);
+            this.objectUrl = null;
+        }
+    }
+}
@@ -1,26 +1,146 @@
 import { SceneManager } from './core/SceneManager.js';
 import { FaceTracker } from './core/FaceTracker.js';
 import { HandTracker } from './core/HandTracker.js';
-import { Camera } from '@mediapipe/camera_utils';
+import { LandmarkFilter } from './filters/LandmarkFilter.js';
+import { ExpressionDetector, EXPRESSIONS } from './core/ExpressionDetector.js';
+import { SessionRecorder } from './core/SessionRecorder.js';
+import { SessionPlayer } from './core/SessionPlayer.js';
+import { CameraSource } from './input/CameraSource.js';
+import { VideoFileSource } from './input/VideoFileSource.js';
+import { ImageSequenceSource } from './input/ImageSequenceSource.js';
+import { listCameras, startFrameLoop } from './input/InputSource.js';
+import { registerServiceWorker } from './core/registerServiceWorker.js';
+import { GestureRecognizer, STATIC_GESTURES, DYNAMIC_GESTURES } from './core/GestureRecognizer.js';
+import { GestureBindings } from './core/GestureBindings.js';
+import { HandCalibrator } from './core/HandCalibrator.js';
+import { DetectorScheduler } from './core/DetectorScheduler.js';
+import { DRAWING_COLORS } from './effects/AirDrawing.js';
+import { PARTICLE_PRESETS } from './effects/particlePresets.js';
+import { CalibrationProfiles, DEFAULT_PROFILE, mergeSettings, parseQuerySettings } from './core/CalibrationProfiles.js';
+import { loadScene, getSceneModels } from './core/SceneDescription.js';
+import { modelLoader, onModelDrop, MODEL_FILE_ACCEPT } from './core/ModelLoader.js';
+
+// Panel labels for gestures and the scene actions they can trigger
+const GESTURE_LABELS = {
+  pinch: '🤏 Pellizco',
+  fist: '✊ Puño',
+  openPalm: '🖐️ Palma abierta',
+  point: '☝️ Señalar',
+  thumbsUp: '👍 Pulgar arriba',
+  victory: '✌️ Victoria',
+  swipeLeft: '👈 Deslizar izquierda',
+  swipeRight: '👉 Deslizar derecha',
+  swipeUp: '👆 Deslizar arriba',
+  swipeDown: '👇 Deslizar abajo',
+  wave: '👋 Saludar'
+};
+
+const ACTION_LABELS = {
+  moveUp: 'Mover arriba',
+  moveDown: 'Mover abajo',
+  moveLeft: 'Mover izquierda',
+  moveRight: 'Mover derecha',
+  scaleUp: 'Agrandar',
+  scaleDown: 'Achicar',
+  resetCube: 'Reiniciar modelo',
+  toggleAnimation: 'Reproducir/pausar animación',
+  nextAnimation: 'Siguiente animación',
+  burst: 'Ráfaga de partículas',
+  undoDrawing: 'Deshacer trazo',
+  clearDrawing: 'Borrar dibujo'
+};
+
+const DEFAULT_GESTURE_BINDINGS = {
+  swipeLeft: 'moveLeft',
+  swipeRight: 'moveRight',
+  swipeUp: 'moveUp',
+  swipeDown: 'moveDown',
+  thumbsUp: 'resetCube',
+  wave: 'burst'
+};
+
+registerServiceWorker();
 
 document.addEventListener('DOMContentLoaded', async () => {
   const videoElement = document.getElementById('input-video');
   const canvasElement = document.getElementById('output-canvas');
 
-  const sceneManager = new SceneManager(canvasElement);
-  const faceTracker = new FaceTracker(videoElement);
-  const handTracker = new HandTracker();
+  // Scene content from JSON (?scene= or the built-in one)
+  const sceneDescription = await loadScene(window.location.search);
+  const sceneManager = new SceneManager(canvasElement, sceneDescription);
+
+  // Saved calibration profiles, defaulting to the scene's calibration;
+  // ?profile= and setting overrides in the URL win
+  const calibrationProfiles = new CalibrationProfiles({ defaults: sceneDescription.calibration });
+  const querySettings = parseQuerySettings(window.location.search);
+  const profileCameraCheckbox = document.getElementById('profile-camera');
+  let cameraLabel = null;
+
+  // Landmark smoothing for both streams, tuned from the calibration panel
+  const faceFilter = new LandmarkFilter();
+  const handFilter = new LandmarkFilter();
+
+  const faceTracker = new FaceTracker(videoElement, { filter: faceFilter });
+  const handTracker = new HandTracker({ filter: handFilter });
+
+  // Expression events (blink, wink, mouth open, smile, brow raise)
+  const expressionDetector = new ExpressionDetector();
+  let latestFaces = [];
+
+  expressionDetector.on('mouthOpen', ({ faceId }) => {
+    console.log(`😮 Face ${faceId} opened mouth`);
+    sceneManager.actions.burst();
+  });
+
+  // Scene models can play clips on expressions (their animation "on" settings)
+  for (const expression of EXPRESSIONS) {
+    expressionDetector.on(expression, () => sceneManager.animations.trigger(expression));
+  }
+
+  // Model loading progress / failures (e.g. blocked network on a kiosk)
+  const loadStatus = document.getElementById('load-status');
+  const reportLoadError = (error) => {
+    console.error('❌ Error loading assets:', error);
+    loadStatus.textContent = `⚠️ No se pudo cargar: ${error.message}`;
+    loadStatus.classList.add('error');
+    loadStatus.style.display = 'block';
+  };
+  modelLoader.on('error', ({ name, error }) => reportLoadError(new Error(`${name} (${error.message})`)));
 
   faceTracker.init((results) => {
-    if (results.multiFaceLandmarks && results.multiFaceLandmarks.length > 0) {
-      const landmarks = results.multiFaceLandmarks[0];
-      sceneManager.updateFace(landmarks);
+    latestFaces = results.faces;
+    for (const face of results.faces) {
+      sceneManager.updateFace(face.landmarks, face.id);
+      expressionDetector.update(face.landmarks, face.id);
     }
-  });
+  }, {
+    onFaceEnter: (faceId) => sceneManager.addFace(faceId),
+    onFaceLeave: (faceId) => {
+      sceneManager.removeFace(faceId);
+      expressionDetector.removeFace(faceId);
+    }
+  })
+    .then(() => {
+      // A model that failed to load stays reported
+      if (!loadStatus.classList.contains('error')) loadStatus.style.display = 'none';
+    })
+    .catch(reportLoadError);
+
+  // Hand gestures, bound to scene actions (editable from the panel)
+  const gestureRecognizer = new GestureRecognizer();
+  const gestureBindings = new GestureBindings(gestureRecognizer, sceneManager.actions, DEFAULT_GESTURE_BINDINGS);
+
+  // Guided hand calibration, fed while it runs
+  const handCalibrator = new HandCalibrator(sceneManager.camera);
 
   handTracker.init((results) => {
     sceneManager.updateHands(results);
-  });
+    gestureRecognizer.update(results);
+    if (handCalibrator.active) {
+      handCalibrator.update(results, latestFaces[0]?.landmarks);
+    }
+  })
+    .catch(reportLoadError);
 
   let isHandTrackingEnabled = false;
   const toggleHandTrackingBtn = document.getElementById('toggle-hand-tracking');
@@ -29,24 +149,214 @@ document.addEventListener('DOMContentLoaded', async () => {
     isHandTrackingEnabled = !isHandTrackingEnabled;
     toggleHandTrackingBtn.textContent = isHandTrackingEnabled ? '✋ Hands: ON' : '✋ Hands: OFF';
     toggleHandTrackingBtn.style.background = isHandTrackingEnabled ? '#4CAF50' : '#f44336';
+    if (!isHandTrackingEnabled) {
+      sceneManager.updateHands({}); // Hide the last drawn hands
+      gestureRecognizer.reset();
+    }
   });
 
-  const camera = new Camera(videoElement, {
-    onFrame: async () => {
-      await faceTracker.send(videoElement);
-      if (isHandTrackingEnabled) {
-        await handTracker.send(videoElement);
+  // Face and hands run at their own rates within a per-frame time budget;
+  // SceneManager interpolates between their detections when rendering
+  const detectorScheduler = new DetectorScheduler();
+  detectorScheduler.add('face', { send: (image) => faceTracker.send(image), fps: 30 });
+  detectorScheduler.add('hands', {
+    send: (image) => handTracker.send(image),
+    fps: 30,
+    enabled: () => isHandTrackingEnabled
+  });
+
+  // Session recording (raw tracker results) and camera-less replay
+  const sessionRecorder = new SessionRecorder();
+  faceTracker.recorder = sessionRecorder;
+  handTracker.recorder = sessionRecorder;
+
+  const sessionPlayer = new SessionPlayer({
+    onFace: (results) => faceTracker.handleResults(results),
+    onHands: (results) => handTracker.handleResults(results),
+    onEnd: () => {
+      replayButton.textContent = '▶️ Reproducir';
+    }
+  });
+
+  // Input: webcam (any device / resolution), a video file or an image sequence
+  const inputCameraSelect = document.getElementById('input-camera');
+  const inputResolutionSelect = document.getElementById('input-resolution');
+  const inputVideoFileInput = document.getElementById('input-video-file');
+  const inputImageFilesInput = document.getElementById('input-image-files');
+  const imageSequenceControls = document.getElementById('image-sequence-controls');
+  const imageSequencePlayButton = document.getElementById('image-sequence-play');
+  let inputSource = null;
+  let stopFrameLoop = null;
+
+  const createCameraSource = () => {
+    const [width, height] = inputResolutionSelect.value.split('x').map(Number);
+    return new CameraSource({ deviceId: inputCameraSelect.value || null, width, height });
+  };
+
+  const refreshCameraList = async () => {
+    const selected = inputCameraSelect.value;
+    const cameras = await listCameras();
+    inputCameraSelect.innerHTML = '<option value="">Cámara por defecto</option>';
+    cameras.forEach(({ deviceId, label }) => {
+      if (!deviceId) return;
+      const option = document.createElement('option');
+      option.value = deviceId;
+      option.textContent = label;
+      inputCameraSelect.appendChild(option);
+    });
+    inputCameraSelect.value = cameras.some(camera => camera.deviceId === selected) ? selected : '';
+  };
+
+  const useInputSource = async (source) => {
+    if (stopFrameLoop) stopFrameLoop();
+    if (inputSource) inputSource.stop();
+    inputSource = source;
+    imageSequenceControls.style.display = source instanceof ImageSequenceSource ? 'flex' : 'none';
+    imageSequencePlayButton.textContent = '⏸️';
+
+    try {
+      await source.attach(videoElement);
+    } catch (error) {
+      if (source !== inputSource) return; // Replaced while starting
+      console.error('❌ Error starting input:', error);
+      alert(`No se pudo iniciar la entrada: ${error.message}`);
+      inputSource = null;
+      return;
+    }
+
+    // Another input was picked while this one started (e.g. during the
+    // permission prompt): stop it and give the video back to the new one
+    if (source !== inputSource) {
+      source.stop();
+      if (inputSource?.stream && videoElement.srcObject !== inputSource.stream) {
+        videoElement.srcObject = inputSource.stream;
+      }
+      return;
+    }
+
+    // Landmark x is normalized by the frame width, which now depends on the input
+    expressionDetector.aspect = videoElement.videoWidth / videoElement.videoHeight;
+    gestureRecognizer.aspect = expressionDetector.aspect;
+    handCalibrator.aspect = expressionDetector.aspect;
+    sceneManager.videoAspect = expressionDetector.aspect;
+
+    stopFrameLoop = startFrameLoop(videoElement, async () => {
+      // The replay drives the trackers while it plays
+      if (sessionPlayer.isPlaying) return;
+
+      await detectorScheduler.tick(videoElement);
+    });
+
+    // Camera names are only available once permission has been granted
+    if (source instanceof CameraSource) {
+      refreshCameraList();
+
+      // Switch to the profile made for this camera, unless the URL picked one
+      cameraLabel = source.label;
+      const cameraProfile = calibrationProfiles.findByCamera(cameraLabel);
+      if (cameraProfile && cameraProfile !== calibrationProfiles.active && !querySettings.profile) {
+        calibrationProfiles.select(cameraProfile);
       }
-    },
-    width: 1280,
-    height: 720
+      profileCameraCheckbox.checked = calibrationProfiles.getCamera() === cameraLabel;
+    }
+  };
+
+  inputCameraSelect.addEventListener('change', () => useInputSource(createCameraSource()));
+  inputResolutionSelect.addEventListener('change', () => useInputSource(createCameraSource()));
+
+  inputVideoFileInput.addEventListener('change', () => {
+    const file = inputVideoFileInput.files[0];
+    if (file) useInputSource(new VideoFileSource(file));
+  });
+
+  inputImageFilesInput.addEventListener('change', () => {
+    const files = [...inputImageFilesInput.files];
+    if (files.length > 0) useInputSource(new ImageSequenceSource(files));
+  });
+
+  document.getElementById('input-use-camera').addEventListener('click', () => {
+    inputVideoFileInput.value = '';
+    inputImageFilesInput.value = '';
+    useInputSource(createCameraSource());
+  });
+
+  document.getElementById('image-sequence-prev').addEventListener('click', () => {
+    inputSource?.pause();
+    inputSource?.step(-1);
+    imageSequencePlayButton.textContent = '▶️';
+  });
+  document.getElementById('image-sequence-next').addEventListener('click', () => {
+    inputSource?.pause();
+    inputSource?.step(1);
+    imageSequencePlayButton.textContent = '▶️';
+  });
+  imageSequencePlayButton.addEventListener('click', () => {
+    if (!inputSource) return;
+    if (inputSource.isPlaying) {
+      inputSource.pause();
+    } else {
+      inputSource.play();
+    }
+    imageSequencePlayButton.textContent = inputSource.isPlaying ? '⏸️' : '▶️';
   });
 
   // Start the Three.js loop
   sceneManager.animate();
 
-  // Start the camera
-  camera.start();
+  // Session record / replay controls
+  const recordButton = document.getElementById('session-record');
+  const sessionFileInput = document.getElementById('session-file');
+  const replayButton = document.getElementById('session-replay');
+  const replayLoopCheckbox = document.getElementById('session-loop');
+
+  recordButton.addEventListener('click', () => {
+    if (sessionRecorder.isRecording) {
+      sessionRecorder.stop();
+      sessionRecorder.download();
+      recordButton.textContent = '⏺️ Grabar';
+    } else {
+      sessionRecorder.start();
+      recordButton.textContent = '⏹️ Detener y descargar';
+    }
+  });
+
+  sessionFileInput.addEventListener('change', async () => {
+    const file = sessionFileInput.files[0];
+    if (!file) return;
+    try {
+      await sessionPlayer.loadFile(file);
+      replayButton.textContent = '▶️ Reproducir';
+    } catch (error) {
+      alert(`No se pudo cargar la sesión: ${error.message}`);
+    }
+  });
+
+  replayButton.addEventListener('click', () => {
+    if (sessionPlayer.isPlaying) {
+      sessionPlayer.stop();
+      replayButton.textContent = '▶️ Reproducir';
+    } else if (sessionPlayer.frames.length > 0) {
+      sessionPlayer.play({ loop: replayLoopCheckbox.checked });
+      replayButton.textContent = '⏹️ Detener';
+    }
+  });
+
+  // ?replay=<url> plays a recorded session instead of opening the camera
+  const replayUrl = new URLSearchParams(window.location.search).get('replay');
+  if (replayUrl) {
+    sessionPlayer.loadUrl(replayUrl)
+      .then(() => {
+        sessionPlayer.play({ loop: true });
+        replayButton.textContent = '⏹️ Detener';
+      })
+      .catch((error) => {
+        console.error('❌ Error loading session replay:', error);
+        alert(`No se pudo cargar la sesión: ${error.message}`);
+      });
+  } else {
+    // Start the camera
+    useInputSource(createCameraSource());
+  }
 
   // Setup calibration controls
   const calibrationPanel = document.getElementById('calibration-controls');
@@ -66,6 +376,10 @@ document.addEventListener('DOMContentLoaded', async () => {
     calibrationPanel.classList.toggle('collapsed');
   });
 
+  // Profile controls
+  const profileSelect = document.getElementById('profile-select');
+  const profileImportInput = document.getElementById('profile-import');
+
   // Update calibration on slider change
   const updateCalibration = () => {
     const offsetY = parseFloat(offsetYSlider.value);
@@ -76,28 +390,650 @@ document.addEventListener('DOMContentLoaded', async () => {
     sceneManager.setHandCalibration(offsetY, scale, depth);
     sceneManager.setFaceCalibration(faceOffsetX);
 
-    offsetYValue.textContent = offsetY.toFixed(1);
+    offsetYValue.textContent = offsetY.toFixed(2);
     scaleValue.textContent = scale.toFixed(2);
-    depthValue.textContent = depth.toFixed(1);
+    depthValue.textContent = depth.toFixed(2);
     faceOffsetXValue.textContent = faceOffsetX.toFixed(1);
   };
 
-  // Initialize with default values
-  updateCalibration();
+  const applySettings = (settings) => {
+    offsetYSlider.value = settings.hand.offsetY;
+    scaleSlider.value = settings.hand.scale;
+    depthSlider.value = settings.hand.depthScale;
+    faceOffsetXSlider.value = settings.face.offsetX;
+    updateCalibration();
+  };
 
-  offsetYSlider.addEventListener('input', updateCalibration);
-  scaleSlider.addEventListener('input', updateCalibration);
-  depthSlider.addEventListener('input', updateCalibration);
-  faceOffsetXSlider.addEventListener('input', updateCalibration);
+  const getSettings = () => ({
+    hand: { ...sceneManager.handCalibration },
+    face: { ...sceneManager.faceCalibration }
+  });
+
+  // Calibration from the URL sits on top of whichever profile is active
+  // (e.g. one picked for the camera) until the user changes it
+  let urlOverrides = querySettings.overrides;
+
+  // Every change is kept in the active profile
+  const saveSettings = () => {
+    urlOverrides = {};
+    calibrationProfiles.store(calibrationProfiles.active, getSettings());
+  };
+
+  const refreshProfileList = () => {
+    profileSelect.innerHTML = '';
+    for (const name of calibrationProfiles.list()) {
+      const option = document.createElement('option');
+      option.value = name;
+      option.textContent = name;
+      profileSelect.appendChild(option);
+    }
+    profileSelect.value = calibrationProfiles.active;
+  };
+
+  calibrationProfiles.on('list', refreshProfileList);
+  calibrationProfiles.on('change', ({ name, settings }) => {
+    profileSelect.value = name;
+    profileCameraCheckbox.checked = !!cameraLabel && calibrationProfiles.getCamera(name) === cameraLabel;
+    applySettings(mergeSettings(settings, urlOverrides));
+  });
+
+  // Initialize from the saved profile (or the one in the URL) plus URL overrides
+  if (querySettings.profile) {
+    calibrationProfiles.select(querySettings.profile);
+  }
+  refreshProfileList();
+  applySettings(mergeSettings(calibrationProfiles.get(), urlOverrides));
+
+  for (const slider of [offsetYSlider, scaleSlider, depthSlider, faceOffsetXSlider]) {
+    slider.addEventListener('input', updateCalibration);
+    slider.addEventListener('change', saveSettings);
+  }
 
   // Reset calibration
   resetButton.addEventListener('click', () => {
-    offsetYSlider.value = -0.6;
-    scaleSlider.value = 1.0;
-    depthSlider.value = 0.5;
-    faceOffsetXSlider.value = -0.1;
-    updateCalibration();
+    applySettings(calibrationProfiles.defaults);
+    saveSettings();
+  });
+
+  profileSelect.addEventListener('change', () => {
+    urlOverrides = {};
+    calibrationProfiles.select(profileSelect.value);
+  });
+
+  document.getElementById('profile-new').addEventListener('click', () => {
+    const name = prompt('Nombre del nuevo perfil:')?.trim();
+    if (!name) return;
+    calibrationProfiles.store(name, getSettings());
+    calibrationProfiles.select(name);
+  });
+
+  document.getElementById('profile-delete').addEventListener('click', () => {
+    const name = calibrationProfiles.active;
+    if (name === DEFAULT_PROFILE) {
+      alert('El perfil predeterminado no se puede eliminar.');
+      return;
+    }
+    if (confirm(`¿Eliminar el perfil "${name}"?`)) {
+      calibrationProfiles.remove(name);
+    }
+  });
+
+  profileCameraCheckbox.addEventListener('change', () => {
+    if (profileCameraCheckbox.checked && !cameraLabel) {
+      alert('No hay ninguna cámara activa.');
+      profileCameraCheckbox.checked = false;
+      return;
+    }
+    calibrationProfiles.bindCamera(calibrationProfiles.active, profileCameraCheckbox.checked ? cameraLabel : null);
+  });
+
+  document.getElementById('profile-export').addEventListener('click', () => calibrationProfiles.download());
+  document.getElementById('profile-import-button').addEventListener('click', () => profileImportInput.click());
+  profileImportInput.addEventListener('change', async () => {
+    const file = profileImportInput.files[0];
+    if (!file) return;
+    try {
+      calibrationProfiles.import(await file.text());
+    } catch (error) {
+      alert(`No se pudieron importar los perfiles: ${error.message}`);
+    }
+    profileImportInput.value = '';
+  });
+
+  // Guided hand calibration: on-screen targets, nose touch and finger depth
+  const wizard = document.getElementById('calibration-wizard');
+  const wizardStep = document.getElementById('calibration-wizard-step');
+  const wizardText = document.getElementById('calibration-wizard-text');
+  const wizardProgress = document.getElementById('calibration-wizard-progress');
+  const wizardCancelButton = document.getElementById('calibration-wizard-cancel');
+  const WIZARD_INSTRUCTIONS = {
+    target: '☝️ Toca el círculo con la punta del índice y quédate quieto',
+    nose: '👃 Toca tu nariz con la punta del índice',
+    depth: '👉 Apunta con el índice directamente a la cámara'
+  };
+
+  const closeWizard = () => {
+    sceneManager.calibrationTarget.hide();
+    wizard.classList.remove('active');
+  };
+
+  document.getElementById('hand-calibration-wizard').addEventListener('click', () => {
+    if (!isHandTrackingEnabled) toggleHandTrackingBtn.click();
+    calibrationPanel.classList.add('collapsed'); // Keep the targets uncovered
+    wizardCancelButton.textContent = 'Cancelar';
+    wizard.classList.add('active');
+    handCalibrator.start(sceneManager.handCalibration, sceneManager.faceCalibration.offsetX);
+  });
+
+  wizardCancelButton.addEventListener('click', () => {
+    if (handCalibrator.active) {
+      handCalibrator.cancel();
+    } else {
+      closeWizard();
+    }
+  });
+
+  handCalibrator.on('step', ({ step, index, total, target }) => {
+    wizardStep.textContent = `Paso ${index + 1} de ${total}`;
+    wizardText.textContent = WIZARD_INSTRUCTIONS[step];
+    wizardProgress.style.width = '0%';
+    if (target) {
+      sceneManager.calibrationTarget.show(target);
+    } else {
+      sceneManager.calibrationTarget.hide();
+    }
+  });
+
+  handCalibrator.on('progress', ({ progress }) => {
+    wizardProgress.style.width = `${progress * 100}%`;
+    sceneManager.calibrationTarget.setProgress(progress);
+  });
+
+  handCalibrator.on('cancel', closeWizard);
+
+  handCalibrator.on('complete', ({ calibration, quality, rms, success }) => {
+    sceneManager.calibrationTarget.hide();
+    const score = `Calidad ${Math.round(quality * 100)}% (error ${rms.toFixed(2)})`;
+    wizardStep.textContent = score;
+    wizardProgress.style.width = '100%';
+    wizardCancelButton.textContent = 'Cerrar';
+
+    if (success) {
+      offsetYSlider.value = calibration.offsetY;
+      scaleSlider.value = calibration.scale;
+      depthSlider.value = calibration.depthScale;
+      updateCalibration();
+      saveSettings();
+      wizardText.textContent = '✅ Calibración aplicada';
+    } else {
+      wizardText.textContent = '⚠️ Calibración poco fiable, se mantienen los valores anteriores. Inténtalo de nuevo.';
+    }
+  });
+
+  // Controls start from the effect settings (the scene may change the defaults)
+  const handVisualizer = sceneManager.effects.get('handVisualizer')?.visualizer;
+  const handOccluder = sceneManager.effects.get('handOccluder')?.occluder;
+  const faceOccluderOptions = sceneManager.effects.get('faceOccluder')?.options;
+  const faceMaskOptions = sceneManager.effects.get('faceMask')?.options;
+  if (handVisualizer) {
+    document.getElementById('hand-style').value = handVisualizer.style;
+    document.getElementById('hand-labels').checked = handVisualizer.showLabels;
+  }
+  if (handOccluder) document.getElementById('hand-occluder-depth-only').checked = handOccluder.depthOnly;
+  if (faceOccluderOptions) {
+    document.getElementById('occluder-mode').value = faceOccluderOptions.mode;
+    document.getElementById('occluder-depth-only').checked = faceOccluderOptions.depthOnly;
+  }
+  if (faceMaskOptions) {
+    document.getElementById('face-mask-blending').value = faceMaskOptions.blending;
+    document.getElementById('face-mask-opacity').value = faceMaskOptions.opacity;
+    document.getElementById('face-mask-opacity-value').textContent = faceMaskOptions.opacity.toFixed(2);
+  }
+
+  // Hand visualizer style
+  document.getElementById('hand-style').addEventListener('change', (event) => {
+    sceneManager.setHandStyle(event.target.value);
+  });
+  document.getElementById('hand-labels').addEventListener('change', (event) => {
+    sceneManager.setHandLabels(event.target.checked);
+  });
+
+  // Hand occluder on/off and visibility
+  const handOccluderCheckbox = document.getElementById('hand-occluder');
+  const handOccluderDepthOnlyCheckbox = document.getElementById('hand-occluder-depth-only');
+  const updateHandOccluderOptions = () => {
+    sceneManager.setHandOccluderOptions({
+      enabled: handOccluderCheckbox.checked,
+      depthOnly: handOccluderDepthOnlyCheckbox.checked
+    });
+  };
+  handOccluderCheckbox.addEventListener('change', updateHandOccluderOptions);
+  handOccluderDepthOnlyCheckbox.addEventListener('change', updateHandOccluderOptions);
+  // Also an entry of the effects list, which keeps its saved state
+  handOccluderCheckbox.checked = sceneManager.effects.get('handOccluder')?.enabled ?? false;
+  sceneManager.effects.on('change', ({ id, enabled }) => {
+    if (id === 'handOccluder') handOccluderCheckbox.checked = enabled;
+  });
+
+  // Pinch-to-grab (two hands rotate and scale)
+  document.getElementById('hand-grab').addEventListener('change', (event) => {
+    sceneManager.setGrabEnabled(event.target.checked && !sceneManager.airDrawing.enabled);
+  });
+  sceneManager.grab.on('grab', ({ hand }) => console.log(`✊ Grab (${hand})`));
+  sceneManager.grab.on('release', ({ hand }) => console.log(`🖐️ Release (${hand})`));
+
+  // Use the current expression of every visible face as its neutral pose
+  document.getElementById('calibrate-expression').addEventListener('click', () => {
+    for (const face of latestFaces) {
+      expressionDetector.calibrateNeutral(face.landmarks, face.id);
+    }
+  });
+
+  // Face occluder mode / visibility
+  const occluderModeSelect = document.getElementById('occluder-mode');
+  const occluderDepthOnlyCheckbox = document.getElementById('occluder-depth-only');
+
+  const updateOccluderOptions = () => {
+    sceneManager.setFaceOccluderOptions({
+      mode: occluderModeSelect.value,
+      depthOnly: occluderDepthOnlyCheckbox.checked
+    });
+  };
+
+  occluderModeSelect.addEventListener('change', updateOccluderOptions);
+  occluderDepthOnlyCheckbox.addEventListener('change', updateOccluderOptions);
+
+  // Gaze pointer: look at the model to select it
+  document.getElementById('gaze-enabled').addEventListener('change', (event) => {
+    sceneManager.gaze.setEnabled(event.target.checked);
+  });
+  document.getElementById('gaze-calibrate').addEventListener('click', () => {
+    sceneManager.gaze.calibrateCenter();
+  });
+  sceneManager.gaze.on('select', ({ object }) => {
+    console.log('👁️ Selected by gaze:', object.name || object.type);
+  });
+
+  // Face paint: swap the texture at runtime from a local PNG
+  const faceMaskFileInput = document.getElementById('face-mask-file');
+  const faceMaskBlendingSelect = document.getElementById('face-mask-blending');
+  const faceMaskOpacitySlider = document.getElementById('face-mask-opacity');
+  const faceMaskOpacityValue = document.getElementById('face-mask-opacity-value');
+  let faceMaskObjectUrl = null;
+
+  faceMaskFileInput.addEventListener('change', async () => {
+    const file = faceMaskFileInput.files[0];
+    if (!file) return;
+
+    const url = URL.createObjectURL(file);
+    try {
+      await sceneManager.setFaceMaskTexture(url);
+      if (faceMaskObjectUrl) URL.revokeObjectURL(faceMaskObjectUrl);
+      faceMaskObjectUrl = url;
+    } catch (error) {
+      URL.revokeObjectURL(url);
+      alert(`No se pudo cargar la textura: ${file.name}`);
+    }
+  });
+
+  document.getElementById('face-mask-clear').addEventListener('click', () => {
+    sceneManager.setFaceMaskTexture(null);
+    faceMaskFileInput.value = '';
+    if (faceMaskObjectUrl) {
+      URL.revokeObjectURL(faceMaskObjectUrl);
+      faceMaskObjectUrl = null;
+    }
+  });
+
+  const updateFaceMaskOptions = () => {
+    const opacity = parseFloat(faceMaskOpacitySlider.value);
+    sceneManager.setFaceMaskOptions({ blending: faceMaskBlendingSelect.value, opacity });
+    faceMaskOpacityValue.textContent = opacity.toFixed(2);
+  };
+
+  faceMaskBlendingSelect.addEventListener('change', updateFaceMaskOptions);
+  faceMaskOpacitySlider.addEventListener('input', updateFaceMaskOptions);
+
+  // Landmark filter tuning
+  const filterTypeSelect = document.getElementById('filter-type');
+  const oneEuroControls = document.getElementById('one-euro-controls');
+  const kalmanControls = document.getElementById('kalman-controls');
+  const minCutoffSlider = document.getElementById('filter-min-cutoff');
+  const minCutoffValue = document.getElementById('filter-min-cutoff-value');
+  const betaSlider = document.getElementById('filter-beta');
+  const betaValue = document.getElementById('filter-beta-value');
+  const processNoiseSlider = document.getElementById('filter-process-noise');
+  const processNoiseValue = document.getElementById('filter-process-noise-value');
+  const measurementNoiseSlider = document.getElementById('filter-measurement-noise');
+  const measurementNoiseValue = document.getElementById('filter-measurement-noise-value');
+
+  const updateFilter = () => {
+    const config = {
+      type: filterTypeSelect.value,
+      minCutoff: parseFloat(minCutoffSlider.value),
+      beta: parseFloat(betaSlider.value),
+      // Noise sliders are log10 so they cover several orders of magnitude
+      processNoise: Math.pow(10, parseFloat(processNoiseSlider.value)),
+      measurementNoise: Math.pow(10, parseFloat(measurementNoiseSlider.value))
+    };
+
+    faceFilter.setConfig(config);
+    handFilter.setConfig(config);
+
+    oneEuroControls.style.display = config.type === 'oneEuro' ? 'block' : 'none';
+    kalmanControls.style.display = config.type === 'kalman' ? 'block' : 'none';
+
+    minCutoffValue.textContent = config.minCutoff.toFixed(1);
+    betaValue.textContent = config.beta.toFixed(0);
+    processNoiseValue.textContent = parseFloat(processNoiseSlider.value).toFixed(1);
+    measurementNoiseValue.textContent = parseFloat(measurementNoiseSlider.value).toFixed(1);
+  };
+
+  updateFilter();
+
+  filterTypeSelect.addEventListener('change', updateFilter);
+  minCutoffSlider.addEventListener('input', updateFilter);
+  betaSlider.addEventListener('input', updateFilter);
+  processNoiseSlider.addEventListener('input', updateFilter);
+  measurementNoiseSlider.addEventListener('input', updateFilter);
+
+  // Effects: on/off and run order, saved between sessions
+  const effectList = document.getElementById('effect-list');
+
+  const renderEffectList = () => {
+    effectList.innerHTML = '';
+    const effects = sceneManager.effects.list();
+    effects.forEach((effect, index) => {
+      const row = document.createElement('div');
+      row.className = 'effect-row';
+
+      const label = document.createElement('label');
+      const checkbox = document.createElement('input');
+      checkbox.type = 'checkbox';
+      checkbox.checked = effect.enabled;
+      checkbox.addEventListener('change', () => sceneManager.effects.setEnabled(effect.id, checkbox.checked));
+      label.append(checkbox, ` ${effect.label}`);
+
+      const up = document.createElement('button');
+      up.className = 'panel-button';
+      up.textContent = '▲';
+      up.title = 'Subir';
+      up.disabled = index === 0;
+      up.addEventListener('click', () => sceneManager.effects.move(effect.id, index - 1));
+
+      const down = document.createElement('button');
+      down.className = 'panel-button';
+      down.textContent = '▼';
+      down.title = 'Bajar';
+      down.disabled = index === effects.length - 1;
+      down.addEventListener('click', () => sceneManager.effects.move(effect.id, index + 1));
+
+      row.append(label, up, down);
+      effectList.appendChild(row);
+    });
+  };
+
+  renderEffectList();
+  sceneManager.effects.on('list', renderEffectList);
+  sceneManager.effects.on('change', renderEffectList);
+
+  // Detector rates, frame budget and render interpolation
+  const faceFpsSlider = document.getElementById('scheduler-face-fps');
+  const faceFpsValue = document.getElementById('scheduler-face-fps-value');
+  const handsFpsSlider = document.getElementById('scheduler-hands-fps');
+  const handsFpsValue = document.getElementById('scheduler-hands-fps-value');
+  const budgetSlider = document.getElementById('scheduler-budget');
+  const budgetValue = document.getElementById('scheduler-budget-value');
+  const interpolationSelect = document.getElementById('scheduler-interpolation');
+  const schedulerStats = document.getElementById('scheduler-stats');
+
+  const updateScheduler = () => {
+    detectorScheduler.setRate('face', parseInt(faceFpsSlider.value));
+    detectorScheduler.setRate('hands', parseInt(handsFpsSlider.value));
+    detectorScheduler.setBudget(parseInt(budgetSlider.value));
+    sceneManager.setInterpolationMode(interpolationSelect.value);
+
+    faceFpsValue.textContent = faceFpsSlider.value;
+    handsFpsValue.textContent = handsFpsSlider.value;
+    budgetValue.textContent = budgetSlider.value;
+  };
+
+  updateScheduler();
+
+  faceFpsSlider.addEventListener('input', updateScheduler);
+  handsFpsSlider.addEventListener('input', updateScheduler);
+  budgetSlider.addEventListener('input', updateScheduler);
+  interpolationSelect.addEventListener('change', updateScheduler);
+
+  setInterval(() => {
+    const stats = detectorScheduler.getStats();
+    schedulerStats.textContent = Object.entries(stats)
+      .map(([name, { fps, averageMs, skipped }]) =>
+        `${name === 'face' ? 'Cara' : 'Manos'}: ${fps} fps, ${averageMs.toFixed(1)} ms, ${skipped} omitidos`)
+      .join(' · ');
+  }, 1000);
+
+  // Gesture bindings: one action picker per gesture
+  const gestureBindingsContainer = document.getElementById('gesture-bindings');
+  const gestureStatus = document.getElementById('gesture-status');
+
+  for (const gesture of [...STATIC_GESTURES, ...DYNAMIC_GESTURES]) {
+    const group = document.createElement('div');
+    group.className = 'control-group';
+
+    const label = document.createElement('label');
+    label.textContent = `${GESTURE_LABELS[gesture]}:`;
+
+    const select = document.createElement('select');
+    select.add(new Option('—', ''));
+    for (const [action, actionLabel] of Object.entries(ACTION_LABELS)) {
+      select.add(new Option(actionLabel, action));
+    }
+    select.value = gestureBindings.getBindings()[gesture] || '';
+    select.addEventListener('change', () => gestureBindings.bind(gesture, select.value || null));
+
+    group.append(label, select);
+    gestureBindingsContainer.appendChild(group);
+  }
+
+  document.getElementById('gestures-enabled').addEventListener('change', (event) => {
+    gestureBindings.setEnabled(event.target.checked);
+  });
+  gestureRecognizer.on('gesture', ({ gesture, hand }) => {
+    gestureStatus.textContent = `${GESTURE_LABELS[gesture]} (${hand === 'left' ? 'izq.' : 'der.'})`;
+    sceneManager.animations.trigger(gesture);
+  });
+
+  // Air drawing: pinch toggles the pen of the pinching hand
+  const drawingEnabledCheckbox = document.getElementById('drawing-enabled');
+  const drawingPenStatus = document.getElementById('drawing-pen');
+  const handGrabCheckbox = document.getElementById('hand-grab');
+
+  const updatePenStatus = () => {
+    drawingPenStatus.textContent = sceneManager.airDrawing.penDown ? '✏️ Dibujando' : '✋ Levantado';
+  };
+
+  drawingEnabledCheckbox.addEventListener('change', () => {
+    const enabled = drawingEnabledCheckbox.checked;
+    sceneManager.airDrawing.setEnabled(enabled);
+    // Pinching draws instead of grabbing while the mode is on
+    sceneManager.setGrabEnabled(!enabled && handGrabCheckbox.checked);
+    if (enabled && !isHandTrackingEnabled) toggleHandTrackingBtn.click();
+    updatePenStatus();
+  });
+
+  gestureRecognizer.on('pinch', ({ hand }) => {
+    if (!sceneManager.airDrawing.enabled) return;
+    sceneManager.airDrawing.togglePen(hand);
+    updatePenStatus();
+  });
+
+  const drawingColors = document.getElementById('drawing-colors');
+  for (const color of DRAWING_COLORS) {
+    const swatch = document.createElement('button');
+    swatch.className = 'color-swatch';
+    swatch.style.background = color;
+    swatch.title = color;
+    swatch.classList.toggle('selected', color === sceneManager.airDrawing.color);
+    swatch.addEventListener('click', () => {
+      sceneManager.airDrawing.setColor(color);
+      drawingColors.querySelectorAll('.color-swatch').forEach(button => button.classList.toggle('selected', button === swatch));
+    });
+    drawingColors.appendChild(swatch);
+  }
+
+  const downloadBlob = (blob, filename) => {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  document.getElementById('drawing-undo').addEventListener('click', () => sceneManager.airDrawing.undo());
+  document.getElementById('drawing-clear').addEventListener('click', () => sceneManager.airDrawing.clear());
+
+  document.getElementById('drawing-export-glb').addEventListener('click', async () => {
+    try {
+      const glb = await sceneManager.airDrawing.exportGLB();
+      downloadBlob(new Blob([glb], { type: 'model/gltf-binary' }), 'drawing.glb');
+    } catch (error) {
+      console.error('❌ Error exporting drawing:', error);
+      alert(`No se pudo exportar el dibujo: ${error.message}`);
+    }
+  });
+
+  document.getElementById('drawing-export-svg').addEventListener('click', () => {
+    const svg = sceneManager.airDrawing.exportSVG(sceneManager.camera, canvasElement.clientWidth, canvasElement.clientHeight);
+    downloadBlob(new Blob([svg], { type: 'image/svg+xml' }), 'drawing.svg');
+  });
+
+  // Rain collisions with the user (palms up catch particles)
+  document.getElementById('rain-collisions').addEventListener('change', (event) => {
+    sceneManager.setParticleCollisions(event.target.checked);
+  });
+
+  // Particle emitters: presets added at their own anchor or a chosen one
+  const EMITTER_ANCHORS = {
+    preset: null,
+    world: { type: 'world' },
+    rightIndex: { type: 'hand', hand: 'right', landmark: 'indexTip' },
+    leftIndex: { type: 'hand', hand: 'left', landmark: 'indexTip' },
+    forehead: { type: 'face', point: 'forehead' },
+    noseTip: { type: 'face', point: 'noseTip' }
+  };
+  const emitterPresetSelect = document.getElementById('emitter-preset');
+  const emitterAnchorSelect = document.getElementById('emitter-anchor');
+  for (const [name, preset] of Object.entries(PARTICLE_PRESETS)) {
+    emitterPresetSelect.add(new Option(preset.label, name));
+  }
+  const particleEmitters = sceneManager.effects.get('particleEmitters');
+
+  document.getElementById('emitter-add').addEventListener('click', () => {
+    const anchor = EMITTER_ANCHORS[emitterAnchorSelect.value];
+    // Another anchor keeps the shape but not the preset's offset
+    particleEmitters?.addEmitter(anchor
+      ? { preset: emitterPresetSelect.value, anchor, position: [0, 0, 0] }
+      : { preset: emitterPresetSelect.value });
+  });
+  document.getElementById('emitter-burst').addEventListener('click', () => particleEmitters?.burst());
+  document.getElementById('emitter-clear').addEventListener('click', () => particleEmitters?.clear());
+
+  // Model import: a dropped or picked .glb (or .gltf with its files)
+  // replaces the selected scene model, or is added as a new one
+  const importTargetSelect = document.getElementById('import-target');
+  const importFileInput = document.getElementById('import-file');
+  importFileInput.accept = MODEL_FILE_ACCEPT;
+  for (const model of getSceneModels(sceneDescription, 'face')) {
+    importTargetSelect.add(new Option(model.id, model.id));
+  }
+  importTargetSelect.add(new Option('➕ Nuevo modelo', 'new'));
+  importTargetSelect.value = sceneDescription.models.find(model => model.interactive && model.anchor.type === 'world')?.id ?? 'new';
+
+  const importModel = async (files) => {
+    loadStatus.textContent = '⏳ Cargando modelo...';
+    loadStatus.classList.remove('error');
+    loadStatus.style.display = 'block';
+
+    let imported;
+    try {
+      imported = await modelLoader.loadFiles(files);
+    } catch {
+      return; // Shown by the modelLoader 'error' listener
+    }
+    const { object, name, missing } = imported;
+    if (importTargetSelect.value === 'new') {
+      const added = sceneManager.addImportedModel(object, name.replace(/\.(glb|gltf)$/i, ''));
+      importTargetSelect.add(new Option(added.name, added.name), importTargetSelect.options.length - 1);
+      importTargetSelect.value = added.name;
+    } else if (!sceneManager.replaceModel(importTargetSelect.value, object)) {
+      reportLoadError(new Error(`${importTargetSelect.value} todavía no está en la escena`));
+      return;
+    }
+
+    if (missing.length > 0) reportLoadError(new Error(`${name} (faltan ${missing.join(', ')})`));
+    else loadStatus.style.display = 'none';
+  };
+
+  onModelDrop(importModel);
+  importFileInput.addEventListener('change', () => {
+    importModel([...importFileInput.files]);
+    importFileInput.value = '';
+  });
+
+  // Animation playback of the selected scene model
+  const animationModelSelect = document.getElementById('animation-model');
+  const animationClipSelect = document.getElementById('animation-clip');
+  const animationLoopSelect = document.getElementById('animation-loop');
+  const animationSpeedSlider = document.getElementById('animation-speed');
+  const animationSpeedValue = document.getElementById('animation-speed-value');
+  const selectedAnimator = () => sceneManager.animations.get(animationModelSelect.value);
+
+  const refreshAnimationControls = () => {
+    const animator = selectedAnimator();
+    if (!animator) return;
+    animationClipSelect.innerHTML = '';
+    animator.clipNames.forEach(name => animationClipSelect.add(new Option(name, name)));
+    animationClipSelect.value = animator.current ?? '';
+    animationLoopSelect.value = animator.loop;
+    animationSpeedSlider.value = animator.speed;
+    animationSpeedValue.textContent = animator.speed.toFixed(1);
+  };
+
+  const watchedAnimators = new Set();
+  const refreshAnimationModels = () => {
+    const animators = sceneManager.animations.list();
+    document.getElementById('animation-empty').style.display = animators.length ? 'none' : 'block';
+    document.getElementById('animation-controls').style.display = animators.length ? 'block' : 'none';
+    const selected = animationModelSelect.value;
+    animationModelSelect.innerHTML = '';
+    for (const animator of animators) {
+      animationModelSelect.add(new Option(animator.id, animator.id));
+      if (watchedAnimators.has(animator)) continue;
+      watchedAnimators.add(animator);
+      // Clips started by gestures, expressions or events show up here too
+      animator.on('play', () => {
+        if (animator === selectedAnimator()) animationClipSelect.value = animator.current;
+      });
+    }
+    if (sceneManager.animations.get(selected)) animationModelSelect.value = selected;
+    refreshAnimationControls();
+  };
+
+  refreshAnimationModels();
+  sceneManager.animations.on('list', refreshAnimationModels);
+  animationModelSelect.addEventListener('change', refreshAnimationControls);
+  animationLoopSelect.addEventListener('change', () => selectedAnimator()?.setLoop(animationLoopSelect.value));
+  animationSpeedSlider.addEventListener('input', () => {
+    const speed = parseFloat(animationSpeedSlider.value);
+    selectedAnimator()?.setSpeed(speed);
+    animationSpeedValue.textContent = speed.toFixed(1);
   });
+  // Another clip crossfades from the current one
+  document.getElementById('animation-play').addEventListener('click', () => selectedAnimator()?.play(animationClipSelect.value));
+  document.getElementById('animation-pause').addEventListener('click', () => selectedAnimator()?.toggle());
+  document.getElementById('animation-stop').addEventListener('click', () => selectedAnimator()?.stop());
 
   // Movement button event listeners (now inside calibration panel)
   const btnUp = document.getElementById('btn-up');
@@ -1,10 +1,57 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/examples/jsm/loaders/GLTFLoader.js';
-import objectTestUrl from './models3d/objectTest.glb?url';
+import { CameraSource } from './input/CameraSource.js';
+import { DEFAULT_SCENE, createSceneLights, getSceneModels, getOpenCVModel, loadSceneModel, fitImportedModel } from './core/SceneDescription.js';
+import { modelLoader, disposeModel } from './core/ModelLoader.js';
+import { ModelAnimations } from './core/ModelAnimator.js';
+import { getOpenCVUrl, loadScript, withTimeout, ASSET_LOAD_TIMEOUT } from './core/assets.js';
+
+let openCVPromise = null;
+
+/**
+ * Load the self-hosted opencv.js once and wait for its wasm runtime.
+ * @returns {Promise<void>} Rejects if the script fails to load or is not ready in time
+ */
+export function loadOpenCV() {
+    if (!openCVPromise) {
+        console.log('⏳ Loading OpenCV.js...');
+        const loaded = loadScript(getOpenCVUrl()).then(() => waitForRuntime(ASSET_LOAD_TIMEOUT));
+        openCVPromise = withTimeout(loaded, ASSET_LOAD_TIMEOUT, 'OpenCV.js')
+            .then(() => console.log('✅ OpenCV.js loaded and ready'))
+            .catch((error) => {
+                openCVPromise = null; // Allow a retry
+                throw error;
+            });
+    }
+    return openCVPromise;
+}
+
+// The script defines `cv` right away, but cv.Mat only exists once the wasm runtime is up
+function waitForRuntime(timeout) {
+    return new Promise((resolve, reject) => {
+        const start = performance.now();
+        const check = () => {
+            if (typeof cv !== 'undefined' && cv.Mat) {
+                resolve();
+            } else if (performance.now() - start > timeout) {
+                reject(new Error('OpenCV.js runtime did not initialize'));
+            } else {
+                setTimeout(check, 100);
+            }
+        };
+        check();
+    });
+}
 
 export class OpenCVTracker {
-    constructor(videoElement, videoCanvas, webglCanvas, referenceImagePath) {
+    /**
+     * @param {InputSource} [inputSource] - Defaults to the rear camera, falling back to the front one
+     * @param {Object} [description] - Scene description; models anchored to image target 0 and lights are used
+     */
+    constructor(videoElement, videoCanvas, webglCanvas, referenceImagePath,
+        inputSource = new CameraSource({ facingMode: ['environment', 'user'] }), description = DEFAULT_SCENE) {
         this.video = videoElement;
+        this.inputSource = inputSource;
+        this.description = description;
         this.videoCanvas = videoCanvas;
         this.webglCanvas = webglCanvas;
         this.videoCtx = videoCanvas.getContext('2d');
@@ -14,7 +61,12 @@ export class OpenCVTracker {
         this.scene = null;
         this.camera = null;
         this.renderer = null;
-        this.model = null;
+        this.model = null; // Group moved by the homography, holds the scene models
+        this.models = new Map(); // Model ID -> { model, object }
+
+        // Clips of the loaded models; 'targetFound' / 'targetLost' trigger them
+        this.animations = new ModelAnimations();
+        this.clock = new THREE.Clock();
 
         // OpenCV matrices
         this.referenceImage = null;
@@ -63,21 +115,7 @@ export class OpenCVTracker {
     }
 
     async waitForOpenCV() {
-        return new Promise((resolve) => {
-            if (typeof cv !== 'undefined' && cv.Mat) {
-                console.log('✅ OpenCV.js already loaded');
-                resolve();
-            } else {
-                console.log('⏳ Waiting for OpenCV.js to load...');
-                const checkInterval = setInterval(() => {
-                    if (typeof cv !== 'undefined' && cv.Mat) {
-                        clearInterval(checkInterval);
-                        console.log('✅ OpenCV.js loaded');
-                        resolve();
-                    }
-                }, 100);
-            }
-        });
+        await loadOpenCV();
     }
 
     initThreeJS() {
@@ -101,14 +139,10 @@ export class OpenCVTracker {
         });
         this.renderer.setSize(this.webglCanvas.width, this.webglCanvas.height);
         this.renderer.setClearColor(0x000000, 0);
+        modelLoader.setRenderer(this.renderer);
 
-        // Add lights
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.6);
-        this.scene.add(ambientLight);
-
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 0.8);
-        directionalLight.position.set(1, 1, 1);
-        this.scene.add(directionalLight);
+        // Lights of the scene description
+        createSceneLights(this.description.lights, 'image').forEach(light => this.scene.add(light));
 
         console.log('✅ Three.js initialized');
     }
@@ -168,58 +202,52 @@ export class OpenCVTracker {
         console.log('✅ Detector and matcher initialized');
     }
 
+    // Only one reference image, so only models anchored to target 0
     async load3DModel() {
-        return new Promise((resolve, reject) => {
-            const loader = new GLTFLoader();
-            loader.load(
-                objectTestUrl,
-                (gltf) => {
-                    this.model = gltf.scene;
-                    this.model.scale.set(0.5, 0.5, 0.5);
-                    this.model.position.z = 0;
-                    this.scene.add(this.model);
-                    console.log('✅ 3D model loaded');
-                    resolve();
-                },
-                undefined,
-                (error) => {
-                    console.error('❌ Error loading 3D model:', error);
-                    // Create fallback cube
-                    const geometry = new THREE.BoxGeometry(1, 1, 1);
-                    const material = new THREE.MeshStandardMaterial({ color: 0x00ff00 });
-                    this.model = new THREE.Mesh(geometry, material);
-                    this.scene.add(this.model);
-                    console.log('⚠️ Using fallback cube due to model load error');
-                    resolve();
-                }
-            );
+        const models = getSceneModels(this.description, 'image')
+            .filter(model => model.anchor.target === 0)
+            .map(getOpenCVModel);
+        const objects = await Promise.all(models.map(model => loadSceneModel(model, this.description.baseUrl)));
+
+        this.model = new THREE.Group();
+        this.model.visible = false;
+        objects.forEach((object, i) => {
+            this.model.add(object);
+            this.animations.add(models[i], object);
+            this.models.set(models[i].id, { model: models[i], object });
         });
+        this.scene.add(this.model);
+        console.log(`✅ ${objects.length} 3D model(s) loaded`);
+    }
+
+    /**
+     * Show an imported model (see ModelLoader.loadFiles) instead of a scene
+     * model on the reference image, with the same triggers.
+     * @param {string} id - Model ID
+     * @param {THREE.Object3D} imported
+     * @returns {THREE.Object3D|null} The model as placed on the image
+     */
+    replaceModel(id, imported) {
+        const entry = this.models.get(id);
+        if (!entry) return null;
+        const { model, object: replaced } = entry;
+        entry.object = fitImportedModel(imported, model, replaced);
+        this.model.add(entry.object);
+        this.model.remove(replaced);
+
+        this.animations.remove(id);
+        this.animations.add(model, entry.object);
+        disposeModel(replaced);
+        console.log(`📦 ${id} replaced by an imported model`);
+        return entry.object;
     }
 
     async startVideo() {
         try {
-            let stream;
-
-            // Try rear camera first (for mobile)
-            try {
-                stream = await navigator.mediaDevices.getUserMedia({
-                    video: { facingMode: 'environment' }
-                });
-                console.log('📹 Using rear camera');
-            } catch (error) {
-                // Fallback to front camera (for desktop)
-                console.log('⚠️ Rear camera not available, trying front camera...');
-                stream = await navigator.mediaDevices.getUserMedia({
-                    video: { facingMode: 'user' }
-                });
-                console.log('📹 Using front camera');
-            }
-
-            this.video.srcObject = stream;
-            await this.video.play();
+            await this.inputSource.attach(this.video);
 
             // Attempt to lock focus (disable autofocus hunting)
-            const track = stream.getVideoTracks()[0];
+            const track = this.video.srcObject.getVideoTracks()[0];
             if (track) {
                 const capabilities = track.getCapabilities ? track.getCapabilities() : {};
                 console.log('📷 Camera capabilities:', capabilities);
@@ -238,15 +266,6 @@ export class OpenCVTracker {
                 }
             }
 
-            // Wait for video metadata to load
-            await new Promise(resolve => {
-                if (this.video.videoWidth && this.video.videoHeight) {
-                    resolve();
-                } else {
-                    this.video.addEventListener('loadedmetadata', resolve, { once: true });
-                }
-            });
-
             // Set internal canvas resolution to match video
             this.videoCanvas.width = this.video.videoWidth;
             this.videoCanvas.height = this.video.videoHeight;
@@ -268,6 +287,15 @@ export class OpenCVTracker {
         }
     }
 
+    /**
+     * Switch to another input source. Takes effect on the next startVideo().
+     * @param {InputSource} inputSource
+     */
+    setInputSource(inputSource) {
+        this.inputSource.stop();
+        this.inputSource = inputSource;
+    }
+
     updateCanvasLayout() {
         // Simulate "object-fit: cover" for canvas
         const windowWidth = window.innerWidth;
@@ -344,7 +372,7 @@ export class OpenCVTracker {
 
                 // Need at least 8 matches for stable homography
                 if (goodMatches.length >= 8) {
-                    this.isTracking = true;
+                    this.setTracking(true);
 
                     // Extract matched points
                     const srcPoints = [];
@@ -371,7 +399,7 @@ export class OpenCVTracker {
                     srcMat.delete();
                     dstMat.delete();
                 } else {
-                    this.isTracking = false;
+                    this.setTracking(false);
                 }
 
                 matches.delete();
@@ -448,7 +476,7 @@ export class OpenCVTracker {
             targetPosition.y = normalizedY * (visibleHeightAtZ0 / 2);
 
             const targetRotation = new THREE.Euler(0, 0, -rotation); // Negative rotation for Three.js
-            const targetScale = scale * 0.5; // Adjust base scale
+            const targetScale = scale; // Models carry their own scale from the scene
 
             // Apply smoothing
             this.smoothedPosition.lerp(targetPosition, this.smoothingFactor);
@@ -470,7 +498,15 @@ export class OpenCVTracker {
         }
     }
 
+    setTracking(tracking) {
+        if (tracking === this.isTracking) return;
+        this.isTracking = tracking;
+        this.animations.trigger(tracking ? 'targetFound' : 'targetLost');
+    }
+
     render() {
+        this.animations.update(this.clock.getDelta());
+
         // Draw video frame on 2D canvas
         this.videoCtx.drawImage(this.video, 0, 0, this.videoCanvas.width, this.videoCanvas.height);
 
@@ -496,9 +532,8 @@ export class OpenCVTracker {
     }
 
     stop() {
-        if (this.video.srcObject) {
-            this.video.srcObject.getTracks().forEach(track => track.stop());
-        }
+        this.inputSource.stop();
+        this.video.srcObject = null;
         console.log('⏹️ Tracking stopped');
     }
 
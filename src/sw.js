@@ -0,0 +1,61 @@
+/* global PRECACHE_VERSION, PRECACHE_FILES */
+
+// Offline support: every build output (pages, bundles, MediaPipe models,
+// opencv.js) is cached on install and served cache-first afterwards.
+// Pages and JSON files (scene descriptions) can be edited on the server
+// without a new build, so those go to the network first and fall back to
+// the cache offline.
+// PRECACHE_VERSION and PRECACHE_FILES are prepended by the build
+// (plugins/serviceWorker.js); this file is not bundled with the app.
+
+const CACHE_PREFIX = 'ia-face-';
+const CACHE_NAME = `${CACHE_PREFIX}${PRECACHE_VERSION}`;
+const NETWORK_FIRST = /\.(html|json)$/;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(CACHE_NAME)
+            .then((cache) => cache.addAll(PRECACHE_FILES.map((file) => new URL(file, self.registration.scope))))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then((keys) => Promise.all(keys
+                .filter((key) => key.startsWith(CACHE_PREFIX) && key !== CACHE_NAME)
+                .map((key) => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+    event.respondWith((async () => {
+        // Pages are cached without query strings (e.g. ?replay=...)
+        const url = new URL(request.url);
+        url.search = '';
+        if (url.pathname.endsWith('/')) url.pathname += 'index.html';
+
+        if (NETWORK_FIRST.test(url.pathname)) {
+            try {
+                const response = await fetch(request);
+                if (response.ok) {
+                    const cache = await caches.open(CACHE_NAME);
+                    await cache.put(url.href, response.clone());
+                }
+                return response;
+            } catch (error) {
+                const cached = await caches.match(url.href, { cacheName: CACHE_NAME });
+                if (cached) return cached;
+                throw error;
+            }
+        }
+
+        const cached = await caches.match(url.href, { cacheName: CACHE_NAME });
+        return cached || fetch(request);
+    })());
+});
@@ -1,17 +1,25 @@
 import { defineConfig } from 'vite'
+import { serviceWorker } from './plugins/serviceWorker.js'
 
 // https://vitejs.dev/config/
 export default defineConfig({
     base: '/IA-face/', // Cambia esto al nombre de tu repositorio
+    plugins: [
+        // Precache de toda la app (modelos incluidos) para uso sin conexión
+        serviceWorker(),
+    ],
     build: {
         outDir: 'dist',
         assetsDir: 'assets',
         sourcemap: false,
+        // Los modelos de MediaPipe y opencv.js se sirven como archivos, nunca inline
+        assetsInlineLimit: (file) => /node_modules/.test(file) ? false : undefined,
         rollupOptions: {
             input: {
                 main: 'index.html',
                 imageTracking: 'image-tracking.html',
                 compiler: 'compiler.html',
+                benchmark: 'benchmark.html',
             },
         },
     },